@@ -2,6 +2,7 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { ConfigValidator } = require('../schemas/config-validator');
+const { storeConnectionSecret } = require('./secrets-command');
 
 /**
  * Add knowledge command
@@ -121,7 +122,9 @@ function registerAddKnowledgeCommand(program, bmadFed) {
                 
                 config.bmad_config.connections[newConnectionAnswers.connectionName] = {
                   type: newConnectionAnswers.type,
-                  connection_string: newConnectionAnswers.connectionString,
+                  connection_string: await storeConnectionSecret(
+                    bmadFed, newConnectionAnswers.connectionName, newConnectionAnswers.connectionString
+                  ),
                   ...(newConnectionAnswers.description && { description: newConnectionAnswers.description })
                 };
                 
@@ -170,7 +173,9 @@ function registerAddKnowledgeCommand(program, bmadFed) {
               
               config.bmad_config.connections[newConnectionAnswers.connectionName] = {
                 type: newConnectionAnswers.type,
-                connection_string: newConnectionAnswers.connectionString,
+                connection_string: await storeConnectionSecret(
+                  bmadFed, newConnectionAnswers.connectionName, newConnectionAnswers.connectionString
+                ),
                 ...(newConnectionAnswers.description && { description: newConnectionAnswers.description })
               };
               
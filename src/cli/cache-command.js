@@ -0,0 +1,153 @@
+const chalk = require('chalk');
+const { formatSize } = require('../managers/cache-manager');
+
+/**
+ * Register the cache command group to the CLI
+ * @param {Command} program - Commander program instance
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ */
+function registerCacheCommand(program, bmadFed) {
+  const cache = program
+    .command('cache')
+    .description('Inspect the cache and keep it within max_cache_size');
+
+  cache
+    .command('stats', { isDefault: true })
+    .description('Show disk usage per knowledge source')
+    .option('-a, --artifacts', 'List every cached artifact')
+    .option('--json', 'Print the statistics as JSON')
+    .action(async (options) => {
+      try {
+        if (options.json) {
+          bmadFed.setLogLevel('error');
+        }
+        await bmadFed.initialize();
+
+        const stats = await bmadFed.getCacheStats();
+        if (options.json) {
+          console.log(JSON.stringify(stats, null, 2));
+          return;
+        }
+
+        const budget = stats.maxSize === null ? 'no limit' : `of ${formatSize(stats.maxSize)}`;
+        const totalColor = stats.overBudget ? chalk.red : chalk.green;
+        console.log(chalk.blue.bold('\nCache Usage\n'));
+        console.log(`  Total: ${totalColor(formatSize(stats.totalSize))} ${chalk.gray(budget)}\n`);
+
+        if (stats.sources.length === 0) {
+          console.log(chalk.gray('  The cache is empty'));
+        }
+        for (const source of stats.sources) {
+          printSource(source);
+        }
+
+        if (options.artifacts) {
+          console.log(chalk.blue.bold('\nArtifacts (least recently used first)\n'));
+          const artifacts = [...stats.artifacts].sort((a, b) => a.lastAccess.localeCompare(b.lastAccess));
+          for (const artifact of artifacts) {
+            console.log(`  ${artifact.relativePath} ${chalk.gray(`${formatSize(artifact.size)}, used ${artifact.lastAccess}`)}${formatFlags(artifact)}`);
+          }
+        }
+        console.log();
+      } catch (error) {
+        console.error(chalk.red(`Failed to read cache statistics: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  cache
+    .command('prune')
+    .description('Evict least recently used artifacts until the cache fits max_cache_size')
+    .option('-s, --max-size <size>', 'Budget to prune to instead of max_cache_size, e.g. 500MB')
+    .option('-o, --orphaned', 'Also evict artifacts of sources no longer in the configuration')
+    .option('-n, --dry-run', 'Only show what would be evicted')
+    .action(async (options) => {
+      try {
+        await bmadFed.initialize();
+
+        const result = await bmadFed.pruneCache({
+          maxSize: options.maxSize,
+          orphaned: options.orphaned,
+          dryRun: options.dryRun
+        });
+        const verb = result.dryRun ? 'Would evict' : 'Evicted';
+
+        if (result.maxSize === null && !options.orphaned) {
+          console.log(chalk.yellow('max_cache_size is not set; pass --max-size or --orphaned to prune'));
+          return;
+        }
+        if (result.evicted.length === 0) {
+          console.log(chalk.green(`Nothing to evict, the cache uses ${formatSize(result.sizeBefore)}`));
+        }
+        for (const artifact of result.evicted) {
+          const owner = artifact.source ? ` (${artifact.source})` : ' (orphaned)';
+          console.log(`  ${verb.toLowerCase()} ${artifact.relativePath}${chalk.gray(`${owner}, ${formatSize(artifact.size)}, used ${artifact.lastAccess}`)}`);
+        }
+        if (result.evicted.length > 0) {
+          console.log(chalk.green(`${verb} ${result.evicted.length} artifact(s): ${formatSize(result.sizeBefore)} -> ${formatSize(result.sizeAfter)}`));
+        }
+        if (result.overBudget) {
+          console.log(chalk.yellow(`The cache is still over ${formatSize(result.maxSize)}; everything left is pinned or in use`));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to prune cache: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  cache
+    .command('pin <target>')
+    .description('Never evict a knowledge source (or a path relative to the cache root)')
+    .action(async (target) => {
+      try {
+        await bmadFed.initialize();
+        await warnUnknownTarget(bmadFed, target);
+
+        const pinned = await bmadFed.dependencyResolver.cacheManager.pin(target);
+        console.log(pinned ? chalk.green(`Pinned ${target}`) : chalk.yellow(`${target} is already pinned`));
+      } catch (error) {
+        console.error(chalk.red(`Failed to pin ${target}: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  cache
+    .command('unpin <target>')
+    .description('Allow a pinned knowledge source to be evicted again')
+    .action(async (target) => {
+      try {
+        await bmadFed.initialize();
+
+        const unpinned = await bmadFed.dependencyResolver.cacheManager.unpin(target);
+        console.log(unpinned ? chalk.green(`Unpinned ${target}`) : chalk.yellow(`${target} is not pinned`));
+      } catch (error) {
+        console.error(chalk.red(`Failed to unpin ${target}: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
+function printSource(source) {
+  const types = source.types.length > 0 ? ` ${chalk.gray(`[${source.types.join(', ')}]`)}` : '';
+  console.log(`  ${chalk.bold(source.name)}${types}${formatFlags(source)}`);
+  console.log(chalk.gray(`    ${formatSize(source.size)} in ${source.artifacts} artifact(s), last used ${source.lastAccess}`));
+}
+
+function formatFlags(entry) {
+  const flags = [entry.pinned && 'pinned', entry.inUse && 'in use'].filter(Boolean);
+  return flags.length > 0 ? chalk.cyan(` (${flags.join(', ')})`) : '';
+}
+
+async function warnUnknownTarget(bmadFed, target) {
+  const sources = bmadFed.dependencyResolver.getCacheSources();
+  if (sources.some(source => source.source === target)) {
+    return;
+  }
+
+  const { artifacts } = await bmadFed.getCacheStats();
+  if (!artifacts.some(artifact => artifact.relativePath === target)) {
+    console.log(chalk.yellow(`${target} is neither a configured source nor a cached path; pinning it anyway`));
+  }
+}
+
+module.exports = { registerCacheCommand };
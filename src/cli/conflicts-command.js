@@ -0,0 +1,267 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const fs = require('fs-extra');
+const path = require('path');
+const { sideBySide } = require('../core/text-diff');
+const { renderConflictReport, REPORT_FORMATS } = require('../core/conflict-report');
+
+const CONFLICT_MARKER = /^(<<<<<<<|>>>>>>>) /m;
+
+/**
+ * Register the conflicts command group to the CLI
+ * @param {Command} program - Commander program instance
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ */
+function registerConflictsCommand(program, bmadFed) {
+  const conflicts = program
+    .command('conflicts')
+    .description('Review and resolve knowledge conflicts awaiting a manual decision');
+
+  conflicts
+    .command('list', { isDefault: true })
+    .description('List conflicts awaiting a manual decision')
+    .option('-d, --diff', 'Show a side-by-side diff of the candidates')
+    .action(async (options) => {
+      try {
+        const pending = await loadPendingConflicts(bmadFed);
+
+        if (pending.length === 0) {
+          console.log(chalk.green('No conflicts awaiting a manual decision.'));
+          return;
+        }
+
+        console.log(chalk.blue.bold(`\n${pending.length} conflict(s) awaiting a manual decision\n`));
+
+        for (const conflict of pending) {
+          printConflict(conflict);
+          if (options.diff) {
+            await printDiffs(conflict);
+          }
+          console.log();
+        }
+
+        console.log(chalk.blue('Run "bmad-fed conflicts resolve" to pick a winner or edit a merged result.'));
+      } catch (error) {
+        console.error(chalk.red(`Failed to list conflicts: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  conflicts
+    .command('resolve [id]')
+    .description('Resolve pending conflicts interactively, or one conflict by id (type:key)')
+    .option('-p, --pick <source>', 'Pick the content of a source without prompting (requires an id)')
+    .action(async (id, options) => {
+      try {
+        const pending = await loadPendingConflicts(bmadFed);
+        const selected = id ? pending.filter(conflict => conflict.id === id) : pending;
+
+        if (id && selected.length === 0) {
+          console.error(chalk.red(`No pending conflict "${id}". Run "bmad-fed conflicts list" to see pending conflicts.`));
+          process.exit(1);
+        }
+
+        if (options.pick) {
+          if (!id) {
+            console.error(chalk.red('--pick requires a conflict id'));
+            process.exit(1);
+          }
+
+          await bmadFed.resolveConflict(selected[0], { winner: options.pick });
+          console.log(chalk.green(`Resolved ${id}: ${options.pick} wins`));
+          return;
+        }
+
+        if (selected.length === 0) {
+          console.log(chalk.green('No conflicts awaiting a manual decision.'));
+          return;
+        }
+
+        let resolved = 0;
+        for (const conflict of selected) {
+          console.log();
+          printConflict(conflict);
+          await printDiffs(conflict);
+
+          const decision = await promptDecision(conflict);
+          if (!decision) {
+            console.log(chalk.gray(`Skipped ${conflict.id}`));
+            continue;
+          }
+
+          await bmadFed.resolveConflict(conflict, decision);
+          console.log(chalk.green(`Resolved ${conflict.id}: ${decision.winner || 'merged result'}`));
+          resolved++;
+        }
+
+        console.log(chalk.blue(`\nRecorded ${resolved} of ${selected.length} resolution(s) in fks-resolutions.yaml`));
+      } catch (error) {
+        console.error(chalk.red(`Failed to resolve conflicts: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  conflicts
+    .command('clear <id>')
+    .description('Forget the recorded resolution of a conflict')
+    .action(async (id) => {
+      try {
+        bmadFed.setLogLevel('error');
+        await bmadFed.initialize();
+
+        if (await bmadFed.dependencyResolver.removeConflictResolution(id)) {
+          console.log(chalk.green(`Removed the recorded resolution of ${id}`));
+        } else {
+          console.log(chalk.yellow(`No recorded resolution for ${id}`));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to clear resolution: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  conflicts
+    .command('report')
+    .description('Render the history of resolved conflicts as a Markdown or HTML audit report')
+    .option('-f, --format <format>', `Report format (${REPORT_FORMATS.join('|')})`, 'markdown')
+    .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+    .option('--since <date>', 'Only include conflicts recorded at or after this date')
+    .option('-n, --limit <count>', 'Only include the most recent conflicts', (value) => parseInt(value, 10))
+    .action(async (options) => {
+      try {
+        if (!REPORT_FORMATS.includes(options.format)) {
+          console.error(chalk.red(`Unknown format "${options.format}". Use one of: ${REPORT_FORMATS.join(', ')}`));
+          process.exit(1);
+        }
+
+        bmadFed.setLogLevel('error');
+        await bmadFed.initialize();
+
+        const entries = await bmadFed.getConflictHistory({ since: options.since, limit: options.limit });
+        const report = renderConflictReport(entries, options.format);
+
+        if (options.output) {
+          const outputPath = path.resolve(options.output);
+          await fs.outputFile(outputPath, report, 'utf8');
+          console.log(chalk.green(`Conflict report with ${entries.length} conflict(s) written to ${outputPath}`));
+        } else {
+          process.stdout.write(report);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to build conflict report: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
+/**
+ * Initialize the system and merge cached sources to find pending conflicts
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ * @returns {Promise<Array<Object>>} Pending conflicts
+ */
+async function loadPendingConflicts(bmadFed) {
+  bmadFed.setLogLevel('error');
+  await bmadFed.initialize();
+
+  const strategy = bmadFed.knowledgeMerger.options.conflictResolution;
+  if (strategy !== 'manual') {
+    console.log(chalk.yellow(`conflict_resolution is "${strategy}"; conflicts only await a decision with "manual".`));
+  }
+
+  return await bmadFed.getPendingConflicts();
+}
+
+function printConflict(conflict) {
+  console.log(`${chalk.yellow('●')} ${chalk.bold(conflict.id)}`);
+  for (const candidate of conflict.candidates) {
+    console.log(`    ${candidate.source} (priority ${candidate.priority}) ${chalk.gray(candidate.hash)}`);
+  }
+  if (conflict.outdated) {
+    console.log(chalk.gray('    A recorded resolution exists but a source has changed since'));
+  }
+}
+
+/**
+ * Print a side-by-side diff of every candidate against the highest priority one
+ * @param {Object} conflict - Pending conflict
+ * @returns {Promise<void>}
+ */
+async function printDiffs(conflict) {
+  const [base, ...others] = conflict.candidates;
+  const baseContent = await readCandidate(base);
+  const width = Math.max(20, Math.floor(((process.stdout.columns || 120) - 3) / 2));
+
+  for (const other of others) {
+    console.log();
+    console.log(chalk.bold(`${fit(base.source, width)} │ ${other.source}`));
+
+    for (const row of sideBySide(baseContent, await readCandidate(other))) {
+      const left = fit(row.left, width);
+      const right = fit(row.right, width).trimEnd();
+
+      if (row.type === 'equal') {
+        console.log(chalk.gray(`${left} │ ${right}`));
+      } else {
+        console.log(`${chalk.red(left)} ${chalk.yellow('│')} ${chalk.green(right)}`);
+      }
+    }
+  }
+  console.log();
+}
+
+/**
+ * Ask the user how to resolve a conflict
+ * @param {Object} conflict - Pending conflict
+ * @returns {Promise<Object|null>} Decision, or null to skip
+ */
+async function promptDecision(conflict) {
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: `How should ${conflict.id} be resolved?`,
+    choices: [
+      ...conflict.candidates.map(candidate => ({
+        name: `Use ${candidate.source} (priority ${candidate.priority})`,
+        value: { winner: candidate.source }
+      })),
+      { name: 'Edit a merged result', value: 'edit' },
+      { name: 'Skip', value: null }
+    ]
+  }]);
+
+  if (action !== 'edit') {
+    return action;
+  }
+
+  const sections = [];
+  for (const candidate of conflict.candidates) {
+    const content = (await readCandidate(candidate)).replace(/\n$/, '');
+    sections.push(`<<<<<<< ${candidate.source}\n${content}\n>>>>>>> ${candidate.source}`);
+  }
+
+  const { content } = await inquirer.prompt([{
+    type: 'editor',
+    name: 'content',
+    message: 'Edit the merged result and remove the conflict markers',
+    default: `${sections.join('\n')}\n`,
+    validate: (input) => !CONFLICT_MARKER.test(input) || 'Remove the <<<<<<< and >>>>>>> markers first'
+  }]);
+
+  return { content };
+}
+
+async function readCandidate(candidate) {
+  if (!candidate.path || !(await fs.pathExists(candidate.path))) {
+    return '';
+  }
+  return await fs.readFile(candidate.path, 'utf8');
+}
+
+function fit(text, width) {
+  const expanded = String(text).replace(/\t/g, '  ');
+  return expanded.length > width
+    ? `${expanded.substring(0, width - 1)}…`
+    : expanded.padEnd(width);
+}
+
+module.exports = { registerConflictsCommand };
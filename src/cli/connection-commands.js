@@ -2,6 +2,7 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { ConfigValidator } = require('../schemas/config-validator');
+const { storeConnectionSecret } = require('./secrets-command');
 
 /**
  * Connection management commands
@@ -18,6 +19,7 @@ function registerConnectionCommands(program, bmadFed) {
     .option('-t, --type <type>', 'Database type (mysql, postgresql, mongodb, etc.)')
     .option('-s, --connection-string <string>', 'Connection string')
     .option('-d, --description <text>', 'Connection description')
+    .option('--store <provider>', 'Credential provider for the connection string (keyring|vault|git|none)', 'keyring')
     .option('-i, --interactive', 'Interactive mode')
     .action(async (name, options) => {
       try {
@@ -88,6 +90,11 @@ function registerConnectionCommands(program, bmadFed) {
           };
         }
         
+        // Keep only a reference to the connection string in the config
+        connectionConfig.connection_string = await storeConnectionSecret(
+          bmadFed, name, connectionConfig.connection_string, options.store
+        );
+
         const spinner = ora(`Adding connection: ${name}`).start();
         
         // Save the connection to the config
@@ -0,0 +1,56 @@
+const chalk = require('chalk');
+const { SyncDaemon } = require('../core/sync-daemon');
+const { syncDatabaseSource } = require('./sync-db-command');
+
+/**
+ * Register the daemon command to the CLI
+ * @param {Command} program - Commander program instance
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ */
+function registerDaemonCommand(program, bmadFed) {
+  program
+    .command('daemon')
+    .description('Keep running and sync knowledge sources by sync_policy or their cron schedule')
+    .option('-i, --interval <cron>', 'Cron expression on which sync policies are checked, overrides federated_settings.daemon.interval')
+    .option('--health-file <path>', 'File the daemon reports its state in, overrides federated_settings.daemon.health_file')
+    .action(async (options) => {
+      try {
+        await bmadFed.initialize();
+
+        const resolver = bmadFed.dependencyResolver;
+        const settings = resolver.config?.bmad_config?.federated_settings?.daemon || {};
+        const daemon = new SyncDaemon({
+          resolver,
+          logger: bmadFed.logger,
+          interval: options.interval || settings.interval,
+          healthFile: options.healthFile || settings.health_file,
+          syncDatabase: syncDatabaseSource
+        });
+
+        let stopping = false;
+        const shutdown = async (signal) => {
+          if (stopping) {
+            return;
+          }
+          stopping = true;
+          bmadFed.logger.info(`Received ${signal}, waiting for running syncs to finish`);
+          const finished = await daemon.stop();
+          process.exit(finished ? 0 : 1);
+        };
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
+
+        await daemon.start();
+        console.log(chalk.green(`Sync daemon running with PID ${process.pid}; stop it with SIGTERM`));
+        console.log(chalk.gray(`  Health file: ${daemon.getHealthFile()}`));
+        for (const [name, job] of daemon.jobs) {
+          console.log(chalk.gray(`  ${name}: ${job.schedule}`));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to start the sync daemon: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
+module.exports = { registerDaemonCommand };
@@ -0,0 +1,50 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Register the graph command to the CLI
+ * @param {Command} program - Commander program instance
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ */
+function registerGraphCommand(program, bmadFed) {
+  program
+    .command('graph')
+    .description('Show how knowledge sources relate as a DOT, Mermaid or JSON graph')
+    .option('-f, --format <format>', `Output format (${GRAPH_FORMATS.join('|')})`, 'mermaid')
+    .option('-o, --output <file>', 'Write the graph to a file instead of stdout')
+    .option('--no-conflicts', 'Skip merging cached sources to count conflicts')
+    .action(async (options) => {
+      try {
+        if (!GRAPH_FORMATS.includes(options.format)) {
+          console.error(chalk.red(`Unknown format "${options.format}". Use one of: ${GRAPH_FORMATS.join(', ')}`));
+          process.exit(1);
+        }
+
+        // Keep stdout clean so the graph can be piped into other tools
+        if (!options.output) {
+          bmadFed.setLogLevel('error');
+        }
+
+        await bmadFed.initialize();
+
+        const graph = await bmadFed.getKnowledgeGraph({ conflicts: options.conflicts });
+        const rendered = graph.render(options.format);
+
+        if (options.output) {
+          const outputPath = path.resolve(options.output);
+          await fs.outputFile(outputPath, rendered, 'utf8');
+          console.log(chalk.green(`Knowledge graph written to ${outputPath}`));
+        } else {
+          process.stdout.write(rendered);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to build knowledge graph: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
+module.exports = { registerGraphCommand };
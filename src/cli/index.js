@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
@@ -12,6 +12,14 @@ const { spawn } = require('child_process');
 const { registerAddKnowledgeCommand } = require('./add-knowledge-command');
 const { registerConnectionCommands } = require('./connection-commands');
 const { registerSyncDbCommand } = require('./sync-db-command');
+const { registerGraphCommand } = require('./graph-command');
+const { registerConflictsCommand } = require('./conflicts-command');
+const { registerSecretsCommand } = require('./secrets-command');
+const { SyncProgressDisplay } = require('./sync-progress');
+const { registerCacheCommand } = require('./cache-command');
+const { registerDaemonCommand } = require('./daemon-command');
+const { formatSize } = require('../managers/cache-manager');
+const { validateSyncPolicy, formatSyncPolicy } = require('../core/sync-policy');
 const program = new Command();
 const bmadFed = new BmadFederatedKnowledge();
 const configValidator = new ConfigValidator();
@@ -93,16 +101,19 @@ program
         await bmadFed.initialize();
 
         // === 1. Sync repos ===
-        let spinner = ora('Syncing all repositories...').start();
-        const syncResults = await bmadFed.syncAll();
-        spinner.succeed(chalk.green(
-            `Repos synced: ${syncResults.summary.successful} successful, ${syncResults.summary.failed} failed`
+        const progress = new SyncProgressDisplay();
+        progress.start(Array.from(bmadFed.dependencyResolver.federatedRepos.keys()));
+        const syncResults = await bmadFed.syncAll({
+          onProgress: (repoName, event) => progress.update(repoName, event)
+        }).finally(() => progress.stop());
+        console.log(chalk.green(
+            `✔ Repos synced: ${syncResults.summary.successful} successful, ${syncResults.summary.failed} failed`
         ));
 
         let contextEntries = [];
         
         // === 2. Sync database sources ===
-        spinner = ora('Syncing all database knowledge sources...').start();
+        let spinner = ora('Syncing all database knowledge sources...').start();
         
         try {
           // Use the sync-db functionality directly instead of spawning a process
@@ -141,7 +152,7 @@ program
                 const description = config.metadata?.description || 'No description provided';
                 contextEntries.push({
                   name,
-                  file: result.filePath || `./.bmad-fks-cache/${name}.pdf`, // Assuming getWeb returns filePath
+                  file: bmadFed.dependencyResolver.getWebCachePath(name),
                   description,
                   type: 'web',
                   url: config.url
@@ -161,8 +172,8 @@ program
         const repos = bmadFed.dependencyResolver.getFederatedRepos();
 
         for (const [name, config] of repos.entries()) {
-          const cachePath = config.local_cache || `./.bmad-fks-cache/${name}`;
-          const outputFile = `./.bmad-fks-cache/${name}.xml`;
+          const cachePath = await bmadFed.dependencyResolver.prepareFlattenInput(name, config);
+          const outputFile = bmadFed.dependencyResolver.getFlattenedCachePath(name);
 
           console.log(chalk.blue(`\n🔄 Flattening repo "${name}" → ${outputFile}`));
 
@@ -248,8 +259,7 @@ program
 
         for (const [name, config] of Object.entries(dbSources)) {
           if (config.type === 'database') {
-            const cacheRoot = bmadFed.dependencyResolver.config.bmad_config.federated_settings?.cache_root || './bmad-fks-cache';
-            const cachePath = path.join(cacheRoot, 'db-knowledge');
+            const cachePath = path.join(bmadFed.dependencyResolver.getCacheRoot(), 'db-knowledge');
             // Check if PDF or JSON exists
             const pdfPath = path.join(cachePath, `${name}.pdf`);
             const jsonPath = path.join(cachePath, `${name}.json`);
@@ -306,8 +316,10 @@ program
   .option('-r, --repo <url>', 'Repository URL')
   .option('-b, --branch <branch>', 'Branch name', 'main')
   .option('-p, --priority <number>', 'Priority (0-999)', '0')
-  .option('-s, --sync-policy <policy>', 'Sync policy (daily|weekly|on_demand|manual)', 'weekly')
+  .option('-s, --sync-policy <policy>', 'Sync policy: daily|weekly|on_demand|manual, an ISO-8601 duration (PT6H) or a cron expression', 'weekly')
   .option('-c, --cache <path>', 'Local cache path')
+  .option('--path <folder>', 'Folder of a monorepo to use as the knowledge source root')
+  .option('-l, --layout <preset>', 'Layout of the repository: bmad-standard (default), docs-site or adr')
   .option('--interactive', 'Interactive mode')
   .action(async (name, options) => {
     try {
@@ -335,13 +347,26 @@ program
             message: 'Local cache path:',
             default: options.cache || `./.bmad-fks-cache/${name}`
           },
+          {
+            type: 'input',
+            name: 'path',
+            message: 'Folder of the repository holding the knowledge (optional, whole repository if empty):',
+            default: options.path
+          },
           {
             type: 'list',
             name: 'sync_policy',
             message: 'Sync policy:',
-            choices: ['daily', 'weekly', 'on_demand', 'manual'],
+            choices: ['daily', 'weekly', 'on_demand', 'manual', 'custom'],
             default: options.syncPolicy || 'weekly'
           },
+          {
+            type: 'input',
+            name: 'custom_sync_policy',
+            message: 'ISO-8601 duration (e.g. PT6H) or cron expression (e.g. 0 2 * * *):',
+            when: (answers) => answers.sync_policy === 'custom',
+            validate: (input) => validateSyncPolicy(input.trim()) || true
+          },
           {
             type: 'number',
             name: 'priority',
@@ -360,10 +385,13 @@ program
           repo: answers.repo,
           branch: answers.branch,
           local_cache: answers.local_cache,
-          sync_policy: answers.sync_policy,
+          sync_policy: answers.custom_sync_policy ? answers.custom_sync_policy.trim() : answers.sync_policy,
           priority: answers.priority
         };
 
+        if (answers.path && answers.path.trim()) {
+          repoConfig.path = answers.path.trim();
+        }
         if (answers.description) {
           repoConfig.metadata = { description: answers.description };
         }
@@ -376,6 +404,12 @@ program
           sync_policy: options.syncPolicy,
           priority: parseInt(options.priority)
         };
+        if (options.path) {
+          repoConfig.path = options.path;
+        }
+        if (options.layout) {
+          repoConfig.layout = options.layout;
+        }
       }
 
       const spinner = ora(`Adding repository: ${name}`).start();
@@ -466,44 +500,89 @@ program
   .command('sync [name]')
   .description('Sync federated repositories')
   .option('-f, --force', 'Force sync regardless of policy')
-  .option('-p, --parallel', 'Sync repositories in parallel', true)
+  .option('-p, --parallel', 'Sync repositories in parallel (default: parallel_sync)')
+  .option('--no-parallel', 'Sync one repository at a time')
+  .option('-c, --concurrency <count>', 'Repositories synced at once (default: max_concurrency)', (value) => parseInt(value, 10))
+  .option('--frozen', 'Check out exactly the commits recorded in fks-lock.yaml')
+  .option('-w, --wait [seconds]', 'Wait for repositories another process is syncing instead of skipping them', parseWaitSeconds)
+  .option('--deepen <commits>', 'Fetch this many more commits of the history of shallow caches', (value) => parseInt(value, 10))
+  .option('--timings', 'Show the time each repository spent per sync phase')
   .action(async (name, options) => {
+    const progress = new SyncProgressDisplay();
+
     try {
       await bmadFed.initialize();
 
       if (name) {
         // Sync specific repository
-        const spinner = ora(`Syncing repository: ${name}`).start();
-        
-        const result = await bmadFed.dependencyResolver.syncRepository(
-          name,
-          bmadFed.dependencyResolver.federatedRepos.get(name)
-        );
+        const repoConfig = bmadFed.dependencyResolver.federatedRepos.get(name);
+        if (!repoConfig) {
+          console.error(chalk.red(`Repository "${name}" not found`));
+          process.exit(1);
+        }
+
+        if (options.frozen && !(await bmadFed.dependencyResolver.lockfile.exists())) {
+          throw new Error('Lockfile not found. Run "bmad-fed sync" to generate it');
+        }
+
+        progress.start([name]);
+        const result = await bmadFed.dependencyResolver.syncRepository(name, repoConfig, {
+          force: options.force,
+          frozen: options.frozen,
+          wait: options.wait,
+          deepen: options.deepen,
+          onProgress: (repoName, event) => progress.update(repoName, event)
+        });
+        progress.stop();
         
-        if (result.status === 'success') {
-          spinner.succeed(chalk.green(`Repository "${name}" synced successfully!`));
-        } else {
-          spinner.fail(chalk.red(`Failed to sync repository "${name}"`));
+        if (result.status === 'locked') {
+          console.log(chalk.yellow(`Repository "${name}" was not synced: it is ${result.reason}; use --wait to wait for it`));
+        } else if (result.status === 'skipped') {
+          console.log(chalk.gray(`Repository "${name}" was not synced: ${result.reason}; use --force to sync it anyway`));
+        } else if (result.status === 'in_progress') {
+          console.log(chalk.yellow(`Repository "${name}" was not synced: ${result.reason}`));
+        } else if (result.status === 'success') {
+          console.log(chalk.green(`Repository "${name}" synced successfully!${formatAttempts(result)}`));
+          printRecovery(name, result);
+          if (options.timings) {
+            printTimings(name, result);
+          }
+        } else if (result.status === 'error') {
+          console.error(chalk.red(`Failed to sync repository "${name}"${formatAttempts(result)}`));
           console.error(chalk.red(result.error || 'Unknown error'));
         }
       } else {
         // Sync all repositories
-        const spinner = ora('Syncing all repositories...').start();
+        progress.start(Array.from(bmadFed.dependencyResolver.federatedRepos.keys()));
+        const results = await bmadFed.syncAll({
+          force: options.force,
+          frozen: options.frozen,
+          parallel: options.parallel,
+          concurrency: options.concurrency,
+          wait: options.wait,
+          deepen: options.deepen,
+          onProgress: (repoName, event) => progress.update(repoName, event)
+        });
+        progress.stop();
         
-        const results = await bmadFed.syncAll();
-        
-        spinner.succeed(chalk.green(`Sync completed: ${results.summary.successful} successful, ${results.summary.failed} failed`));
+        console.log(chalk.green(`\nSync completed: ${results.summary.successful} successful, ${results.summary.failed} failed`));
+        if (results.summary.locked > 0) {
+          console.log(chalk.yellow(`${results.summary.locked} repositories were skipped because another process is syncing them; use --wait to wait for them`));
+        }
         
-        // Show detailed results
+        // Show the retries repositories needed, and caches that had to be replaced
         for (const [repoName, result] of Object.entries(results.results)) {
-          if (result.status === 'success') {
-            console.log(chalk.green(`✓ ${repoName}`));
-          } else {
-            console.log(chalk.red(`✗ ${repoName}: ${result.error}`));
+          if (result.attempts?.length > 1) {
+            console.log(chalk.gray(`  ${repoName}${formatAttempts(result)}`));
+          }
+          printRecovery(repoName, result);
+          if (options.timings) {
+            printTimings(repoName, result);
           }
         }
       }
     } catch (error) {
+      progress.stop();
       console.error(chalk.red(`Sync failed: ${error.message}`));
       process.exit(1);
     }
@@ -544,14 +623,39 @@ program
           console.log(`    Status: ${chalk[statusColor](repoStatus.status)}`);
           console.log(`    Repository: ${repoStatus.config?.repo || 'N/A'}`);
           console.log(`    Branch: ${repoStatus.config?.branch || 'N/A'}`);
+          if (repoStatus.transitive) {
+            console.log(`    Required by: ${repoStatus.parent} (depth ${repoStatus.depth})`);
+          }
+          if (repoStatus.config?.pin) {
+            const resolved = repoStatus.resolvedVersion ? ` (resolved ${repoStatus.resolvedVersion})` : '';
+            console.log(`    Pinned to: ${repoStatus.config.pin}${resolved}`);
+          }
           console.log(`    Priority: ${repoStatus.config?.priority || 0}`);
-          console.log(`    Last sync: ${repoStatus.lastSync || 'Never'}`);
+          console.log(`    Last sync: ${formatLastSync(repoStatus)}`);
           
           if (options.verbose && repoStatus.lastCommit) {
             console.log(`    Last commit: ${repoStatus.lastCommit.hash?.substring(0, 8)} - ${repoStatus.lastCommit.message}`);
             console.log(`    Author: ${repoStatus.lastCommit.author}`);
           }
+
+          if (options.verbose && repoStatus.lockedCommit) {
+            console.log(`    Locked commit: ${repoStatus.lockedCommit.substring(0, 8)}`);
+          }
+
+          if (options.verbose && repoStatus.stashes?.length > 0) {
+            console.log('    Saved local changes:');
+            for (const stash of repoStatus.stashes) {
+              console.log(`      ${stash.ref} ${chalk.gray(`${stash.commit.substring(0, 8)}, ${stash.date}`)}`);
+            }
+          }
           
+          if (repoStatus.syncLock) {
+            const lock = repoStatus.syncLock;
+            const sharedWith = lock.name && lock.name !== name ? ` syncing ${lock.name}, which shares this cache` : '';
+            const holder = lock.pid ? `PID ${lock.pid} on ${lock.host}${sharedWith} since ${lock.startedAt}` : `since ${lock.updatedAt}`;
+            console.log(`    Sync lock: ${lock.stale ? chalk.gray(`stale, ${holder}`) : chalk.yellow(`held by ${holder}`)}`);
+          }
+
           if (repoStatus.error) {
             console.log(`    Error: ${chalk.red(repoStatus.error)}`);
           }
@@ -562,12 +666,117 @@ program
         console.log(chalk.gray('No federated repositories configured.'));
         console.log(chalk.blue('Run "bmad-fed add <name>" to add a repository.'));
       }
+
+      // Web and database knowledge sources
+      const knowledgeSources = Object.entries(status.knowledgeSources || {});
+      if (knowledgeSources.length > 0) {
+        console.log(chalk.white.bold('Knowledge sources:'));
+
+        for (const [name, sourceStatus] of knowledgeSources) {
+          const statusColor = { success: 'green', error: 'red' }[sourceStatus.lastOutcome] || 'gray';
+
+          console.log(`  ${chalk[statusColor]('●')} ${chalk.bold(name)} (${sourceStatus.type})`);
+          console.log(`    Last sync: ${formatLastSync(sourceStatus)}`);
+
+          if (options.verbose && sourceStatus.file) {
+            console.log(`    File: ${sourceStatus.file}`);
+          }
+
+          if (sourceStatus.error) {
+            console.log(`    Error: ${chalk.red(sourceStatus.error)}`);
+          }
+
+          console.log();
+        }
+      }
     } catch (error) {
       console.error(chalk.red(`Failed to get status: ${error.message}`));
       process.exit(1);
     }
   });
 
+/**
+ * Parse the --wait option of sync
+ * @param {string} value - Seconds to wait at most, 0 waits indefinitely
+ * @returns {number} Milliseconds
+ * @throws {InvalidArgumentError} When the value is not a non-negative number
+ */
+function parseWaitSeconds(value) {
+  const seconds = Number(value);
+  if (value.trim() === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new InvalidArgumentError('Expected a number of seconds, 0 waits indefinitely.');
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Describe the retries a sync needed
+ * @param {Object} result - Sync result with the attempt history
+ * @returns {string} Suffix for the sync line, empty when the first attempt settled it
+ */
+function formatAttempts(result) {
+  const attempts = result.attempts || [];
+  return attempts.length > 1 ? chalk.gray(` (${attempts.length} attempts)`) : '';
+}
+
+/**
+ * Print where the cache of a repository went when it had to be cloned again
+ * @param {string} name - Repository name
+ * @param {Object} result - Sync result
+ */
+function printRecovery(name, result) {
+  if (result.recovered) {
+    const backup = result.recovered.backupPath ? `, the old one was kept at ${result.recovered.backupPath}` : '';
+    console.log(chalk.yellow(`  ${name}: cloned again because the cache ${result.recovered.reason}${backup}`));
+  }
+}
+
+/**
+ * Describe a knowledge layout on one line
+ * @param {string|Object|Array} layout - Layout value
+ * @returns {string} Preset names and globs with their categories
+ */
+function formatLayout(layout) {
+  return [].concat(layout)
+    .map(entry => typeof entry === 'string'
+      ? entry
+      : Object.entries(entry).map(([glob, category]) => `${glob} → ${category}`).join(', '))
+    .join(', ');
+}
+
+/**
+ * Print the time a repository sync spent per phase
+ * @param {string} name - Repository name
+ * @param {Object} result - Sync result
+ */
+function printTimings(name, result) {
+  if (!result.timings) {
+    return;
+  }
+
+  const { totalMs, ...phases } = result.timings;
+  const parts = Object.entries(phases).map(([phase, ms]) => `${phase.replace(/Ms$/, '')} ${ms}ms`);
+  console.log(chalk.gray(`  ${name}: ${totalMs}ms${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`));
+}
+
+/**
+ * Format the last sync details recorded in the sync ledger
+ * @param {Object} entry - Status entry with lastSync, lastOutcome and lastDuration
+ * @returns {string} Human readable last sync line
+ */
+function formatLastSync(entry) {
+  if (!entry.lastSync && !entry.lastOutcome) {
+    return 'Never';
+  }
+
+  const details = [entry.lastOutcome];
+  if (entry.lastDuration !== null && entry.lastDuration !== undefined) {
+    details.push(`${(entry.lastDuration / 1000).toFixed(1)}s`);
+  }
+
+  return `${entry.lastSync || 'Never succeeded'} (${details.filter(Boolean).join(', ')})`;
+}
+
 /**
  * List command
  */
@@ -598,8 +807,14 @@ program
         console.log(`  Repository: ${config.repo}`);
         console.log(`  Branch: ${config.branch}`);
         console.log(`  Cache: ${config.local_cache}`);
+        if (config.path || config.subpath) {
+          console.log(`  Path: ${config.path || config.subpath}`);
+        }
+        if (config.layout) {
+          console.log(`  Layout: ${formatLayout(config.layout)}`);
+        }
         console.log(`  Priority: ${config.priority}`);
-        console.log(`  Sync Policy: ${config.sync_policy}`);
+        console.log(`  Sync Policy: ${formatSyncPolicy(config.sync_policy)}`);
         console.log(`  Status: ${config.status}`);
         console.log();
       }
@@ -614,13 +829,33 @@ program
  */
 program
   .command('clean [name]')
-  .description('Clean cache for repositories')
+  .description('Clean cache for a knowledge source, or for all sources')
   .option('-f, --force', 'Force clean without confirmation')
+  .option('-n, --dry-run', 'Only list the paths that would be deleted')
   .action(async (name, options) => {
     try {
-      const message = name ? `clean cache for repository "${name}"` : 'clean all repository caches';
-      
+      await bmadFed.initialize();
+
+      const plan = await bmadFed.cleanCache(name, { dryRun: true });
+      for (const artifact of plan.refused) {
+        console.log(chalk.yellow(`  skip ${artifact.path} (${artifact.reason})`));
+      }
+      if (plan.removed.length === 0) {
+        console.log(chalk.green(`Nothing to clean${name ? ` for "${name}"` : ''}`));
+        return;
+      }
+
+      const total = plan.removed.reduce((size, artifact) => size + artifact.size, 0);
+      console.log(chalk.blue(`${options.dryRun ? 'Would delete' : 'Deleting'} ${plan.removed.length} path(s), ${formatSize(total)}:`));
+      for (const artifact of plan.removed) {
+        console.log(`  ${artifact.path}${chalk.gray(` (${artifact.source || 'orphaned'}, ${formatSize(artifact.size)})`)}`);
+      }
+      if (options.dryRun) {
+        return;
+      }
+
       if (!options.force) {
+        const message = name ? `clean the cache of "${name}"` : 'clean the whole cache';
         const { confirm } = await inquirer.prompt([{
           type: 'confirm',
           name: 'confirm',
@@ -634,12 +869,10 @@ program
         }
       }
 
-      const spinner = ora(`Cleaning ${name ? `repository: ${name}` : 'all caches'}`).start();
-      
-      await bmadFed.initialize();
-      await bmadFed.cleanCache(name);
-      
-      spinner.succeed(chalk.green(`Cache cleaned successfully!`));
+      const spinner = ora(`Cleaning ${name ? `knowledge source: ${name}` : 'all caches'}`).start();
+      const result = await bmadFed.cleanCache(name);
+
+      spinner.succeed(chalk.green(`Cleaned ${result.removed.length} path(s)`));
     } catch (error) {
       console.error(chalk.red(`Failed to clean cache: ${error.message}`));
       process.exit(1);
@@ -682,6 +915,21 @@ registerConnectionCommands(program, bmadFed);
 // Register the sync-db command
 registerSyncDbCommand(program, bmadFed);
 
+// Register the graph command
+registerGraphCommand(program, bmadFed);
+
+// Register the conflicts command group
+registerConflictsCommand(program, bmadFed);
+
+// Register the secrets command group
+registerSecretsCommand(program, bmadFed);
+
+// Register the cache command group
+registerCacheCommand(program, bmadFed);
+
+// Register the daemon command
+registerDaemonCommand(program, bmadFed);
+
 // Handle unknown commands
 program.on('command:*', () => {
   console.error(chalk.red(`Unknown command: ${program.args.join(' ')}`));
@@ -0,0 +1,160 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { getInterpolatedFields, isInterpolated } = require('../core/config-interpolator');
+const { isSecretReference } = require('../managers/credential-manager');
+
+// Configuration fields that must not hold a plaintext secret
+const SECRET_FIELDS = ['token', 'password', 'connection_string'];
+
+/**
+ * Register the secrets command group to the CLI
+ * @param {Command} program - Commander program instance
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ */
+function registerSecretsCommand(program, bmadFed) {
+  const secrets = program
+    .command('secrets')
+    .description('Manage credentials referenced from the configuration as secret:<provider>/<name>');
+
+  secrets
+    .command('set <reference> [value]')
+    .description('Store a secret, e.g. keyring/gitlab-token (prompts for the value when omitted)')
+    .option('-u, --username <name>', 'Username stored with the secret (git provider)')
+    .action(async (reference, value, options) => {
+      try {
+        const credentials = getCredentialManager(bmadFed);
+        const secretValue = value || await promptSecret(`Value for ${reference}:`);
+        const stored = await credentials.set(reference, secretValue, { username: options.username });
+
+        console.log(chalk.green(`Stored ${stored.reference}`));
+        console.log(chalk.blue(`Reference it in the configuration as "${stored.reference}"`));
+      } catch (error) {
+        console.error(chalk.red(`Failed to store secret: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  secrets
+    .command('rotate <reference> [value]')
+    .description('Replace the value of an existing secret (prompts for the new value when omitted)')
+    .option('-u, --username <name>', 'Username stored with the secret (git provider)')
+    .action(async (reference, value, options) => {
+      try {
+        const credentials = getCredentialManager(bmadFed);
+        const secretValue = value || await promptSecret(`New value for ${reference}:`);
+        const rotated = await credentials.rotate(reference, secretValue, { username: options.username });
+
+        console.log(chalk.green(`Rotated ${rotated.reference}`));
+      } catch (error) {
+        console.error(chalk.red(`Failed to rotate secret: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  secrets
+    .command('delete <reference>')
+    .description('Delete a stored secret')
+    .action(async (reference) => {
+      try {
+        if (await getCredentialManager(bmadFed).delete(reference)) {
+          console.log(chalk.green(`Deleted ${reference}`));
+        } else {
+          console.log(chalk.yellow(`No secret ${reference}`));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Failed to delete secret: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  secrets
+    .command('list')
+    .description('List stored secrets and the credentials used by the configuration')
+    .option('-p, --provider <name>', 'Only list secrets of one provider')
+    .action(async (options) => {
+      try {
+        const credentials = getCredentialManager(bmadFed);
+        const { secrets: stored, errors } = await credentials.list(
+          options.provider ? [options.provider] : undefined
+        );
+
+        console.log(chalk.blue.bold('\nStored Secrets\n'));
+        if (stored.length === 0) {
+          console.log(chalk.gray('  No stored secrets'));
+        }
+        for (const secret of stored) {
+          const rotated = secret.rotated_at ? `, rotated ${secret.rotated_at}` : '';
+          console.log(`  ${chalk.bold(secret.reference)} ${chalk.gray(`updated ${secret.updated_at}${rotated}`)}`);
+        }
+        for (const [provider, message] of Object.entries(errors)) {
+          console.log(chalk.yellow(`  ${provider}: ${message}`));
+        }
+
+        const config = await bmadFed.configValidator.loadConfigFile(bmadFed.options.configPath, { interpolate: false });
+        const fields = getInterpolatedFields(config).filter(field => SECRET_FIELDS.includes(field.key));
+
+        console.log(chalk.blue.bold('\nConfiguration Credentials\n'));
+        if (fields.length === 0) {
+          console.log(chalk.gray('  No credentials in the configuration'));
+        }
+        for (const field of fields) {
+          const value = field.holder[field.key];
+          if (isSecretReference(value)) {
+            console.log(`  ${field.fieldPath}: ${chalk.green(value)}`);
+          } else if (isInterpolated(value)) {
+            console.log(`  ${field.fieldPath}: ${chalk.cyan(value)}`);
+          } else {
+            console.log(`  ${field.fieldPath}: ${chalk.red('plaintext')} - move it with "bmad-fed secrets set"`);
+          }
+        }
+        console.log();
+      } catch (error) {
+        console.error(chalk.red(`Failed to list secrets: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
+/**
+ * Get the credential manager, asking for the vault passphrase when it is not in the environment
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ * @returns {CredentialManager} Credential manager
+ */
+function getCredentialManager(bmadFed) {
+  const credentials = bmadFed.credentialManager;
+  credentials.options.getPassphrase = async () =>
+    process.env.BMAD_FKS_VAULT_PASSPHRASE || await promptSecret('Vault passphrase:');
+  return credentials;
+}
+
+/**
+ * Store a connection string as a secret and return the reference to save instead
+ * Strings that already reference a secret or an environment variable are kept as they are
+ * @param {BmadFederatedKnowledge} bmadFed - BMAD FKS instance
+ * @param {string} name - Connection name
+ * @param {string} connectionString - Connection string
+ * @param {string} [provider] - Credential provider, or "none" to keep the plaintext value
+ * @returns {Promise<string>} Value for the connection_string field
+ */
+async function storeConnectionSecret(bmadFed, name, connectionString, provider = 'keyring') {
+  if (provider === 'none' || isInterpolated(connectionString)) {
+    return connectionString;
+  }
+
+  const { reference } = await getCredentialManager(bmadFed).set(`${provider}/connections/${name}`, connectionString);
+  console.log(chalk.gray(`Connection string stored as ${reference}`));
+  return reference;
+}
+
+async function promptSecret(message) {
+  const { value } = await inquirer.prompt([{
+    type: 'password',
+    name: 'value',
+    mask: '*',
+    message,
+    validate: (input) => input !== '' || 'A value is required'
+  }]);
+  return value;
+}
+
+module.exports = { registerSecretsCommand, storeConnectionSecret };
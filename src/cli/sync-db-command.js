@@ -3,6 +3,7 @@ const ora = require('ora');
 const inquirer = require('inquirer');
 const path = require('path');
 const fs = require('fs-extra');
+const { assertResolved } = require('../core/config-interpolator');
 
 // Check if pdfkit is installed
 let PDFDocument;
@@ -43,7 +44,6 @@ function registerSyncDbCommand(program, bmadFed) {
         // Get knowledge sources from config
         const config = bmadFed.dependencyResolver.config;
         const knowledgeSources = config.bmad_config.knowledge_sources || {};
-        const connections = config.bmad_config.connections || {};
         
         // Find database knowledge sources
         const dbSources = Object.entries(knowledgeSources)
@@ -97,63 +97,24 @@ function registerSyncDbCommand(program, bmadFed) {
           const spinner = ora(`Syncing database knowledge source: ${name}`).start();
           
           try {
-            // Get connection details
-            const connectionRef = source.connection_ref;
-            if (!connections[connectionRef]) {
-              spinner.fail(chalk.red(`Connection "${connectionRef}" not found.`));
-              continue;
-            }
-            
-            const connection = connections[connectionRef];
-            
-            // Execute query and get data
-            const data = await executeQuery(connection, source.query, options.mock);
-            
-            // Create cache directory if it doesn't exist
-            const cacheRoot = config.bmad_config.federated_settings?.cache_root || './.bmad-fks-cache';
-            const cachePath = path.join(cacheRoot, 'db-knowledge');
-            await fs.ensureDir(cachePath);
-            
-            // Check format preference and PDFKit availability
-            let outputPath;
-            const useJson = options.json || !PDFDocument;
-            
-            if (!useJson && PDFDocument) {
-              // Generate PDF
-              outputPath = path.join(cachePath, `${name}.pdf`);
-              await generatePdf(data, outputPath, name, source);
-              spinner.succeed(chalk.green(`Database knowledge source "${name}" synced successfully!`));
-              console.log(chalk.blue(`  PDF saved to: ${outputPath}`));
-            } else {
-              // Generate JSON output
-              outputPath = path.join(cachePath, `${name}.json`);
-              await fs.writeJson(outputPath, {
-                metadata: {
-                  name,
-                  source: source,
-                  query: source.query,
-                  timestamp: new Date().toISOString()
-                },
-                data
-              }, { spaces: 2 });
-              spinner.succeed(chalk.green(`Database knowledge source "${name}" synced successfully!`));
-              console.log(chalk.blue(`  JSON saved to: ${outputPath}`));
+            const { outputPath, format } = await syncDatabaseSource(bmadFed.dependencyResolver, name, source, options);
+            spinner.succeed(chalk.green(`Database knowledge source "${name}" synced successfully!`));
+            console.log(chalk.blue(`  ${format === 'pdf' ? 'PDF' : 'JSON'} saved to: ${outputPath}`));
+
+            if (!PDFDocument && !options.json) {
+              console.log(chalk.yellow(`  Note: PDFKit module not found.`));
+              console.log(chalk.yellow(`  To install PDFKit, run: npm install pdfkit`));
+              console.log(chalk.yellow(`  Or use --json flag to always output in JSON format`));
               
-              if (!PDFDocument && !options.json) {
-                console.log(chalk.yellow(`  Note: PDFKit module not found.`));
-                console.log(chalk.yellow(`  To install PDFKit, run: npm install pdfkit`));
-                console.log(chalk.yellow(`  Or use --json flag to always output in JSON format`));
-                
-                const { installPdfKit } = await inquirer.prompt([{
-                  type: 'confirm',
-                  name: 'installPdfKit',
-                  message: 'Would you like to install PDFKit now?',
-                  default: false
-                }]);
-                
-                if (installPdfKit) {
-                  await installPdfKitModule();
-                }
+              const { installPdfKit } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'installPdfKit',
+                message: 'Would you like to install PDFKit now?',
+                default: false
+              }]);
+              
+              if (installPdfKit) {
+                await installPdfKitModule();
               }
             }
           } catch (error) {
@@ -168,6 +129,76 @@ function registerSyncDbCommand(program, bmadFed) {
     });
 }
 
+/**
+ * Query a database knowledge source and save the result in the cache
+ * The outcome is recorded in the sync ledger either way
+ * @param {FederatedDependencyResolver} resolver - Dependency resolver holding the configuration
+ * @param {string} name - Knowledge source name
+ * @param {Object} source - Knowledge source configuration
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.json] - Save as JSON instead of PDF
+ * @param {boolean} [options.mock] - Use mock data instead of connecting
+ * @returns {Promise<Object>} Output path and format (pdf or json)
+ */
+async function syncDatabaseSource(resolver, name, source, options = {}) {
+  const config = resolver.config;
+  const connections = config.bmad_config.connections || {};
+  const startedAt = Date.now();
+
+  try {
+    // Get connection details
+    const connection = connections[source.connection_ref];
+    if (!connection) {
+      throw new Error(`Connection "${source.connection_ref}" not found.`);
+    }
+    assertResolved(connection);
+
+    // Execute query and get data
+    const data = await executeQuery(connection, source.query, options.mock);
+
+    // Create cache directory if it doesn't exist
+    const cacheRoot = config.bmad_config.federated_settings?.cache_root || './.bmad-fks-cache';
+    const cachePath = path.join(cacheRoot, 'db-knowledge');
+    await fs.ensureDir(cachePath);
+
+    // Check format preference and PDFKit availability
+    const useJson = options.json || !PDFDocument;
+    let outputPath;
+
+    if (!useJson) {
+      outputPath = path.join(cachePath, `${name}.pdf`);
+      await generatePdf(data, outputPath, name, source);
+    } else {
+      outputPath = path.join(cachePath, `${name}.json`);
+      await fs.writeJson(outputPath, {
+        metadata: {
+          name,
+          source: source,
+          query: source.query,
+          timestamp: new Date().toISOString()
+        },
+        data
+      }, { spaces: 2 });
+    }
+
+    await resolver.recordSync(name, {
+      type: 'database',
+      outcome: 'success',
+      durationMs: Date.now() - startedAt,
+      file: outputPath
+    });
+    return { outputPath, format: useJson ? 'json' : 'pdf' };
+  } catch (error) {
+    await resolver.recordSync(name, {
+      type: 'database',
+      outcome: 'error',
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
 /**
  * Execute database query based on connection type and return data
  * @param {Object} connection - Connection configuration
@@ -1075,4 +1106,4 @@ async function installPdfKitModule() {
   });
 }
 
-module.exports = { registerSyncDbCommand };
\ No newline at end of file
+module.exports = { registerSyncDbCommand, syncDatabaseSource };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const chalk = require('chalk');
+
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+const FRAME_INTERVAL = 80;
+
+const PHASE_LABELS = {
+  queued: 'queued',
+  waiting: 'waiting for another sync',
+  resolving: 'resolving version',
+  clone: 'cloning',
+  fetch: 'fetching',
+  checkout: 'checking out',
+  retrying: 'retrying',
+  done: 'done',
+  skipped: 'skipped',
+  failed: 'failed'
+};
+
+const FINAL_PHASES = {
+  done: { icon: '✓', color: chalk.green },
+  skipped: { icon: '-', color: chalk.gray },
+  failed: { icon: '✗', color: chalk.red }
+};
+
+/**
+ * Live multi-line sync progress, one line per repository showing its phase
+ * On a terminal the lines are redrawn in place, and anything else written to
+ * stdout or stderr meanwhile is printed above them. Otherwise every phase
+ * change is printed as its own line.
+ */
+class SyncProgressDisplay {
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+    this.interactive = options.interactive ?? Boolean(this.stream.isTTY);
+    this.repos = new Map();
+    this.frame = 0;
+    this.renderedLines = 0;
+    this.timer = null;
+    this.restoreStreams = null;
+  }
+
+  /**
+   * Start drawing
+   * @param {Array<string>} [names] - Repositories to show before their first update
+   */
+  start(names = []) {
+    for (const name of names) {
+      this.repos.set(name, { phase: 'queued' });
+    }
+
+    if (this.interactive) {
+      this.interceptOutput();
+      this.timer = setInterval(() => {
+        this.frame = (this.frame + 1) % SPINNER_FRAMES.length;
+        this.render();
+      }, FRAME_INTERVAL);
+      this.render();
+    }
+  }
+
+  /**
+   * Record the progress of a repository
+   * Suitable as the onProgress callback of FederatedDependencyResolver.syncAllRepositories
+   * @param {string} name - Repository name
+   * @param {Object} event - Progress event with a phase
+   */
+  update(name, event) {
+    const previous = this.repos.get(name);
+    this.repos.set(name, { ...event });
+
+    if (this.interactive) {
+      this.render();
+    } else if (!previous || previous.phase !== event.phase) {
+      this.stream.write(`${this.formatLine(name, event)}\n`);
+    }
+  }
+
+  /**
+   * Stop redrawing, leaving the final state on screen
+   */
+  stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.render();
+    this.renderedLines = 0;
+    if (this.restoreStreams) {
+      this.restoreStreams();
+      this.restoreStreams = null;
+    }
+  }
+
+  render() {
+    const lines = Array.from(this.repos, ([name, event]) => this.formatLine(name, event));
+    this.write(`${this.clearSequence()}${lines.map(line => `${line}\n`).join('')}`);
+    this.renderedLines = lines.length;
+  }
+
+  formatLine(name, event) {
+    const final = FINAL_PHASES[event.phase];
+    const width = Math.max(...Array.from(this.repos.keys(), key => key.length), name.length);
+    const label = PHASE_LABELS[event.phase] || event.phase;
+    const details = [];
+
+    if (event.stage && event.percent !== undefined) {
+      details.push(`${event.stage} ${event.percent}%`);
+    }
+    if (event.phase === 'retrying') {
+      details.push(`attempt ${event.attempt} in ${(event.delayMs / 1000).toFixed(1)}s`);
+    }
+    if (event.error && (event.phase === 'failed' || event.phase === 'retrying')) {
+      details.push(event.error.split('\n')[0]);
+    }
+    if (event.reason) {
+      details.push(event.reason);
+    }
+
+    const icon = final ? final.color(final.icon) : chalk.cyan(this.interactive ? SPINNER_FRAMES[this.frame] : '•');
+    const text = `${name.padEnd(width)}  ${label}${details.length > 0 ? chalk.gray(` - ${details.join(', ')}`) : ''}`;
+    return `${icon} ${final ? final.color(text) : text}`;
+  }
+
+  clearSequence() {
+    return this.renderedLines > 0 ? `\x1b[${this.renderedLines}A\x1b[0J` : '';
+  }
+
+  write(text) {
+    (this.rawWrite || this.stream.write.bind(this.stream))(text);
+  }
+
+  /**
+   * Route other output above the progress lines while drawing
+   */
+  interceptOutput() {
+    const streams = [this.stream, process.stderr].filter((stream, index, all) => all.indexOf(stream) === index);
+    const originals = streams.map(stream => stream.write);
+
+    this.rawWrite = originals[0].bind(this.stream);
+    streams.forEach((stream, index) => {
+      stream.write = (chunk, ...args) => {
+        this.rawWrite(this.clearSequence());
+        this.renderedLines = 0;
+        const written = originals[index].call(stream, chunk, ...args);
+        this.render();
+        return written;
+      };
+    });
+
+    this.restoreStreams = () => {
+      streams.forEach((stream, index) => {
+        stream.write = originals[index];
+      });
+      this.rawWrite = null;
+    };
+  }
+}
+
+module.exports = { SyncProgressDisplay };
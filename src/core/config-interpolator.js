@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { registerSecret } = require('./redact');
+
+/**
+ * Configuration interpolation for credentials
+ * Resolves environment variables and secret references in `auth` blocks and
+ * connection strings when a configuration is loaded:
+ *   - `${VAR}` and `${VAR:-default}` anywhere in the value (`$${VAR}` keeps the literal text)
+ *   - `env:VAR` as the whole value
+ *   - `file:path` as the whole value, reading the trimmed file content
+ *   - `secret:provider/name` as the whole value, read through a CredentialManager
+ *
+ * The raw values are remembered per object so restoreRawValues() can put the
+ * references back before a configuration is written to disk. A field that cannot
+ * be resolved keeps its raw value, and assertResolved() raises its error once the
+ * credentials are used, so one missing token does not stop the whole configuration
+ * from loading.
+ */
+
+const VARIABLE_PATTERN = /\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+const REFERENCE_PATTERN = /^(env|file|secret):(.+)$/;
+
+// Raw values of interpolated fields, keyed by the object holding the field
+const rawValues = new WeakMap();
+
+// Errors of fields that could not be resolved, keyed by the object holding the field
+const fieldErrors = new WeakMap();
+
+/**
+ * Resolve variables and secret references in a configuration in place
+ * @param {Object} config - Parsed configuration
+ * @param {Object} [options] - Interpolation options
+ * @param {Object} [options.env] - Environment variables, defaults to process.env
+ * @param {string} [options.baseDir] - Directory `file:` references are relative to
+ * @param {CredentialManager} [options.credentials] - Resolves `secret:` references
+ * @returns {Promise<Object>} The same configuration with resolved values
+ */
+async function interpolateConfig(config, options = {}) {
+  const context = {
+    env: options.env || process.env,
+    baseDir: options.baseDir || process.cwd(),
+    credentials: options.credentials || null
+  };
+
+  for (const { holder, key, fieldPath } of getInterpolatedFields(config)) {
+    const raw = holder[key];
+    let resolved;
+
+    try {
+      resolved = await resolveValue(raw, context);
+    } catch (error) {
+      fieldErrors.set(holder, { ...fieldErrors.get(holder), [key]: `${fieldPath}: ${error.message}` });
+      continue;
+    }
+
+    if (resolved !== raw) {
+      registerSecret(resolved);
+      holder[key] = resolved;
+      rawValues.set(holder, { ...rawValues.get(holder), [key]: { raw, resolved } });
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Fail when a credentials object holds fields interpolateConfig could not resolve
+ * @param {Object} holder - auth block or connection
+ * @throws {Error} Naming every unresolved field
+ */
+function assertResolved(holder) {
+  const errors = holder && typeof holder === 'object' ? fieldErrors.get(holder) : null;
+  if (errors) {
+    throw new Error(Object.values(errors).join('; '));
+  }
+}
+
+/**
+ * Copy a configuration with the references of interpolated fields put back
+ * Fields changed since they were interpolated keep their new value
+ * @param {*} value - Configuration or part of it
+ * @returns {*} Copy safe to write to disk
+ */
+function restoreRawValues(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => restoreRawValues(item));
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const fields = rawValues.get(value) || {};
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      fields[key] && fields[key].resolved === item ? fields[key].raw : restoreRawValues(item)
+    ])
+  );
+}
+
+/**
+ * Resolve a single configuration value
+ * @param {string} value - Raw value
+ * @param {Object} context - Environment variables, base directory and credential manager
+ * @returns {Promise<string>} Resolved value
+ */
+async function resolveValue(value, context) {
+  const reference = value.match(REFERENCE_PATTERN);
+
+  if (reference && reference[1] === 'secret') {
+    if (!context.credentials) {
+      throw new Error('secret references need a credential manager');
+    }
+    return await context.credentials.resolve(value);
+  }
+
+  if (reference && reference[1] === 'env') {
+    const name = reference[2];
+    if (context.env[name] === undefined) {
+      throw new Error(`environment variable ${name} is not set`);
+    }
+    return context.env[name];
+  }
+
+  if (reference && reference[1] === 'file') {
+    const filePath = path.resolve(context.baseDir, reference[2].replace(/^~(?=$|[/\\])/, os.homedir()));
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`secret file ${filePath} does not exist`);
+    }
+    return (await fs.readFile(filePath, 'utf8')).trim();
+  }
+
+  return value.replace(VARIABLE_PATTERN, (match, name, fallback) => {
+    if (match.startsWith('$$')) {
+      return match.substring(1);
+    }
+
+    const variable = context.env[name];
+    // Like the shell, `:-` also falls back when the variable is empty
+    if (fallback !== undefined) {
+      return variable || fallback;
+    }
+    if (variable === undefined) {
+      throw new Error(`environment variable ${name} is not set`);
+    }
+    return variable;
+  });
+}
+
+/**
+ * Check whether a configuration value is resolved when loaded
+ * @param {*} value - Configuration value
+ * @returns {boolean} Whether the value holds a variable or a reference
+ */
+function isInterpolated(value) {
+  return typeof value === 'string' && (REFERENCE_PATTERN.test(value) || value.includes('${'));
+}
+
+/**
+ * List the string fields that may hold credentials
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<Object>} Fields with the holding object, key and dotted path
+ */
+function getInterpolatedFields(config) {
+  const bmadConfig = config?.bmad_config || {};
+  const fields = [];
+
+  for (const [name, repo] of Object.entries(bmadConfig.federated_knowledge || {})) {
+    const auth = repo?.auth;
+    if (!auth || typeof auth !== 'object') {
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(auth)) {
+      if (typeof value === 'string') {
+        fields.push({ holder: auth, key, fieldPath: `bmad_config.federated_knowledge.${name}.auth.${key}` });
+      }
+    }
+  }
+
+  for (const [name, connection] of Object.entries(bmadConfig.connections || {})) {
+    if (typeof connection?.connection_string === 'string') {
+      fields.push({
+        holder: connection,
+        key: 'connection_string',
+        fieldPath: `bmad_config.connections.${name}.connection_string`
+      });
+    }
+  }
+
+  return fields;
+}
+
+module.exports = { interpolateConfig, restoreRawValues, assertResolved, resolveValue, isInterpolated, getInterpolatedFields };
@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Conflict History for auditing how merge conflicts were resolved over time
+ * Every resolved conflict is appended as one JSON line to a file in the cache root
+ */
+class ConflictHistory {
+  constructor(options = {}) {
+    this.options = {
+      cacheRoot: './.bmad-fks-cache',
+      fileName: '.fks-conflict-history.jsonl',
+      ...options
+    };
+
+    this.logger = options.logger || null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a write task after every pending one has finished
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the absolute path of the history file
+   * @returns {string} History file path
+   */
+  getFilePath() {
+    return path.resolve(this.options.cacheRoot, this.options.fileName);
+  }
+
+  /**
+   * Point the history at a different cache root
+   * @param {string} cacheRoot - Cache root directory
+   */
+  setCacheRoot(cacheRoot) {
+    if (cacheRoot) {
+      this.options.cacheRoot = cacheRoot;
+    }
+  }
+
+  /**
+   * Append entries to the history
+   * @param {Array<Object>} entries - Entries created with toHistoryEntry
+   * @returns {Promise<number>} Number of appended entries
+   */
+  async append(entries) {
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    return await this.enqueue(async () => {
+      const filePath = this.getFilePath();
+      const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.appendFile(filePath, lines, 'utf8');
+      return entries.length;
+    });
+  }
+
+  /**
+   * Read entries from the history, oldest first
+   * @param {Object} [options] - Read options
+   * @param {string|Date} [options.since] - Only entries recorded at or after this time
+   * @param {number} [options.limit] - Only the most recent entries
+   * @returns {Promise<Array<Object>>} History entries
+   */
+  async read(options = {}) {
+    const filePath = this.getFilePath();
+
+    if (!(await fs.pathExists(filePath))) {
+      return [];
+    }
+
+    const since = options.since ? new Date(options.since).getTime() : null;
+    if (Number.isNaN(since)) {
+      throw new Error(`Invalid date: ${options.since}`);
+    }
+
+    const entries = [];
+    const lines = (await fs.readFile(filePath, 'utf8')).split('\n');
+
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        const entry = JSON.parse(line);
+        if (since === null || Date.parse(entry.timestamp) >= since) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        // A line cut short by an interrupted write must not hide the rest of the history
+        if (this.logger) {
+          this.logger.warn(`Ignoring unreadable line ${index + 1} of ${filePath}`);
+        }
+      }
+    }
+
+    return options.limit ? entries.slice(-options.limit) : entries;
+  }
+
+  /**
+   * Remove every entry from the history
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.enqueue(async () => {
+      await fs.remove(this.getFilePath());
+    });
+  }
+}
+
+/**
+ * Describe a resolved conflict as a history entry
+ * `keep` and `replace` name a winner and a loser; merged and manual conflicts only list both sides
+ * @param {Object} conflict - Conflict from KnowledgeMerger
+ * @param {string} mergedAt - Time of the merge the conflict belongs to
+ * @returns {Object} History entry
+ */
+function toHistoryEntry(conflict, mergedAt) {
+  const sides = {
+    keep: [conflict.existing, conflict.incoming],
+    replace: [conflict.incoming, conflict.existing]
+  };
+  const [winner, loser] = sides[conflict.resolution] || [null, null];
+
+  return {
+    timestamp: conflict.timestamp,
+    merged_at: mergedAt,
+    id: conflict.id,
+    type: conflict.type,
+    key: conflict.key,
+    strategy: conflict.strategy || null,
+    resolution: conflict.resolution,
+    resolved_by: conflict.resolvedBy || 'strategy',
+    reason: conflict.reason,
+    winner: winner ? describeSide(winner) : null,
+    loser: loser ? describeSide(loser) : null,
+    candidates: [describeSide(conflict.existing), describeSide(conflict.incoming)]
+  };
+}
+
+function describeSide(side) {
+  return {
+    source: side.source,
+    priority: side.priority,
+    hash: side.hash
+  };
+}
+
+module.exports = { ConflictHistory, toHistoryEntry };
@@ -0,0 +1,193 @@
+/**
+ * Conflict report rendering for the persisted conflict history
+ * Reviewers use it to audit which federated standards were overridden locally
+ */
+
+const REPORT_FORMATS = ['markdown', 'html'];
+
+/**
+ * Summarize conflict history entries
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @returns {Object} Counts per resolution, local overrides and the covered period
+ */
+function summarizeConflictHistory(entries) {
+  const byResolution = {};
+  const latestMerge = new Map();
+
+  for (const entry of entries) {
+    byResolution[entry.resolution] = (byResolution[entry.resolution] || 0) + 1;
+    latestMerge.set(entry.id, entry.merged_at);
+  }
+
+  // An item counts as overridden while its most recent merge kept local content over a federated source
+  const localOverrides = entries
+    .filter(entry => entry.merged_at === latestMerge.get(entry.id))
+    .filter(entry => entry.winner?.source === 'local' && entry.loser && entry.loser.source !== 'local')
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  return {
+    total: entries.length,
+    items: latestMerge.size,
+    from: entries.length > 0 ? entries[0].timestamp : null,
+    to: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+    byResolution,
+    localOverrides
+  };
+}
+
+/**
+ * Render conflict history entries as a report
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @param {string} [format] - Output format (markdown, html)
+ * @returns {string} Rendered report
+ */
+function renderConflictReport(entries, format = 'markdown') {
+  const renderers = {
+    markdown: renderMarkdown,
+    html: renderHtml
+  };
+
+  if (!renderers[format]) {
+    throw new Error(`Unsupported report format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  return renderers[format](entries, summarizeConflictHistory(entries));
+}
+
+/**
+ * Build the tables shown in every report format
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @param {Object} summary - Summary from summarizeConflictHistory
+ * @returns {Array<Object>} Sections with a title, table headers and rows, and a text for empty tables
+ */
+function buildSections(entries, summary) {
+  return [
+    {
+      title: 'Summary',
+      headers: ['Resolution', 'Count'],
+      rows: Object.entries(summary.byResolution),
+      empty: 'No conflicts have been recorded.'
+    },
+    {
+      title: 'Local Overrides',
+      headers: ['Item', 'Overridden source', 'Priority', 'Local hash', 'Overridden hash', 'Reason', 'Last merged'],
+      rows: summary.localOverrides.map(entry => [
+        entry.id,
+        entry.loser.source,
+        entry.loser.priority,
+        entry.winner.hash,
+        entry.loser.hash,
+        entry.reason,
+        entry.timestamp
+      ]),
+      empty: 'No federated knowledge is currently overridden by local sources.'
+    },
+    {
+      title: 'History',
+      headers: ['Time', 'Item', 'Resolution', 'Winner', 'Loser', 'Strategy', 'Reason'],
+      rows: entries.map(entry => [
+        entry.timestamp,
+        entry.id,
+        entry.resolution,
+        describeSide(entry.winner),
+        describeSide(entry.loser),
+        entry.strategy || '',
+        entry.reason
+      ]),
+      empty: 'No conflicts have been recorded.'
+    }
+  ];
+}
+
+function renderMarkdown(entries, summary) {
+  const lines = [
+    '# Knowledge Conflict Report',
+    '',
+    `Generated: ${new Date().toISOString()}`,
+    '',
+    `${summary.total} conflict(s) on ${summary.items} item(s)${describePeriod(summary)}`
+  ];
+
+  for (const section of buildSections(entries, summary)) {
+    lines.push('', `## ${section.title}`, '');
+    if (section.rows.length === 0) {
+      lines.push(section.empty);
+    } else {
+      lines.push(...markdownTable(section.headers, section.rows));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderHtml(entries, summary) {
+  const body = [
+    '<h1>Knowledge Conflict Report</h1>',
+    `<p>Generated: ${escapeHtml(new Date().toISOString())}</p>`,
+    `<p>${summary.total} conflict(s) on ${summary.items} item(s)${escapeHtml(describePeriod(summary))}</p>`
+  ];
+
+  for (const section of buildSections(entries, summary)) {
+    body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.rows.length === 0) {
+      body.push(`<p>${escapeHtml(section.empty)}</p>`);
+    } else {
+      body.push(htmlTable(section.headers, section.rows));
+    }
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Knowledge Conflict Report</title>',
+    '<style>',
+    'body { font-family: sans-serif; margin: 2em; }',
+    'table { border-collapse: collapse; margin-bottom: 1em; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+    'th { background: #f4f4f4; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function describePeriod(summary) {
+  return summary.from ? ` between ${summary.from} and ${summary.to}` : '';
+}
+
+function describeSide(side) {
+  return side ? `${side.source} (${side.priority})` : '';
+}
+
+function markdownTable(headers, rows) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ];
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { summarizeConflictHistory, renderConflictReport, REPORT_FORMATS };
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('yaml');
+
+const RESOLUTIONS_VERSION = 1;
+
+/**
+ * Conflict Resolutions store for manual merge decisions
+ * Each decision records the content hash of every candidate it was made
+ * against, so it stops applying as soon as one of the sources changes.
+ */
+class ConflictResolutions {
+  constructor(options = {}) {
+    this.options = {
+      filePath: './.bmad-fks-core/fks-resolutions.yaml',
+      ...options
+    };
+
+    this.resolutions = {};
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the absolute path of the resolutions file
+   * @returns {string} Resolutions file path
+   */
+  getFilePath() {
+    return path.resolve(this.options.filePath);
+  }
+
+  /**
+   * Load recorded decisions from disk
+   * @returns {Promise<Object>} Decisions keyed by conflict id
+   */
+  async load() {
+    const filePath = this.getFilePath();
+
+    if (!(await fs.pathExists(filePath))) {
+      this.resolutions = {};
+      this.loaded = true;
+      return {};
+    }
+
+    try {
+      const content = yaml.parse(await fs.readFile(filePath, 'utf8')) || {};
+      if (content.resolutions_version && content.resolutions_version > RESOLUTIONS_VERSION) {
+        throw new Error(`unsupported resolutions_version ${content.resolutions_version}`);
+      }
+
+      this.resolutions = content.resolutions || {};
+      this.loaded = true;
+      return this.getAll();
+    } catch (error) {
+      throw new Error(`Failed to load conflict resolutions ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write recorded decisions to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize writes so an older snapshot never lands after a newer one
+    const run = this.writeQueue.then(() => this.write(), () => this.write());
+    this.writeQueue = run.catch(() => {});
+    return await run;
+  }
+
+  /**
+   * Write the current decisions to disk atomically
+   * @returns {Promise<void>}
+   */
+  async write() {
+    const filePath = this.getFilePath();
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    const resolutions = Object.fromEntries(
+      Object.keys(this.resolutions).sort().map(id => [id, this.resolutions[id]])
+    );
+
+    const content = [
+      '# Manual conflict resolutions recorded by `bmad-fed conflicts resolve`.',
+      '# A decision is applied while every source still has the content hash it was made against.',
+      yaml.stringify({ resolutions_version: RESOLUTIONS_VERSION, resolutions }, { indent: 2, lineWidth: 120 })
+    ].join('\n');
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  /**
+   * Get the decision recorded for a conflict
+   * @param {string} type - Knowledge type (template, workflow, data, config)
+   * @param {string} key - Item key
+   * @returns {Object|null} Recorded decision
+   */
+  get(type, key) {
+    const decision = this.resolutions[conflictId(type, key)];
+    return decision ? { ...decision } : null;
+  }
+
+  /**
+   * Record a decision for a conflict
+   * @param {string} type - Knowledge type
+   * @param {string} key - Item key
+   * @param {Object} decision - Decision details
+   * @param {Object} decision.candidates - Content hash of each candidate keyed by source name
+   * @param {string} [decision.winner] - Source whose content wins
+   * @param {string} [decision.content] - Hand-edited merged content
+   * @returns {Object} Stored decision
+   */
+  set(type, key, decision) {
+    const { candidates, winner, content } = decision;
+
+    if (!winner && content === undefined) {
+      throw new Error('A resolution needs either a winning source or merged content');
+    }
+    if (winner && !candidates[winner]) {
+      throw new Error(`Source ${winner} is not a candidate for ${conflictId(type, key)}`);
+    }
+
+    const entry = {
+      type,
+      key,
+      candidates: { ...candidates },
+      winner: winner || 'merged',
+      result_hash: winner ? candidates[winner] : hashContent(content),
+      ...(content !== undefined && !winner && { content }),
+      resolved_at: new Date().toISOString()
+    };
+
+    this.resolutions[conflictId(type, key)] = entry;
+    return { ...entry };
+  }
+
+  /**
+   * Remove the decision for a conflict
+   * @param {string} id - Conflict id (type:key)
+   * @returns {boolean} Whether a decision was removed
+   */
+  remove(id) {
+    if (!this.resolutions[id]) {
+      return false;
+    }
+
+    delete this.resolutions[id];
+    return true;
+  }
+
+  /**
+   * Get all recorded decisions
+   * @returns {Object} Decisions keyed by conflict id
+   */
+  getAll() {
+    return { ...this.resolutions };
+  }
+}
+
+/**
+ * Build the id a conflict is recorded under
+ * @param {string} type - Knowledge type
+ * @param {string} key - Item key
+ * @returns {string} Conflict id
+ */
+function conflictId(type, key) {
+  return `${type}:${key}`;
+}
+
+/**
+ * Hash knowledge content for change detection
+ * @param {string} content - File content
+ * @returns {string} Short SHA-256 hash
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(String(content ?? '')).digest('hex').substring(0, 16);
+}
+
+module.exports = { ConflictResolutions, conflictId, hashContent, RESOLUTIONS_VERSION };
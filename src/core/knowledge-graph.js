@@ -0,0 +1,227 @@
+/**
+ * Knowledge Graph describing how knowledge sources relate to each other
+ * Nodes are the project, repositories, web pages, database sources and local
+ * knowledge; edges record which source pulls in another and which sources
+ * shadowed others during a merge. Renders to DOT, Mermaid and JSON.
+ */
+class KnowledgeGraph {
+  constructor() {
+    this.nodes = new Map();
+    this.edges = [];
+  }
+
+  /**
+   * Add a node, merging attributes into an existing node with the same id
+   * @param {Object} node - Node attributes
+   * @param {string} node.id - Unique node id
+   * @param {string} node.type - Node type (project|git|web|database|local)
+   * @param {string} node.label - Display name
+   * @returns {Object} Stored node
+   */
+  addNode(node) {
+    const existing = this.nodes.get(node.id);
+    const merged = { conflicts: 0, shadowed: 0, ...existing, ...node };
+    this.nodes.set(node.id, merged);
+    return merged;
+  }
+
+  /**
+   * Get a node by id
+   * @param {string} id - Node id
+   * @returns {Object|null} Node
+   */
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  /**
+   * Add an edge, counting repeats of the same edge instead of duplicating it
+   * @param {string} from - Source node id
+   * @param {string} to - Target node id
+   * @param {string} kind - Edge kind (includes|depends|cycle|shadows)
+   * @returns {Object} Stored edge
+   */
+  addEdge(from, to, kind) {
+    const existing = this.edges.find(edge => edge.from === from && edge.to === to && edge.kind === kind);
+    if (existing) {
+      existing.count++;
+      return existing;
+    }
+
+    const edge = { from, to, kind, count: 1 };
+    this.edges.push(edge);
+    return edge;
+  }
+
+  /**
+   * Count merge conflicts against the sources involved
+   * @param {Array<Object>} conflicts - Conflicts reported by KnowledgeMerger
+   * @param {Function} resolveId - Maps a conflict source name to a node id
+   */
+  addConflicts(conflicts, resolveId) {
+    for (const conflict of conflicts) {
+      const existingId = resolveId(conflict.existing?.source);
+      const incomingId = resolveId(conflict.incoming?.source);
+
+      if (!existingId || !incomingId || existingId === incomingId) {
+        continue;
+      }
+
+      this.nodes.get(existingId).conflicts++;
+      this.nodes.get(incomingId).conflicts++;
+
+      if (conflict.resolution === 'keep') {
+        this.nodes.get(incomingId).shadowed++;
+        this.addEdge(existingId, incomingId, 'shadows');
+      } else if (conflict.resolution === 'replace') {
+        this.nodes.get(existingId).shadowed++;
+        this.addEdge(incomingId, existingId, 'shadows');
+      }
+    }
+  }
+
+  /**
+   * Serialize the graph as plain JSON
+   * @returns {Object} Nodes and edges
+   */
+  toJSON() {
+    return {
+      nodes: Array.from(this.nodes.values()),
+      edges: this.edges.map(edge => ({ ...edge }))
+    };
+  }
+
+  /**
+   * Render the graph in Graphviz DOT format
+   * @returns {string} DOT source
+   */
+  toDot() {
+    const lines = [
+      'digraph knowledge {',
+      '  rankdir=LR;',
+      '  node [fontname="Helvetica", fontsize=10];',
+      '  edge [fontname="Helvetica", fontsize=9];'
+    ];
+
+    for (const node of this.nodes.values()) {
+      const style = NODE_STYLES[node.type] || NODE_STYLES.default;
+      const label = describeNode(node).map(escapeDot).join('\\n');
+      lines.push(`  ${quoteDot(node.id)} [label="${label}", shape=${style.shape}, color=${quoteDot(style.color)}];`);
+    }
+
+    for (const edge of this.edges) {
+      const style = EDGE_STYLES[edge.kind] || EDGE_STYLES.includes;
+      const attributes = [`style=${style.dot}`];
+      const label = describeEdge(edge);
+      if (label) {
+        attributes.push(`label=${quoteDot(label)}`);
+      }
+      lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [${attributes.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render the graph as a Mermaid flowchart
+   * @returns {string} Mermaid source
+   */
+  toMermaid() {
+    const ids = new Map(Array.from(this.nodes.keys(), (id, index) => [id, `n${index}`]));
+    const lines = ['graph LR'];
+
+    for (const node of this.nodes.values()) {
+      const style = NODE_STYLES[node.type] || NODE_STYLES.default;
+      const label = describeNode(node).map(escapeMermaid).join('<br/>');
+      lines.push(`  ${ids.get(node.id)}${style.mermaid[0]}"${label}"${style.mermaid[1]}`);
+    }
+
+    for (const edge of this.edges) {
+      const style = EDGE_STYLES[edge.kind] || EDGE_STYLES.includes;
+      const label = describeEdge(edge);
+      const arrow = label ? `${style.mermaid}|${escapeMermaid(label)}|` : style.mermaid;
+      lines.push(`  ${ids.get(edge.from) || edge.from} ${arrow} ${ids.get(edge.to) || edge.to}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render the graph in the requested format
+   * @param {string} format - Output format (dot|mermaid|json)
+   * @returns {string} Rendered graph
+   */
+  render(format) {
+    const renderers = {
+      dot: () => this.toDot(),
+      mermaid: () => this.toMermaid(),
+      json: () => `${JSON.stringify(this.toJSON(), null, 2)}\n`
+    };
+
+    if (!renderers[format]) {
+      throw new Error(`Unknown graph format: ${format}. Use dot, mermaid or json`);
+    }
+
+    return renderers[format]();
+  }
+}
+
+const NODE_STYLES = {
+  project: { shape: 'doubleoctagon', color: '#333333', mermaid: ['{{', '}}'] },
+  git: { shape: 'box', color: '#1f6feb', mermaid: ['[', ']'] },
+  web: { shape: 'note', color: '#8250df', mermaid: ['>', ']'] },
+  database: { shape: 'cylinder', color: '#bf8700', mermaid: ['[(', ')]'] },
+  local: { shape: 'folder', color: '#1a7f37', mermaid: ['[/', '/]'] },
+  default: { shape: 'ellipse', color: '#666666', mermaid: ['(', ')'] }
+};
+
+const EDGE_STYLES = {
+  includes: { dot: 'solid', mermaid: '-->' },
+  depends: { dot: 'solid', mermaid: '-->' },
+  cycle: { dot: 'dotted', mermaid: '-.->' },
+  shadows: { dot: 'dashed', mermaid: '-.->' }
+};
+
+function describeNode(node) {
+  const lines = [node.label];
+  const details = [node.type];
+
+  if (node.priority !== undefined && node.priority !== null) {
+    details.push(`priority ${node.priority}`);
+  }
+  if (node.status) {
+    details.push(node.status);
+  }
+  lines.push(details.join(', '));
+
+  if (node.conflicts > 0) {
+    lines.push(`${node.conflicts} conflicts, ${node.shadowed} shadowed`);
+  }
+
+  return lines;
+}
+
+function describeEdge(edge) {
+  if (edge.kind === 'shadows') {
+    return `shadows ${edge.count}`;
+  }
+  if (edge.kind === 'cycle') {
+    return 'cycle';
+  }
+  return '';
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function quoteDot(value) {
+  return `"${escapeDot(value)}"`;
+}
+
+function escapeMermaid(value) {
+  return String(value).replace(/"/g, '#quot;').replace(/\|/g, '#124;');
+}
+
+module.exports = { KnowledgeGraph };
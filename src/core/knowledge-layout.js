@@ -0,0 +1,158 @@
+const { globToRegExp } = require('./path-filter');
+
+const KNOWLEDGE_CATEGORIES = ['templates', 'workflows', 'data', 'configs'];
+
+const DEFAULT_LAYOUT = 'bmad-standard';
+
+// Built-in layouts, as globs relative to the source root mapped to knowledge categories
+const LAYOUT_PRESETS = {
+  // templates/, workflows/ and core-data/ plus the BMAD configuration files
+  'bmad-standard': {
+    'templates/**/*.{yaml,yml,json,md}': 'templates',
+    'workflows/**/*.{yaml,yml,json}': 'workflows',
+    'core-data/**/*.{yaml,yml,json}': 'data',
+    '{core,bmad}-config.{yaml,yml}': 'configs'
+  },
+  // Documentation sites such as MkDocs or Docusaurus: pages under docs/ and their data files
+  'docs-site': {
+    'docs/**/*.{md,mdx}': 'templates',
+    'docs/**/*.{yaml,yml,json}': 'data',
+    'mkdocs.{yml,yaml}': 'configs'
+  },
+  // Architecture decision records in their usual locations
+  adr: {
+    'docs/adr/**/*.md': 'templates',
+    'docs/decisions/**/*.md': 'templates',
+    'doc/adr/**/*.md': 'templates',
+    'adr/**/*.md': 'templates',
+    'decisions/**/*.md': 'templates'
+  }
+};
+
+/**
+ * Knowledge Layout mapping the files of a knowledge source to knowledge categories
+ * A layout is a preset name, an object mapping globs to categories, or a list of
+ * both. Globs are relative to the source root and the first matching one wins:
+ *
+ *   layout:
+ *     - adr
+ *     - "guides/*.md": templates
+ *       "schemas/*.json": data
+ *
+ * Items are keyed by their path below the literal directories the glob starts with,
+ * so templates/prd.yaml and docs/prd.yaml can both be the template prd.yaml.
+ */
+class KnowledgeLayout {
+  /**
+   * @param {string|Object|Array} [layout] - layout value, bmad-standard by default
+   * @throws {Error} When a preset or category is unknown
+   */
+  constructor(layout = DEFAULT_LAYOUT) {
+    this.rules = toList(layout).flatMap(entry => toRules(entry));
+  }
+
+  /**
+   * Find the category of a file
+   * @param {string} relativePath - File path relative to the source root
+   * @returns {Object|null} { category, key }, or null when no glob matches the file
+   */
+  classify(relativePath) {
+    const normalized = normalizePath(relativePath);
+    const rule = this.rules.find(candidate => candidate.regex.test(normalized));
+    if (!rule) {
+      return null;
+    }
+
+    const key = rule.base ? normalized.slice(rule.base.length + 1) : normalized;
+    return { category: rule.category, key };
+  }
+
+  /**
+   * Check whether a directory can hold files of the layout, so others need not be read
+   * @param {string} relativePath - Directory path relative to the source root
+   * @returns {boolean} Whether any glob can match a file below the directory
+   */
+  mayContain(relativePath) {
+    const normalized = normalizePath(relativePath);
+    const depth = normalized ? normalized.split('/').length : 0;
+
+    return this.rules.some(rule => {
+      const related = !normalized || !rule.base ||
+        rule.base === normalized ||
+        rule.base.startsWith(`${normalized}/`) ||
+        normalized.startsWith(`${rule.base}/`);
+      return related && depth < rule.depth;
+    });
+  }
+}
+
+/**
+ * Parse a layout value
+ * @param {string|Object|Array} [layout] - layout value, bmad-standard when empty
+ * @returns {KnowledgeLayout} Parsed layout
+ * @throws {Error} When a preset or category is unknown
+ */
+function parseLayout(layout) {
+  return new KnowledgeLayout(layout === undefined || layout === null ? DEFAULT_LAYOUT : layout);
+}
+
+/**
+ * Check that a layout value can be parsed
+ * @param {string|Object|Array} layout - layout value
+ * @returns {string|null} Error message, or null when the layout is valid
+ */
+function validateLayout(layout) {
+  try {
+    parseLayout(layout);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function toRules(entry) {
+  if (typeof entry === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(LAYOUT_PRESETS, entry)) {
+      throw new Error(`Unknown layout preset "${entry}"; expected ${formatChoices(Object.keys(LAYOUT_PRESETS))}`);
+    }
+    return toRules(LAYOUT_PRESETS[entry]);
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Expected a preset name or an object mapping globs to knowledge categories');
+  }
+
+  return Object.entries(entry).map(([glob, category]) => {
+    if (!KNOWLEDGE_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown knowledge category "${category}" for "${glob}"; expected ${formatChoices(KNOWLEDGE_CATEGORIES)}`);
+    }
+
+    const pattern = normalizePath(glob).replace(/\/+$/, '');
+    const segments = pattern.split('/');
+    // Literal leading directories; the last segment always names the file
+    const literal = segments.slice(0, -1);
+    const wildcard = literal.findIndex(segment => /[*?{]/.test(segment));
+
+    return {
+      glob,
+      category,
+      base: (wildcard === -1 ? literal : literal.slice(0, wildcard)).join('/'),
+      depth: pattern.includes('**') ? Infinity : segments.length,
+      regex: new RegExp(globToRegExp(pattern).source, 'i')
+    };
+  });
+}
+
+function normalizePath(relativePath) {
+  return String(relativePath).trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+function formatChoices(choices) {
+  return `${choices.slice(0, -1).join(', ')} or ${choices[choices.length - 1]}`;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { KnowledgeLayout, parseLayout, validateLayout, LAYOUT_PRESETS, KNOWLEDGE_CATEGORIES };
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('yaml');
+
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Knowledge Lockfile for recording the exact commit resolved for every source
+ * Lets `bmad-fed sync --frozen` reproduce the same knowledge on every machine
+ */
+class KnowledgeLockfile {
+  constructor(options = {}) {
+    this.options = {
+      lockfilePath: './.bmad-fks-core/fks-lock.yaml',
+      ...options
+    };
+
+    this.sources = {};
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the absolute path of the lockfile
+   * @returns {string} Lockfile path
+   */
+  getFilePath() {
+    return path.resolve(this.options.lockfilePath);
+  }
+
+  /**
+   * Check whether the lockfile exists on disk
+   * @returns {Promise<boolean>} Whether the lockfile exists
+   */
+  async exists() {
+    return await fs.pathExists(this.getFilePath());
+  }
+
+  /**
+   * Load lockfile entries from disk
+   * @returns {Promise<Object>} Locked sources keyed by name
+   */
+  async load() {
+    const filePath = this.getFilePath();
+
+    if (!(await fs.pathExists(filePath))) {
+      this.sources = {};
+      this.loaded = true;
+      return {};
+    }
+
+    try {
+      const content = yaml.parse(await fs.readFile(filePath, 'utf8')) || {};
+      if (content.lockfile_version && content.lockfile_version > LOCKFILE_VERSION) {
+        throw new Error(`unsupported lockfile_version ${content.lockfile_version}`);
+      }
+
+      this.sources = content.sources || {};
+      this.loaded = true;
+      return { ...this.sources };
+    } catch (error) {
+      throw new Error(`Failed to load lockfile ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write lockfile entries to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize writes so an older snapshot never lands after a newer one
+    const run = this.writeQueue.then(() => this.write(), () => this.write());
+    this.writeQueue = run.catch(() => {});
+    return await run;
+  }
+
+  /**
+   * Write the current entries to disk atomically
+   * @returns {Promise<void>}
+   */
+  async write() {
+    const filePath = this.getFilePath();
+    // Unique per write, so concurrent saves in one process do not share a temp file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    // Sort sources so the lockfile produces stable diffs
+    const sources = Object.fromEntries(
+      Object.keys(this.sources).sort().map(name => [name, this.sources[name]])
+    );
+
+    const content = [
+      '# Generated by bmad-fed. Do not edit by hand.',
+      '# Commit this file so `bmad-fed sync --frozen` reproduces the same knowledge.',
+      yaml.stringify({ lockfile_version: LOCKFILE_VERSION, sources }, { indent: 2, lineWidth: 120 })
+    ].join('\n');
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  /**
+   * Get the locked entry for a source
+   * @param {string} name - Source name
+   * @returns {Object|null} Locked entry
+   */
+  get(name) {
+    const entry = this.sources[name];
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Record the resolved commit for a source
+   * @param {string} name - Source name
+   * @param {Object} entry - Locked entry
+   * @param {string} entry.repo - Repository URL
+   * @param {string} entry.commit - Resolved commit hash
+   * @param {Object} [entry.requested] - Requested branch, tag, ref or commit
+   */
+  set(name, entry) {
+    this.sources[name] = {
+      ...entry,
+      resolved_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Remove a source from the lockfile
+   * @param {string} name - Source name
+   * @returns {boolean} Whether an entry was removed
+   */
+  remove(name) {
+    if (!this.sources[name]) {
+      return false;
+    }
+
+    delete this.sources[name];
+    return true;
+  }
+
+  /**
+   * Get all locked entries
+   * @returns {Object} Locked entries keyed by source name
+   */
+  getAll() {
+    return { ...this.sources };
+  }
+}
+
+module.exports = { KnowledgeLockfile, LOCKFILE_VERSION };
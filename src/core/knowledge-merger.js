@@ -1,7 +1,29 @@
 const fs = require('fs-extra');
 const path = require('path');
 const _ = require('lodash');
+const yaml = require('yaml');
 const { Logger } = require('./logger');
+const { PathFilter, matchesGlob } = require('./path-filter');
+const { conflictId, hashContent } = require('./conflict-resolutions');
+const { structuralMerge, stripDeletions } = require('./structural-merge');
+const { toHistoryEntry } = require('./conflict-history');
+const { parseLayout, KNOWLEDGE_CATEGORIES } = require('./knowledge-layout');
+
+// Directory of each category inside a knowledge source, used to match strategy overrides
+const CATEGORY_DIRECTORIES = {
+  templates: 'templates',
+  workflows: 'workflows',
+  data: 'core-data',
+  configs: ''
+};
+
+// Item type of each category, as recorded in conflicts and resolutions
+const CATEGORY_ITEM_TYPES = {
+  templates: 'template',
+  workflows: 'workflow',
+  data: 'data',
+  configs: 'config'
+};
 
 /**
  * Knowledge Merger for handling conflict resolution and source merging
@@ -11,17 +33,50 @@ class KnowledgeMerger {
   constructor(options = {}) {
     this.options = {
       conflictResolution: 'priority', // 'priority', 'manual', 'local_wins'
+      // Per-category strategy; null follows conflictResolution
       mergeStrategies: {
-        templates: 'priority',
-        workflows: 'priority',
+        templates: null,
+        workflows: null,
         data: 'merge',
-        configs: 'priority'
+        configs: null
       },
+      // Glob-scoped strategies, e.g. { 'templates/security/**': 'highest_priority_only' }
+      strategyOverrides: {},
       ...options
     };
 
     this.logger = new Logger(options.logLevel || 'info');
     this.conflictLog = [];
+    this.resolutions = options.resolutions || null;
+  }
+
+  /**
+   * Apply settings loaded from the federated configuration
+   * @param {Object} settings - Merge settings
+   * @param {string} [settings.conflictResolution] - Conflict resolution strategy
+   * @param {ConflictResolutions} [settings.resolutions] - Recorded manual decisions
+   * @param {boolean} [settings.structuralMerge] - Merge YAML/JSON templates and workflows structurally
+   * @param {Object} [settings.mergeStrategies] - Per-category strategies and glob-scoped overrides
+   */
+  configure(settings = {}) {
+    if (settings.conflictResolution) {
+      this.options.conflictResolution = settings.conflictResolution;
+    }
+    if (settings.structuralMerge) {
+      this.options.mergeStrategies = {
+        ...this.options.mergeStrategies,
+        templates: 'structural',
+        workflows: 'structural'
+      };
+    }
+    if (settings.mergeStrategies) {
+      const { overrides, ...categories } = settings.mergeStrategies;
+      this.options.mergeStrategies = { ...this.options.mergeStrategies, ...categories };
+      this.options.strategyOverrides = { ...overrides };
+    }
+    if (settings.resolutions) {
+      this.resolutions = settings.resolutions;
+    }
   }
 
   /**
@@ -33,6 +88,9 @@ class KnowledgeMerger {
   async mergeKnowledgeSources(knowledgeSources, dependencies = []) {
     try {
       this.logger.info('Starting knowledge source merging process');
+
+      // The log only holds the conflicts of the latest merge, so a long-running daemon does not accumulate them
+      this.clearConflictLog();
       
       // Sort sources by priority (highest first)
       const sortedSources = knowledgeSources.sort((a, b) => b.priority - a.priority);
@@ -96,11 +154,15 @@ class KnowledgeMerger {
         processedAt: new Date().toISOString()
       });
 
+      // Apply the source's include/exclude filters to every knowledge type
+      const filter = this.createSourceFilter(source);
+      const layout = parseLayout(source.config?.layout);
+
       // Process different knowledge types
-      await this.processTemplates(sourcePath, mergedKnowledge, source);
-      await this.processWorkflows(sourcePath, mergedKnowledge, source);
-      await this.processData(sourcePath, mergedKnowledge, source);
-      await this.processConfigs(sourcePath, mergedKnowledge, source);
+      const itemsByCategory = await this.scanLayout(sourcePath, layout, filter);
+      for (const category of KNOWLEDGE_CATEGORIES) {
+        await this.processCategory(category, itemsByCategory[category], mergedKnowledge, source);
+      }
 
     } catch (error) {
       this.logger.error(`Failed to process knowledge source ${source.path}:`, error);
@@ -109,207 +171,112 @@ class KnowledgeMerger {
   }
 
   /**
-   * Process templates from a knowledge source
-   * @param {string} sourcePath - Source directory path
-   * @param {Object} mergedKnowledge - Merged knowledge object
-   * @param {Object} source - Source metadata
-   * @returns {Promise<void>}
+   * Create a path filter from a source's configured filters
+   * @param {Object} source - Knowledge source object
+   * @returns {PathFilter|null} Path filter, or null when no rules are configured
    */
-  async processTemplates(sourcePath, mergedKnowledge, source) {
-    const templatesPath = path.join(sourcePath, 'templates');
-    const exists = await fs.pathExists(templatesPath);
-
-    if (!exists) return;
-
-    try {
-      const templates = await this.scanDirectory(templatesPath, ['.yaml', '.yml', '.json', '.md']);
-      
-      for (const template of templates) {
-        const relativePath = path.relative(templatesPath, template.path);
-        const key = this.normalizeKey(relativePath);
-
-        if (mergedKnowledge.templates[key]) {
-          // Handle conflict
-          const conflict = await this.handleConflict(
-            'template',
-            key,
-            mergedKnowledge.templates[key],
-            template,
-            source
-          );
-          
-          if (conflict.resolution === 'replace') {
-            mergedKnowledge.templates[key] = {
-              ...template,
-              source: source.repo || source.source,
-              priority: source.priority
-            };
-          }
-          
-          mergedKnowledge.conflicts.push(conflict);
-        } else {
-          mergedKnowledge.templates[key] = {
-            ...template,
-            source: source.repo || source.source,
-            priority: source.priority
-          };
-        }
-      }
-    } catch (error) {
-      this.logger.error(`Failed to process templates from ${sourcePath}:`, error);
-    }
+  createSourceFilter(source) {
+    const filter = new PathFilter(source.config?.filters || {});
+    return filter.hasRules() ? filter : null;
   }
 
   /**
-   * Process workflows from a knowledge source
-   * @param {string} sourcePath - Source directory path
+   * Add the items of one knowledge category from a source to the merged knowledge
+   * @param {string} category - Knowledge category (templates, workflows, data, configs)
+   * @param {Array} items - Items found by scanLayout, each with its key
    * @param {Object} mergedKnowledge - Merged knowledge object
    * @param {Object} source - Source metadata
    * @returns {Promise<void>}
    */
-  async processWorkflows(sourcePath, mergedKnowledge, source) {
-    const workflowsPath = path.join(sourcePath, 'workflows');
-    const exists = await fs.pathExists(workflowsPath);
-
-    if (!exists) return;
-
-    try {
-      const workflows = await this.scanDirectory(workflowsPath, ['.yaml', '.yml', '.json']);
-      
-      for (const workflow of workflows) {
-        const relativePath = path.relative(workflowsPath, workflow.path);
-        const key = this.normalizeKey(relativePath);
+  async processCategory(category, items, mergedKnowledge, source) {
+    const type = CATEGORY_ITEM_TYPES[category];
 
-        if (mergedKnowledge.workflows[key]) {
-          const conflict = await this.handleConflict(
-            'workflow',
+    for (const { key, ...item } of items) {
+      try {
+        if (mergedKnowledge[category][key]) {
+          const conflict = await this.resolveItemConflict(
+            category,
+            type,
             key,
-            mergedKnowledge.workflows[key],
-            workflow,
+            mergedKnowledge[category][key],
+            item,
             source
           );
-          
+
           if (conflict.resolution === 'replace') {
-            mergedKnowledge.workflows[key] = {
-              ...workflow,
+            mergedKnowledge[category][key] = {
+              ...item,
               source: source.repo || source.source,
               priority: source.priority
             };
           }
-          
+
           mergedKnowledge.conflicts.push(conflict);
         } else {
-          mergedKnowledge.workflows[key] = {
-            ...workflow,
+          mergedKnowledge[category][key] = {
+            ...item,
             source: source.repo || source.source,
             priority: source.priority
           };
         }
+      } catch (error) {
+        this.logger.error(`Failed to process ${type} ${item.path}:`, error);
       }
-    } catch (error) {
-      this.logger.error(`Failed to process workflows from ${sourcePath}:`, error);
     }
   }
 
   /**
-   * Process data files from a knowledge source
+   * Find the files of a knowledge source that its layout maps to a knowledge category
+   * Only directories the layout can match are read
    * @param {string} sourcePath - Source directory path
-   * @param {Object} mergedKnowledge - Merged knowledge object
-   * @param {Object} source - Source metadata
-   * @returns {Promise<void>}
+   * @param {KnowledgeLayout} layout - Layout of the source
+   * @param {PathFilter} [filter] - Include/exclude filter relative to the source root
+   * @param {string} [dirPath] - Directory to scan, defaults to the source root
+   * @returns {Promise<Object>} Items by category, each with its key and file details
    */
-  async processData(sourcePath, mergedKnowledge, source) {
-    const dataPath = path.join(sourcePath, 'core-data');
-    const exists = await fs.pathExists(dataPath);
-
-    if (!exists) return;
+  async scanLayout(sourcePath, layout, filter = null, dirPath = sourcePath) {
+    const itemsByCategory = Object.fromEntries(KNOWLEDGE_CATEGORIES.map(category => [category, []]));
 
+    let entries;
     try {
-      const dataFiles = await this.scanDirectory(dataPath, ['.yaml', '.yml', '.json']);
-      
-      for (const dataFile of dataFiles) {
-        const relativePath = path.relative(dataPath, dataFile.path);
-        const key = this.normalizeKey(relativePath);
-
-        if (mergedKnowledge.data[key]) {
-          // For data files, try to merge content if possible
-          const conflict = await this.handleDataConflict(
-            key,
-            mergedKnowledge.data[key],
-            dataFile,
-            source
-          );
-          
-          mergedKnowledge.conflicts.push(conflict);
-        } else {
-          mergedKnowledge.data[key] = {
-            ...dataFile,
-            source: source.repo || source.source,
-            priority: source.priority
-          };
-        }
-      }
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
     } catch (error) {
-      this.logger.error(`Failed to process data from ${sourcePath}:`, error);
+      this.logger.error(`Failed to scan directory ${dirPath}:`, error);
+      return itemsByCategory;
     }
-  }
 
-  /**
-   * Process configuration files from a knowledge source
-   * @param {string} sourcePath - Source directory path
-   * @param {Object} mergedKnowledge - Merged knowledge object
-   * @param {Object} source - Source metadata
-   * @returns {Promise<void>}
-   */
-  async processConfigs(sourcePath, mergedKnowledge, source) {
-    const configFiles = [
-      'core-config.yaml',
-      'core-config.yml',
-      'bmad-config.yaml',
-      'bmad-config.yml'
-    ];
-
-    for (const configFile of configFiles) {
-      const configPath = path.join(sourcePath, configFile);
-      const exists = await fs.pathExists(configPath);
-
-      if (exists) {
-        try {
-          const content = await fs.readFile(configPath, 'utf8');
-          const key = this.normalizeKey(configFile);
-
-          if (mergedKnowledge.configs[key]) {
-            const conflict = await this.handleConflict(
-              'config',
-              key,
-              mergedKnowledge.configs[key],
-              { path: configPath, content },
-              source
-            );
-            
-            if (conflict.resolution === 'replace') {
-              mergedKnowledge.configs[key] = {
-                path: configPath,
-                content,
-                source: source.repo || source.source,
-                priority: source.priority
-              };
-            }
-            
-            mergedKnowledge.conflicts.push(conflict);
-          } else {
-            mergedKnowledge.configs[key] = {
-              path: configPath,
-              content,
-              source: source.repo || source.source,
-              priority: source.priority
-            };
-          }
-        } catch (error) {
-          this.logger.error(`Failed to process config ${configPath}:`, error);
+    for (const entry of entries) {
+      const itemPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(sourcePath, itemPath);
+
+      if (entry.isDirectory()) {
+        if (entry.name === '.git' || !layout.mayContain(relativePath) || (filter && filter.isExcludedDirectory(relativePath))) {
+          continue;
+        }
+
+        const nested = await this.scanLayout(sourcePath, layout, filter, itemPath);
+        for (const category of KNOWLEDGE_CATEGORIES) {
+          itemsByCategory[category].push(...nested[category]);
         }
+      } else if (entry.isFile()) {
+        const match = layout.classify(relativePath);
+        if (!match || (filter && !filter.matches(relativePath))) {
+          continue;
+        }
+
+        const content = await fs.readFile(itemPath, 'utf8');
+        itemsByCategory[match.category].push({
+          key: this.normalizeKey(match.key),
+          path: itemPath,
+          name: entry.name,
+          extension: path.extname(entry.name).toLowerCase(),
+          content,
+          size: content.length
+        });
       }
     }
+
+    return itemsByCategory;
   }
 
   /**
@@ -319,25 +286,28 @@ class KnowledgeMerger {
    * @param {Object} existing - Existing item
    * @param {Object} incoming - Incoming item
    * @param {Object} source - Source metadata
+   * @param {string} [strategy] - Resolution strategy, defaults to the global conflictResolution
    * @returns {Promise<Object>} Conflict resolution result
    */
-  async handleConflict(type, key, existing, incoming, source) {
-    const conflict = {
-      type,
-      key,
-      timestamp: new Date().toISOString(),
-      existing: {
-        source: existing.source,
-        priority: existing.priority
-      },
-      incoming: {
-        source: source.repo || source.source,
-        priority: source.priority
-      }
-    };
+  async handleConflict(type, key, existing, incoming, source, strategy = this.options.conflictResolution) {
+    const conflict = this.createConflict(type, key, existing, incoming, source);
+
+    // Only the highest priority source is used; recorded decisions cannot override it
+    if (strategy === 'highest_priority_only') {
+      conflict.resolution = source.priority > existing.priority ? 'replace' : 'keep';
+      conflict.reason = 'Only the highest priority source is used';
+      this.logger.debug(`Conflict resolved for ${type}:${key} - ${conflict.resolution}`);
+      return conflict;
+    }
+
+    // Decisions recorded with `bmad-fed conflicts resolve` take precedence over any other strategy
+    if (this.applyRecordedResolution(conflict, incoming)) {
+      this.logger.debug(`Conflict resolved for ${type}:${key} from recorded resolution - ${conflict.resolution}`);
+      return conflict;
+    }
 
     // Apply conflict resolution strategy
-    switch (this.options.conflictResolution) {
+    switch (strategy) {
       case 'priority':
         if (source.priority > existing.priority) {
           conflict.resolution = 'replace';
@@ -372,21 +342,226 @@ class KnowledgeMerger {
     return conflict;
   }
 
+  /**
+   * Describe a conflict between an existing and an incoming item
+   * @param {string} type - Type of knowledge item
+   * @param {string} key - Item key
+   * @param {Object} existing - Existing item
+   * @param {Object} incoming - Incoming item
+   * @param {Object} source - Source metadata of the incoming item
+   * @returns {Object} Conflict without a resolution
+   */
+  createConflict(type, key, existing, incoming, source) {
+    return {
+      id: conflictId(type, key),
+      type,
+      key,
+      timestamp: new Date().toISOString(),
+      existing: {
+        source: existing.source,
+        priority: existing.priority,
+        path: existing.path,
+        hash: hashContent(existing.content)
+      },
+      incoming: {
+        source: source.repo || source.source,
+        priority: source.priority,
+        path: incoming.path,
+        hash: hashContent(incoming.content)
+      }
+    };
+  }
+
+  /**
+   * Resolve a conflict with the merge strategy configured for the item
+   * @param {string} category - Knowledge category (templates, workflows, data, configs)
+   * @param {string} type - Type of knowledge item
+   * @param {string} key - Item key
+   * @param {Object} existing - Existing item
+   * @param {Object} incoming - Incoming item
+   * @param {Object} source - Source metadata
+   * @returns {Promise<Object>} Conflict resolution result
+   */
+  async resolveItemConflict(category, type, key, existing, incoming, source) {
+    const strategy = this.getMergeStrategy(category, key);
+    let conflict;
+
+    if (strategy === 'structural') {
+      conflict = await this.handleStructuralConflict(type, key, existing, incoming, source);
+    } else if (strategy === 'merge') {
+      conflict = await this.handleDataConflict(key, existing, incoming, source, type);
+    } else {
+      conflict = await this.handleConflict(type, key, existing, incoming, source, strategy);
+    }
+
+    return { ...conflict, strategy };
+  }
+
+  /**
+   * Get the merge strategy for an item
+   * The first glob override matching the item path wins, then the category strategy,
+   * then the global conflictResolution
+   * @param {string} category - Knowledge category (templates, workflows, data, configs)
+   * @param {string} key - Item key relative to the category directory
+   * @returns {string} Merge strategy
+   */
+  getMergeStrategy(category, key) {
+    const itemPath = CATEGORY_DIRECTORIES[category] ? `${CATEGORY_DIRECTORIES[category]}/${key}` : key;
+
+    for (const [pattern, strategy] of Object.entries(this.options.strategyOverrides || {})) {
+      if (matchesGlob(itemPath, pattern.toLowerCase())) {
+        return strategy;
+      }
+    }
+
+    return this.options.mergeStrategies?.[category] || this.options.conflictResolution;
+  }
+
+  /**
+   * Merge two YAML/JSON documents structurally, the higher priority one as the overlay
+   * Falls back to standard conflict resolution for other formats, unparseable content
+   * and conflicts with a recorded manual decision
+   * @param {string} type - Type of knowledge item
+   * @param {string} key - Item key
+   * @param {Object} existing - Existing item, updated in place with the merged result
+   * @param {Object} incoming - Incoming item
+   * @param {Object} source - Source metadata
+   * @returns {Promise<Object>} Conflict resolution result
+   */
+  async handleStructuralConflict(type, key, existing, incoming, source) {
+    if (this.resolutions?.get(type, key)) {
+      return await this.handleConflict(type, key, existing, incoming, source);
+    }
+
+    const existingValue = existing.structured || this.parseStructured(existing);
+    const incomingValue = this.parseStructured(incoming);
+
+    if (!_.isPlainObject(existingValue) || !_.isPlainObject(incomingValue)) {
+      return await this.handleConflict(type, key, existing, incoming, source);
+    }
+
+    const conflict = this.createConflict(type, key, existing, incoming, source);
+    const incomingWins = source.priority > existing.priority;
+    const merged = incomingWins
+      ? structuralMerge(existingValue, incomingValue)
+      : structuralMerge(incomingValue, existingValue);
+
+    // Keep deletion markers so lower priority sources merged later are trimmed as well
+    existing.structured = merged;
+    existing.content = this.serializeStructured(stripDeletions(merged), existing.extension || path.extname(existing.path || ''));
+    existing.merged = true;
+    existing.sources = _.uniq([...(existing.sources || [existing.source]), source.repo || source.source]);
+
+    conflict.resolution = 'merged';
+    conflict.reason = `Structural merge with ${incomingWins ? conflict.incoming.source : conflict.existing.source} as overlay`;
+
+    this.logger.debug(`Conflict resolved for ${type}:${key} - structural merge`);
+    return conflict;
+  }
+
+  /**
+   * Parse a YAML or JSON knowledge item
+   * @param {Object} item - Knowledge item with content and extension
+   * @returns {*} Parsed value, or null for other formats and invalid content
+   */
+  parseStructured(item) {
+    const extension = (item.extension || path.extname(item.path || '')).toLowerCase();
+
+    try {
+      if (extension === '.json') {
+        return JSON.parse(item.content);
+      }
+      if (extension === '.yaml' || extension === '.yml') {
+        return yaml.parse(item.content);
+      }
+    } catch (error) {
+      this.logger.debug(`Could not parse ${item.path} for structural merge: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Render a structurally merged value in the format of the original file
+   * @param {Object} value - Merged value
+   * @param {string} extension - File extension
+   * @returns {string} Serialized content
+   */
+  serializeStructured(value, extension) {
+    if (extension.toLowerCase() === '.json') {
+      return `${JSON.stringify(value, null, 2)}\n`;
+    }
+    return yaml.stringify(value, { indent: 2, lineWidth: 120 });
+  }
+
+  /**
+   * Apply a recorded manual decision to a conflict
+   * The decision only applies while both sides still have the content it was made against;
+   * the existing side may also hold the hand-merged result of that same decision
+   * @param {Object} conflict - Conflict being resolved
+   * @param {Object} incoming - Incoming item, whose content is replaced by a hand-merged result
+   * @returns {boolean} Whether a recorded decision was applied
+   */
+  applyRecordedResolution(conflict, incoming) {
+    const decision = this.resolutions?.get(conflict.type, conflict.key);
+    if (!decision) {
+      return false;
+    }
+
+    const hashes = Object.values(decision.candidates || {});
+    const existingHash = conflict.existing.hash;
+    const incomingHash = conflict.incoming.hash;
+
+    if (!hashes.includes(incomingHash) || !(hashes.includes(existingHash) || existingHash === decision.result_hash)) {
+      conflict.outdatedResolution = true;
+      return false;
+    }
+
+    conflict.resolvedBy = 'resolutions';
+
+    if (decision.result_hash === existingHash) {
+      conflict.resolution = 'keep';
+      conflict.reason = `Recorded resolution picks ${decision.winner}`;
+    } else if (decision.result_hash === incomingHash) {
+      conflict.resolution = 'replace';
+      conflict.reason = `Recorded resolution picks ${decision.winner}`;
+    } else if (decision.content !== undefined) {
+      incoming.content = decision.content;
+      incoming.resolvedManually = true;
+      conflict.resolution = 'replace';
+      conflict.reason = 'Recorded hand-merged resolution';
+    } else {
+      // The winner is another candidate that has not been merged yet
+      conflict.resolution = 'keep';
+      conflict.reason = `Recorded resolution picks ${decision.winner}`;
+    }
+
+    return true;
+  }
+
   /**
    * Handle data file conflicts with potential merging
    * @param {string} key - Data key
    * @param {Object} existing - Existing data
    * @param {Object} incoming - Incoming data
    * @param {Object} source - Source metadata
+   * @param {string} [type] - Type of knowledge item
    * @returns {Promise<Object>} Conflict resolution result
    */
-  async handleDataConflict(key, existing, incoming, source) {
+  async handleDataConflict(key, existing, incoming, source, type = 'data') {
+    // A recorded manual decision replaces automatic merging
+    if (this.resolutions?.get(type, key)) {
+      return await this.handleConflict(type, key, existing, incoming, source);
+    }
+
     // Try to merge data if both are JSON/YAML
     try {
       const existingContent = await this.parseContent(existing.content || existing.path);
       const incomingContent = await this.parseContent(incoming.content || incoming.path);
 
       if (_.isObject(existingContent) && _.isObject(incomingContent)) {
+        const conflict = this.createConflict(type, key, existing, incoming, source);
+
         // Attempt deep merge
         const merged = _.mergeWith(existingContent, incomingContent, (objValue, srcValue) => {
           if (_.isArray(objValue)) {
@@ -399,11 +574,9 @@ class KnowledgeMerger {
         existing.sources = [existing.source, source.repo || source.source];
 
         return {
-          type: 'data',
-          key,
+          ...conflict,
           resolution: 'merged',
-          reason: 'Successfully merged data structures',
-          timestamp: new Date().toISOString()
+          reason: 'Successfully merged data structures'
         };
       }
     } catch (error) {
@@ -411,47 +584,7 @@ class KnowledgeMerger {
     }
 
     // Fall back to standard conflict resolution
-    return await this.handleConflict('data', key, existing, incoming, source);
-  }
-
-  /**
-   * Scan directory for files with specific extensions
-   * @param {string} dirPath - Directory path
-   * @param {Array} extensions - File extensions to include
-   * @returns {Promise<Array>} Array of file objects
-   */
-  async scanDirectory(dirPath, extensions = []) {
-    const files = [];
-    
-    try {
-      const items = await fs.readdir(dirPath, { withFileTypes: true });
-      
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item.name);
-        
-        if (item.isDirectory()) {
-          // Recursively scan subdirectories
-          const subFiles = await this.scanDirectory(itemPath, extensions);
-          files.push(...subFiles);
-        } else if (item.isFile()) {
-          const ext = path.extname(item.name).toLowerCase();
-          if (extensions.length === 0 || extensions.includes(ext)) {
-            const content = await fs.readFile(itemPath, 'utf8');
-            files.push({
-              path: itemPath,
-              name: item.name,
-              extension: ext,
-              content,
-              size: content.length
-            });
-          }
-        }
-      }
-    } catch (error) {
-      this.logger.error(`Failed to scan directory ${dirPath}:`, error);
-    }
-    
-    return files;
+    return await this.handleConflict(type, key, existing, incoming, source);
   }
 
   /**
@@ -470,7 +603,6 @@ class KnowledgeMerger {
       return JSON.parse(content);
     } catch {
       try {
-        const yaml = require('yaml');
         return yaml.parse(content);
       } catch {
         return content; // Return as string if parsing fails
@@ -502,6 +634,11 @@ class KnowledgeMerger {
       conflicts: mergedKnowledge.conflicts.length
     };
 
+    // Record resolved conflicts for the audit history
+    this.conflictLog.push(
+      ...mergedKnowledge.conflicts.map(conflict => toHistoryEntry(conflict, mergedKnowledge.metadata.mergedAt))
+    );
+
     // Log conflicts if any
     if (mergedKnowledge.conflicts.length > 0) {
       this.logger.warn(`Found ${mergedKnowledge.conflicts.length} conflicts during merge`);
@@ -513,7 +650,7 @@ class KnowledgeMerger {
 
   /**
    * Get conflict log
-   * @returns {Array} Array of conflict objects
+   * @returns {Array} History entries of the conflicts resolved by the latest merge
    */
   getConflictLog() {
     return [...this.conflictLog];
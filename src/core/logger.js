@@ -1,5 +1,14 @@
 const winston = require('winston');
 const path = require('path');
+const { redact } = require('./redact');
+
+// Mask credentials in every string field before any transport sees the entry
+const redactSecrets = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    info[key] = redact(info[key]);
+  }
+  return info;
+});
 
 /**
  * Logger utility for BMAD Federated Knowledge System
@@ -17,6 +26,7 @@ class Logger {
     this.logger = winston.createLogger({
       level,
       format: winston.format.combine(
+        redactSecrets(),
         winston.format.timestamp({
           format: 'YYYY-MM-DD HH:mm:ss'
         }),
@@ -0,0 +1,166 @@
+/**
+ * Path Filter for applying include/exclude glob rules to knowledge sources
+ * Patterns follow .gitignore conventions: a pattern without a slash matches a
+ * file or directory name at any depth, a pattern with a slash is anchored to
+ * the source root, and `**` spans any number of directories.
+ */
+class PathFilter {
+  constructor(filters = {}) {
+    this.include = (filters.include || []).map(pattern => normalizePattern(pattern)).filter(Boolean);
+    this.exclude = (filters.exclude || []).map(pattern => normalizePattern(pattern)).filter(Boolean);
+
+    this.includeMatchers = this.include.map(pattern => compilePattern(pattern));
+    this.excludeMatchers = this.exclude.map(pattern => compilePattern(pattern));
+  }
+
+  /**
+   * Whether any include or exclude rules are configured
+   * @returns {boolean} True when the filter restricts paths
+   */
+  hasRules() {
+    return this.include.length > 0 || this.exclude.length > 0;
+  }
+
+  /**
+   * Check whether a file path passes the filter
+   * @param {string} relativePath - Path relative to the source root
+   * @returns {boolean} Whether the file is included
+   */
+  matches(relativePath) {
+    const normalized = normalizePath(relativePath);
+
+    if (this.excludeMatchers.some(matcher => matcher(normalized))) {
+      return false;
+    }
+
+    if (this.includeMatchers.length === 0) {
+      return true;
+    }
+
+    return this.includeMatchers.some(matcher => matcher(normalized));
+  }
+
+  /**
+   * Check whether a whole directory can be skipped
+   * Only exclude rules prune directories, since include rules may match deeper paths
+   * @param {string} relativePath - Directory path relative to the source root
+   * @returns {boolean} Whether the directory is excluded
+   */
+  isExcludedDirectory(relativePath) {
+    const normalized = normalizePath(relativePath);
+    // `dir/` lets patterns such as `dir/**` prune the directory itself
+    return this.excludeMatchers.some(matcher => matcher(normalized) || matcher(`${normalized}/`));
+  }
+
+  /**
+   * Convert the rules into non-cone git sparse-checkout patterns
+   * @param {string} [root] - Folder of the repository the rules are relative to
+   * @returns {Array<string>} Sparse-checkout patterns
+   */
+  toSparseCheckoutPatterns(root = '') {
+    const prefix = root ? `/${normalizePattern(root)}` : '';
+    const patterns = this.include.length > 0
+      ? this.include.map(pattern => toSparsePattern(pattern, prefix))
+      : [`${prefix}/*`];
+
+    for (const pattern of this.exclude) {
+      patterns.push(`!${toSparsePattern(pattern, prefix)}`);
+    }
+
+    return patterns;
+  }
+}
+
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports `*`, `?`, `**` and `{a,b}` alternation
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        const followedBySlash = pattern[i + 2] === '/';
+        i++;
+
+        if (atSegmentStart && followedBySlash) {
+          source += '(?:.*/)?';
+          i++;
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a relative path against a single glob pattern
+ * @param {string} relativePath - Path relative to the source root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} Whether the path matches
+ */
+function matchesGlob(relativePath, pattern) {
+  return compilePattern(normalizePattern(pattern))(normalizePath(relativePath));
+}
+
+function compilePattern(pattern) {
+  const regex = globToRegExp(pattern);
+
+  if (!pattern.includes('/')) {
+    // Unanchored: match any single path segment, like .gitignore
+    return (relativePath) => relativePath.split('/').some(segment => regex.test(segment));
+  }
+
+  // Anchored: match the path itself or any of its parent directories
+  return (relativePath) => {
+    const segments = relativePath.split('/');
+    for (let i = segments.length; i > 0; i--) {
+      if (regex.test(segments.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+function normalizePattern(pattern) {
+  return String(pattern).trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+function normalizePath(relativePath) {
+  return String(relativePath).replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+function toSparsePattern(pattern, prefix = '') {
+  if (pattern.includes('/')) {
+    return `${prefix}/${pattern}`;
+  }
+  // Unanchored patterns match at any depth below the root
+  return prefix ? `${prefix}/**/${pattern}` : pattern;
+}
+
+module.exports = { PathFilter, globToRegExp, matchesGlob };
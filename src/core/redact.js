@@ -0,0 +1,60 @@
+/**
+ * Credential redaction for anything that is logged or displayed
+ * Removes credentials embedded in HTTP(S) URLs, Authorization headers and every
+ * secret value registered with registerSecret()
+ */
+
+const MASK = '***';
+
+// Shorter values are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 4;
+
+const URL_CREDENTIALS_PATTERN = /\b(https?:\/\/)([^\s/@:]+)(?::([^\s/@]*))?@/gi;
+
+const AUTHORIZATION_PATTERN = /(authorization:\s*(?:basic|bearer|token)\s+)[^\s'"]+/gi;
+
+const secrets = new Set();
+
+/**
+ * Register a secret value so it is masked wherever it shows up
+ * @param {string} value - Secret value
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Mask credentials in a text
+ * A user name alone in an HTTP(S) URL is masked too, since tokens are often passed that way
+ * @param {*} text - Text to redact
+ * @returns {*} Redacted text, or the value unchanged when it is not a string
+ */
+function redact(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  let redacted = text
+    .replace(URL_CREDENTIALS_PATTERN, (match, scheme, user, password) =>
+      password === undefined ? `${scheme}${MASK}@` : `${scheme}${user}:${MASK}@`)
+    .replace(AUTHORIZATION_PATTERN, `$1${MASK}`);
+
+  for (const secret of secrets) {
+    redacted = redacted.split(secret).join(MASK);
+  }
+
+  return redacted;
+}
+
+/**
+ * Remove the credentials of an HTTP(S) URL
+ * @param {string} url - Repository URL
+ * @returns {string} URL without user name and password
+ */
+function stripCredentials(url) {
+  return typeof url === 'string' ? url.replace(/^(https?:\/\/)[^\s/@]+@/i, '$1') : url;
+}
+
+module.exports = { redact, registerSecret, stripCredentials, MASK };
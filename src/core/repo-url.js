@@ -0,0 +1,62 @@
+const path = require('path');
+const { stripCredentials } = require('./redact');
+
+/**
+ * Repository URL parsing shared by everything that compares repositories or
+ * groups them by host. Understands URLs (https://, ssh://, git://, file://),
+ * scp-like SSH locations (git@host:org/repo.git) and local paths.
+ */
+
+/**
+ * Split a repository URL into its host and path
+ * Credentials, protocol, user and port are dropped; local paths are resolved
+ * @param {string} repoUrl - Repository URL or path
+ * @returns {Object} { host, path }, with a null host for local repositories
+ */
+function parseRepoUrl(repoUrl) {
+  const url = stripCredentials(String(repoUrl || '').trim());
+  const scpLike = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.*)$/);
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'file:' || !parsed.hostname
+        ? { host: null, path: path.resolve(decodeURIComponent(parsed.pathname)) }
+        : { host: parsed.hostname.toLowerCase(), path: parsed.pathname };
+    } catch (error) {
+      return { host: null, path: url };
+    }
+  }
+
+  // A single letter before the colon is a Windows drive, not a host
+  if (scpLike && scpLike[1].length > 1) {
+    return { host: scpLike[1].toLowerCase(), path: `/${scpLike[2].replace(/^\/+/, '')}` };
+  }
+
+  return { host: null, path: path.resolve(url) };
+}
+
+/**
+ * Reduce a repository URL to the repository it points at
+ * Credentials, protocol, user, port and a trailing .git are ignored, so the HTTPS
+ * and SSH URLs of one repository compare equal; local paths are resolved
+ * @param {string} repoUrl - Repository URL or path
+ * @returns {string} Comparable repository location
+ */
+function normalizeRepoUrl(repoUrl) {
+  const { host, path: repoPath } = parseRepoUrl(repoUrl);
+  const location = host ? `${host}${repoPath}` : repoPath;
+
+  return location.replace(/\/+$/, '').replace(/\.git$/, '');
+}
+
+/**
+ * Get the host of a repository URL, which per-host sync limits apply to
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} Host name, or "local" for local paths
+ */
+function getRepoHost(repoUrl) {
+  return parseRepoUrl(repoUrl).host || 'local';
+}
+
+module.exports = { parseRepoUrl, normalizeRepoUrl, getRepoHost };
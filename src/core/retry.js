@@ -0,0 +1,185 @@
+/**
+ * Retries with jittered exponential backoff and per-attempt timeouts
+ * Each attempt gets an AbortSignal that fires when the attempt times out, so
+ * operations can stop the work they started (e.g. kill a git process).
+ */
+
+// Messages of failures that are worth retrying: network trouble and overloaded servers
+const TRANSIENT_ERROR_PATTERNS = [
+  /timed? ?out/i,
+  /could not resolve host/i,
+  /temporary failure in name resolution/i,
+  /failed to connect/i,
+  /connection (refused|reset|closed|aborted)/i,
+  /network is unreachable/i,
+  /remote end hung up/i,
+  /early eof/i,
+  /rpc failed/i,
+  /unexpected disconnect/i,
+  /\b(429|500|502|503|504)\b/,
+  /too many requests/i,
+  /service unavailable/i,
+  /gnutls_handshake|ssl_error_syscall|ssl_read/i,
+  /\bE(CONNRESET|CONNREFUSED|TIMEDOUT|AI_AGAIN|PIPE|HOSTUNREACH|NETUNREACH)\b/
+];
+
+// How long a timed-out task may take to stop after its signal aborted
+const DEFAULT_ABORT_GRACE = 5000;
+
+// Failures retrying cannot fix, checked first because their messages may also look transient
+const PERMANENT_ERROR_PATTERNS = [
+  /authentication failed/i,
+  /could not read (username|password)/i,
+  /permission denied/i,
+  /not found/i,
+  /\b(401|403|404)\b/,
+  /host key verification failed/i,
+  /invalid (username|password|credentials)/i
+];
+
+/**
+ * Check whether an error is likely to go away when the operation is retried
+ * @param {Error} error - Failure of an attempt
+ * @returns {boolean} Whether the error is transient
+ */
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.timedOut) {
+    return true;
+  }
+
+  const message = `${error.code || ''} ${error.message || error}`;
+  if (PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(message))) {
+    return false;
+  }
+  return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Compute the delay before a retry
+ * The delay doubles with every retry up to maxDelay, and a random half of it is
+ * dropped so clients failing together do not retry together
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay] - Upper bound of the delay in milliseconds
+ * @param {Function} [options.random] - Random number generator returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(retry, options = {}) {
+  const { baseDelay = 1000, maxDelay = 30000, random = Math.random } = options;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** Math.max(0, retry - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Run an operation, retrying transient failures
+ * The attempt history is returned with the result, and attached to the error as
+ * `error.attempts` when every attempt failed. A timed-out attempt that ignored its
+ * signal is waited for before the next attempt starts.
+ * @param {Function} operation - Async function called with ({ attempt, signal })
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.timeout] - Timeout of each attempt in milliseconds, 0 disables it
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay] - Upper bound of retry delays in milliseconds
+ * @param {Function} [options.shouldRetry] - Decides whether an error is retried, defaults to isTransientError
+ * @param {Function} [options.onRetry] - Called with (error, attemptRecord) before waiting for a retry
+ * @param {number} [options.abortGrace] - How long a timed-out attempt may take to stop, in milliseconds
+ * @param {Function} [options.random] - Random number generator used for jitter
+ * @param {Function} [options.sleep] - Waits the given number of milliseconds
+ * @returns {Promise<Object>} Operation result and attempt history
+ */
+async function retry(operation, options = {}) {
+  const {
+    retries = 3,
+    timeout = 0,
+    abortGrace = DEFAULT_ABORT_GRACE,
+    shouldRetry = isTransientError,
+    onRetry = () => {},
+    sleep = delay => new Promise(resolve => setTimeout(resolve, delay))
+  } = options;
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    const record = { attempt, startedAt: new Date(startedAt).toISOString() };
+    attempts.push(record);
+
+    try {
+      const result = await runWithTimeout(signal => operation({ attempt, signal }), timeout, abortGrace);
+      record.status = 'success';
+      record.durationMs = Date.now() - startedAt;
+      return { result, attempts };
+    } catch (error) {
+      const transient = shouldRetry(error);
+      record.status = 'error';
+      record.durationMs = Date.now() - startedAt;
+      record.error = error.message;
+      record.transient = transient;
+
+      if (!transient || attempt > retries) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      record.retryDelayMs = computeBackoff(attempt, options);
+      onRetry(error, record);
+      // An abandoned attempt may still hold what the next one needs, such as a git index.lock
+      await Promise.all([sleep(record.retryDelayMs), error.settled]);
+    }
+  }
+}
+
+/**
+ * Run a task, aborting it when it takes longer than the timeout
+ * The task should stop when its signal aborts; one that does not is abandoned
+ * after the grace period, and the timeout error carries `error.settled`, a promise
+ * resolving once the abandoned task finally finishes
+ * @param {Function} task - Async function called with an AbortSignal
+ * @param {number} timeout - Timeout in milliseconds, 0 disables it
+ * @param {number} [abortGrace] - How long the task may take to stop, in milliseconds
+ * @returns {Promise<*>} Task result
+ */
+async function runWithTimeout(task, timeout, abortGrace = DEFAULT_ABORT_GRACE) {
+  const controller = new AbortController();
+
+  if (!timeout) {
+    return await task(controller.signal);
+  }
+
+  const running = new Promise(resolve => resolve(task(controller.signal)));
+  const settled = running.then(() => {}, () => {});
+
+  let timer;
+  let graceTimer;
+  const abandoned = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Operation timed out after ${formatDuration(timeout)}`);
+      error.timedOut = true;
+      controller.abort(error);
+      graceTimer = setTimeout(() => {
+        error.settled = settled;
+        reject(error);
+      }, abortGrace);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([running, abandoned]);
+  } catch (error) {
+    // Report the timeout rather than whatever the aborted task failed with
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    clearTimeout(graceTimer);
+  }
+}
+
+function formatDuration(milliseconds) {
+  return milliseconds % 1000 === 0 ? `${milliseconds / 1000}s` : `${milliseconds}ms`;
+}
+
+module.exports = { retry, runWithTimeout, computeBackoff, isTransientError };
@@ -0,0 +1,108 @@
+/**
+ * Structural merge for YAML/JSON knowledge documents
+ * An overlay document is merged onto a base document key by key: objects merge
+ * recursively, lists whose items all carry an `id` (or `name`) merge item by
+ * item, and any other value in the overlay replaces the base value.
+ *
+ * Deletion markers remove content from the base:
+ *   - a property set to "$delete" removes that property
+ *   - a keyed list item with `$delete: true` removes the matching item
+ *
+ * Markers are kept in the merged value so a later, lower priority base is
+ * still trimmed, and are removed with stripDeletions() before rendering.
+ */
+
+const DELETE_MARKER = '$delete';
+
+const LIST_KEY_FIELDS = ['id', 'name'];
+
+/**
+ * Merge an overlay value onto a base value
+ * @param {*} base - Lower priority value
+ * @param {*} overlay - Higher priority value
+ * @returns {*} Merged value, still containing deletion markers
+ */
+function structuralMerge(base, overlay) {
+  if (isPlainObject(base) && isPlainObject(overlay)) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(overlay)) {
+      result[key] = key in base && value !== DELETE_MARKER
+        ? structuralMerge(base[key], value)
+        : value;
+    }
+
+    return result;
+  }
+
+  if (Array.isArray(base) && Array.isArray(overlay)) {
+    const keyField = getListKeyField([...base, ...overlay]);
+    return keyField ? mergeKeyedList(base, overlay, keyField) : overlay;
+  }
+
+  return overlay;
+}
+
+/**
+ * Remove deletion markers and everything they mark
+ * @param {*} value - Merged value
+ * @returns {*} Value without deletion markers
+ */
+function stripDeletions(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => !(isPlainObject(item) && item[DELETE_MARKER] === true))
+      .map(item => stripDeletions(item));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== DELETE_MARKER)
+        .map(([key, item]) => [key, stripDeletions(item)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Find the field that identifies every item of a list
+ * @param {Array} items - List items
+ * @returns {string|null} Key field, or null when the list is not keyed
+ */
+function getListKeyField(items) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return LIST_KEY_FIELDS.find(field =>
+    items.every(item => isPlainObject(item) && item[field] !== undefined && item[field] !== null)
+  ) || null;
+}
+
+function mergeKeyedList(base, overlay, keyField) {
+  const result = base.slice();
+  const positions = new Map(result.map((item, index) => [String(item[keyField]), index]));
+
+  for (const item of overlay) {
+    const key = String(item[keyField]);
+
+    if (!positions.has(key)) {
+      positions.set(key, result.length);
+      result.push(item);
+    } else if (item[DELETE_MARKER] === true) {
+      result[positions.get(key)] = { [keyField]: item[keyField], [DELETE_MARKER]: true };
+    } else {
+      result[positions.get(key)] = structuralMerge(result[positions.get(key)], item);
+    }
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { structuralMerge, stripDeletions, getListKeyField, DELETE_MARKER };
@@ -0,0 +1,336 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const POLICY_JOB = 'policy';
+const DEFAULT_INTERVAL = '*/15 * * * *';
+
+/**
+ * Sync Daemon running scheduled syncs of every knowledge source
+ * One job checks the sync policies of all sources on the daemon interval; sources
+ * with their own cron schedule get a job of their own that syncs them regardless
+ * of policy. The daemon state is written to a health file for monitoring.
+ */
+class SyncDaemon {
+  /**
+   * @param {Object} options - Daemon options
+   * @param {FederatedDependencyResolver} options.resolver - Initialized dependency resolver
+   * @param {Object} [options.logger] - Logger, defaults to the resolver's
+   * @param {Object} [options.cron] - Cron implementation, defaults to node-cron
+   * @param {Function} [options.syncDatabase] - Called with (resolver, name, source) to sync a
+   *   database source; database sources are skipped without it
+   * @param {string} [options.interval] - Cron expression of the policy job
+   * @param {string} [options.healthFile] - Health file path
+   * @param {number} [options.heartbeatInterval] - Milliseconds between health file refreshes
+   * @param {number} [options.shutdownTimeout] - Milliseconds stop waits for running jobs
+   */
+  constructor(options = {}) {
+    this.options = {
+      healthFile: null,
+      heartbeatInterval: 60 * 1000,
+      shutdownTimeout: 5 * 60 * 1000,
+      ...options,
+      interval: options.interval || DEFAULT_INTERVAL
+    };
+
+    this.resolver = options.resolver;
+    this.logger = options.logger || this.resolver.logger;
+    this.cron = options.cron || require('node-cron');
+    this.syncDatabase = options.syncDatabase || null;
+    this.jobs = new Map();
+    this.tasks = [];
+    this.heartbeat = null;
+    this.healthWrites = Promise.resolve();
+    this.status = 'stopped';
+    this.startedAt = null;
+  }
+
+  /**
+   * Get the health file path
+   * @returns {string} Health file path
+   */
+  getHealthFile() {
+    return path.resolve(this.options.healthFile || path.join(this.resolver.getCacheRoot(), '.fks-daemon.json'));
+  }
+
+  /**
+   * List the knowledge sources the daemon syncs
+   * @returns {Array<Object>} Source name, type (git|web|database), configuration and schedule
+   */
+  getSources() {
+    const sources = [];
+
+    for (const [name, config] of this.resolver.getFederatedRepos()) {
+      sources.push({ name, type: 'git', config, schedule: config.schedule || null });
+    }
+
+    const knowledgeSources = this.resolver.config?.bmad_config?.knowledge_sources || {};
+    for (const [name, config] of Object.entries(knowledgeSources)) {
+      if (config?.type === 'web' || config?.type === 'database') {
+        sources.push({ name, type: config.type, config, schedule: config.schedule || null });
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Schedule the policy job and a job per scheduled source, and start reporting health
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.status === 'running') {
+      return;
+    }
+
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+
+    this.schedule(POLICY_JOB, this.options.interval, () => this.runPolicyJob());
+    for (const source of this.getSources().filter(source => source.schedule)) {
+      this.schedule(source.name, source.schedule, () => this.syncSource(source, { force: true }));
+    }
+
+    if (!this.syncDatabase && this.getSources().some(source => source.type === 'database')) {
+      this.logger.warn('Database sources are not synced: no database sync was provided');
+    }
+
+    this.heartbeat = setInterval(() => this.writeHealth(), this.options.heartbeatInterval);
+    await this.writeHealth();
+
+    this.logger.info(`Sync daemon started (PID ${process.pid}) with ${this.jobs.size} job(s); health file ${this.getHealthFile()}`);
+
+    // Catch up on sources that fell due while no daemon was running
+    this.runJob(POLICY_JOB);
+  }
+
+  /**
+   * Stop scheduling and wait for running jobs to finish
+   * @returns {Promise<boolean>} Whether every running job finished within shutdownTimeout
+   */
+  async stop() {
+    if (this.status !== 'running') {
+      return true;
+    }
+
+    this.status = 'stopping';
+    this.logger.info('Sync daemon stopping');
+
+    for (const task of this.tasks) {
+      task.stop();
+    }
+    this.tasks = [];
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    await this.writeHealth();
+
+    const running = Array.from(this.jobs.values()).filter(job => job.promise).map(job => job.promise);
+    let timer = null;
+    const finished = await Promise.race([
+      Promise.all(running).then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), this.options.shutdownTimeout);
+      })
+    ]);
+    clearTimeout(timer);
+
+    if (!finished) {
+      this.logger.warn(`Sync daemon stopped with job(s) still running after ${this.options.shutdownTimeout}ms`);
+    }
+
+    this.status = 'stopped';
+    await this.writeHealth();
+    this.logger.info('Sync daemon stopped');
+    return finished;
+  }
+
+  /**
+   * Register a cron job
+   * @param {string} name - Job name
+   * @param {string} expression - Cron expression
+   * @param {Function} run - Async job body
+   */
+  schedule(name, expression, run) {
+    if (!this.cron.validate(expression)) {
+      this.logger.error(`Not scheduling ${name}: invalid cron expression "${expression}"`);
+      return;
+    }
+
+    this.jobs.set(name, {
+      schedule: expression,
+      running: false,
+      promise: null,
+      lastRun: null,
+      lastOutcome: null,
+      lastError: null,
+      durationMs: null,
+      run
+    });
+    this.tasks.push(this.cron.schedule(expression, () => this.runJob(name)));
+  }
+
+  /**
+   * Run a job unless its previous run is still going
+   * @param {string} name - Job name
+   * @returns {Promise<void>}
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job || this.status !== 'running') {
+      return;
+    }
+    if (job.running) {
+      this.logger.warn(`Skipping scheduled run of ${name}: the previous run is still going`);
+      return;
+    }
+
+    const startedAt = Date.now();
+    job.running = true;
+    job.lastRun = new Date(startedAt).toISOString();
+    job.promise = (async () => {
+      try {
+        const failures = await job.run();
+        job.lastOutcome = failures.length > 0 ? 'error' : 'success';
+        job.lastError = failures.length > 0 ? failures.join('; ') : null;
+      } catch (error) {
+        job.lastOutcome = 'error';
+        job.lastError = error.message;
+        this.logger.error(`Scheduled job ${name} failed: ${error.message}`);
+      } finally {
+        job.running = false;
+        job.promise = null;
+        job.durationMs = Date.now() - startedAt;
+      }
+    })();
+
+    await this.writeHealth();
+    await job.promise;
+    await this.writeHealth();
+  }
+
+  /**
+   * Sync every unscheduled source whose sync policy says it is due
+   * @returns {Promise<Array<string>>} Failure messages
+   */
+  async runPolicyJob() {
+    // Pick up syncs other processes recorded since the last run
+    await this.resolver.getSyncLedger().load();
+
+    const sources = this.getSources().filter(source => !source.schedule);
+    const failures = [];
+
+    const repoNames = sources.filter(source => source.type === 'git').map(source => source.name);
+    if (repoNames.length > 0) {
+      failures.push(...await this.syncRepositories(repoNames, false));
+    }
+
+    for (const source of sources.filter(source => source.type !== 'git')) {
+      if (this.resolver.shouldSync(source.name, source.config)) {
+        failures.push(...await this.syncSource(source));
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Sync one knowledge source
+   * @param {Object} source - Source from getSources
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.force] - Sync regardless of the sync policy
+   * @returns {Promise<Array<string>>} Failure messages
+   */
+  async syncSource(source, options = {}) {
+    if (source.type === 'git') {
+      return this.syncRepositories([source.name], Boolean(options.force));
+    }
+
+    try {
+      if (source.type === 'web') {
+        await this.resolver.getWeb(source.name, source.config, { force: true });
+      } else if (this.syncDatabase) {
+        await this.syncDatabase(this.resolver, source.name, source.config);
+      } else {
+        return [];
+      }
+      this.logger.info(`Synced ${source.type} source ${source.name}`);
+      return [];
+    } catch (error) {
+      this.logger.error(`Failed to sync ${source.type} source ${source.name}: ${error.message}`);
+      return [`${source.name}: ${error.message}`];
+    }
+  }
+
+  /**
+   * Sync git repositories through the resolver
+   * @param {Array<string>} names - Repository names
+   * @param {boolean} force - Sync regardless of the sync policy
+   * @returns {Promise<Array<string>>} Failure messages
+   */
+  async syncRepositories(names, force) {
+    const { results } = await this.resolver.syncAllRepositories(force, { names });
+    const failures = [];
+
+    for (const [name, result] of Object.entries(results)) {
+      if (result.status === 'error') {
+        this.logger.error(`Failed to sync repository ${name}: ${result.error}`);
+        failures.push(`${name}: ${result.error}`);
+      } else if (result.status === 'locked') {
+        this.logger.warn(`Skipped repository ${name}: ${result.reason}`);
+      } else if (result.status !== 'skipped') {
+        this.logger.info(`Synced repository ${name}`);
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Describe the daemon state
+   * @returns {Object} Health file contents
+   */
+  getHealth() {
+    const jobs = {};
+    for (const [name, job] of this.jobs) {
+      jobs[name] = {
+        schedule: job.schedule,
+        running: job.running,
+        lastRun: job.lastRun,
+        lastOutcome: job.lastOutcome,
+        lastError: job.lastError,
+        durationMs: job.durationMs
+      };
+    }
+
+    return {
+      pid: process.pid,
+      host: os.hostname(),
+      status: this.status,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      jobs
+    };
+  }
+
+  /**
+   * Write the health file
+   * Writes are queued, and go through a temporary file so readers never see a partial file
+   * @returns {Promise<void>}
+   */
+  writeHealth() {
+    this.healthWrites = this.healthWrites.then(async () => {
+      const healthFile = this.getHealthFile();
+      const tempFile = `${healthFile}.${process.pid}.tmp`;
+
+      try {
+        await fs.outputJson(tempFile, this.getHealth(), { spaces: 2 });
+        await fs.move(tempFile, healthFile, { overwrite: true });
+      } catch (error) {
+        this.logger.warn(`Failed to write daemon health file ${healthFile}: ${error.message}`);
+      }
+    });
+    return this.healthWrites;
+  }
+}
+
+module.exports = { SyncDaemon };
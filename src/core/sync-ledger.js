@@ -0,0 +1,210 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Sync Ledger for persisting synchronization state across CLI invocations
+ * Records last sync time, commit, outcome and duration for every knowledge source
+ */
+class SyncLedger {
+  constructor(options = {}) {
+    this.options = {
+      cacheRoot: './.bmad-fks-cache',
+      fileName: '.fks-sync-ledger.json',
+      ...options
+    };
+
+    this.logger = options.logger || null;
+    this.entries = {};
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a read-modify-write task after every pending one has finished
+   * Concurrent syncs in one process would otherwise overwrite each other's entries
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the absolute path of the ledger file
+   * @returns {string} Ledger file path
+   */
+  getFilePath() {
+    return path.resolve(this.options.cacheRoot, this.options.fileName);
+  }
+
+  /**
+   * Point the ledger at a different cache root
+   * @param {string} cacheRoot - Cache root directory
+   */
+  setCacheRoot(cacheRoot) {
+    if (cacheRoot && cacheRoot !== this.options.cacheRoot) {
+      this.options.cacheRoot = cacheRoot;
+      this.entries = {};
+      this.loaded = false;
+    }
+  }
+
+  /**
+   * Load ledger entries from disk
+   * @returns {Promise<Object>} Ledger entries keyed by source name
+   */
+  async load() {
+    this.entries = await this.readEntries();
+    this.loaded = true;
+    return this.getAll();
+  }
+
+  /**
+   * Read ledger entries from disk without touching in-memory state
+   * @returns {Promise<Object>} Ledger entries keyed by source name
+   */
+  async readEntries() {
+    const filePath = this.getFilePath();
+
+    try {
+      if (!(await fs.pathExists(filePath))) {
+        return {};
+      }
+
+      const data = await fs.readJson(filePath);
+      return data.sources || {};
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`Ignoring unreadable sync ledger ${filePath}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Write ledger entries to disk atomically
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const filePath = this.getFilePath();
+    // Unique per write, so concurrent saves in one process do not share a temp file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJson(tempPath, {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      sources: this.entries
+    }, { spaces: 2 });
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  /**
+   * Record the outcome of a sync operation
+   * @param {string} name - Knowledge source name
+   * @param {Object} result - Sync outcome
+   * @param {string} result.type - Source type (git, web, database)
+   * @param {string} result.outcome - Outcome (success, error, skipped)
+   * @param {number} [result.durationMs] - Duration of the sync in milliseconds
+   * @param {string} [result.commit] - Resolved commit hash for git sources
+   * @param {string} [result.error] - Error message for failed syncs
+   * @returns {Promise<Object>} Updated ledger entry
+   */
+  async record(name, result) {
+    return await this.enqueue(async () => {
+      // Re-read first so entries written by other processes are not clobbered
+      this.entries = await this.readEntries();
+      this.loaded = true;
+
+      const now = new Date().toISOString();
+      const previous = this.entries[name] || {};
+      const { outcome, ...rest } = result;
+      const details = Object.fromEntries(
+        Object.entries(rest).filter(([, value]) => value !== undefined)
+      );
+
+      const entry = {
+        ...previous,
+        ...details,
+        outcome,
+        lastAttempt: now
+      };
+
+      if (outcome === 'success') {
+        entry.lastSync = now;
+        delete entry.error;
+      }
+
+      this.entries[name] = entry;
+      await this.save();
+
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Get the ledger entry for a source
+   * @param {string} name - Knowledge source name
+   * @returns {Object|null} Ledger entry
+   */
+  get(name) {
+    const entry = this.entries[name];
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Get the time of the last successful sync of a source
+   * @param {string} name - Knowledge source name
+   * @returns {number|null} Timestamp in milliseconds
+   */
+  getLastSync(name) {
+    const entry = this.entries[name];
+    if (!entry || !entry.lastSync) {
+      return null;
+    }
+
+    const timestamp = Date.parse(entry.lastSync);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  /**
+   * Remove a source from the ledger
+   * @param {string} name - Knowledge source name
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    await this.enqueue(async () => {
+      this.entries = await this.readEntries();
+      if (this.entries[name]) {
+        delete this.entries[name];
+        await this.save();
+      }
+    });
+  }
+
+  /**
+   * Remove every entry from the ledger
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.enqueue(async () => {
+      this.entries = {};
+      await this.save();
+    });
+  }
+
+  /**
+   * Get all ledger entries
+   * @returns {Object} Ledger entries keyed by source name
+   */
+  getAll() {
+    return Object.fromEntries(
+      Object.entries(this.entries).map(([name, entry]) => [name, { ...entry }])
+    );
+  }
+}
+
+module.exports = { SyncLedger };
@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Sync Lock for keeping concurrent processes from syncing the same cache
+ * Each cache directory gets a lock file under the cache root holding the owner's PID,
+ * host and start time. Locks are keyed by the real path of the cache, so sources or
+ * configuration files sharing a local_cache take turns. The owner refreshes its lock
+ * while it works; a lock whose process is gone, or that has not been refreshed for
+ * staleAfter, is taken over.
+ */
+class SyncLock {
+  constructor(options = {}) {
+    this.options = {
+      cacheRoot: './.bmad-fks-cache',
+      dirName: '.fks-locks',
+      staleAfter: 5 * 60 * 1000,
+      pollInterval: 500,
+      ...options
+    };
+
+    this.logger = options.logger || null;
+  }
+
+  /**
+   * Get the directory holding the lock files
+   * @returns {string} Lock directory
+   */
+  getLockDir() {
+    return path.resolve(this.options.cacheRoot, this.options.dirName);
+  }
+
+  /**
+   * Get the lock file of a cache directory
+   * The cache may not exist yet; symlinks in the part of its path that does are resolved
+   * @param {string} cachePath - Cache directory, such as a source's local_cache
+   * @returns {Promise<string>} Lock file path
+   */
+  async getLockPath(cachePath) {
+    const realPath = await resolveRealPath(cachePath);
+    const digest = crypto.createHash('sha1').update(realPath).digest('hex').slice(0, 16);
+    return path.join(this.getLockDir(), `${encodeURIComponent(path.basename(realPath))}-${digest}.lock`);
+  }
+
+  /**
+   * Point the locks at a different cache root
+   * @param {string} cacheRoot - Cache root directory
+   */
+  setCacheRoot(cacheRoot) {
+    if (cacheRoot) {
+      this.options.cacheRoot = cacheRoot;
+    }
+  }
+
+  /**
+   * Acquire the lock of a cache directory
+   * @param {string} cachePath - Cache directory, such as a source's local_cache
+   * @param {Object} [options] - Acquire options
+   * @param {boolean|number} [options.wait] - Wait for the lock, at most this many milliseconds
+   *   when a number (0 or true waits indefinitely); without it a held lock is not waited for
+   * @param {Function} [options.onWait] - Called with the holder's lock info when starting to wait
+   * @param {Object} [options.details] - Additional fields to record in the lock file, such as
+   *   the name of the source being synced
+   * @returns {Promise<Object>} { acquired, release, holder }; release is null and holder describes
+   *   the lock when it was not acquired
+   */
+  async acquire(cachePath, options = {}) {
+    const cache = await resolveRealPath(cachePath);
+    const lockPath = await this.getLockPath(cache);
+    const canWait = options.wait === true || typeof options.wait === 'number';
+    const deadline = typeof options.wait === 'number' && options.wait > 0 ? Date.now() + options.wait : null;
+    const info = {
+      token: crypto.randomBytes(8).toString('hex'),
+      cache,
+      pid: process.pid,
+      host: os.hostname(),
+      startedAt: new Date().toISOString(),
+      ...options.details
+    };
+    let waiting = false;
+
+    await fs.ensureDir(this.getLockDir());
+
+    for (;;) {
+      if (await this.tryCreate(lockPath, info)) {
+        return { acquired: true, release: this.startHolding(lockPath, info.token), holder: null };
+      }
+
+      const holder = await this.readLockFile(lockPath);
+      if (!holder) {
+        // Released between our attempt and the read
+        continue;
+      }
+      if (holder.stale) {
+        this.log('warn', `Taking over stale sync lock of ${cache} held by PID ${holder.pid} on ${holder.host} since ${holder.startedAt}`);
+        await this.removeIfToken(lockPath, holder.token);
+        continue;
+      }
+
+      if (!canWait || (deadline && Date.now() >= deadline)) {
+        return { acquired: false, release: null, holder };
+      }
+
+      if (!waiting) {
+        waiting = true;
+        if (options.onWait) {
+          options.onWait(holder);
+        }
+      }
+      await sleep(deadline ? Math.min(this.options.pollInterval, deadline - Date.now()) : this.options.pollInterval);
+    }
+  }
+
+  /**
+   * Read the lock of a cache directory
+   * @param {string} cachePath - Cache directory, such as a source's local_cache
+   * @returns {Promise<Object|null>} Lock info with updatedAt and stale, or null when unlocked
+   */
+  async read(cachePath) {
+    return await this.readLockFile(await this.getLockPath(cachePath));
+  }
+
+  /**
+   * List every held lock
+   * @returns {Promise<Array<Object>>} Lock info, see read
+   */
+  async list() {
+    const entries = await fs.readdir(this.getLockDir()).catch(() => []);
+    const locks = [];
+
+    for (const entry of entries.filter(file => file.endsWith('.lock'))) {
+      const info = await this.readLockFile(path.join(this.getLockDir(), entry));
+      if (info) {
+        locks.push(info);
+      }
+    }
+
+    return locks;
+  }
+
+  async readLockFile(lockPath) {
+    try {
+      const [info, stats] = await Promise.all([fs.readJson(lockPath), fs.stat(lockPath)]);
+      const updatedAt = stats.mtime.toISOString();
+      return { ...info, updatedAt, stale: this.isStale(info, stats.mtimeMs) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // A lock file that cannot be parsed is being written or was left half-written
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (!stats) {
+        return null;
+      }
+      return {
+        token: null,
+        updatedAt: stats.mtime.toISOString(),
+        stale: Date.now() - stats.mtimeMs > this.options.staleAfter
+      };
+    }
+  }
+
+  /**
+   * Check whether a lock was abandoned
+   * A lock of this host is stale as soon as its process is gone; locks of other hosts
+   * are stale when their owner stopped refreshing them
+   * @param {Object} info - Lock file contents
+   * @param {number} updatedAtMs - Last refresh of the lock file
+   * @returns {boolean} Whether the lock may be taken over
+   */
+  isStale(info, updatedAtMs) {
+    if (Date.now() - updatedAtMs > this.options.staleAfter) {
+      return true;
+    }
+    return info.host === os.hostname() && !isProcessAlive(info.pid);
+  }
+
+  async tryCreate(lockPath, info) {
+    try {
+      // wx fails when the file exists, so only one process can create it
+      await fs.writeFile(lockPath, JSON.stringify(info, null, 2), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  startHolding(lockPath, token) {
+    // Refresh well within staleAfter so long syncs are not taken over
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, Math.max(1000, Math.floor(this.options.staleAfter / 4)));
+    heartbeat.unref();
+
+    let released = false;
+    return async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      clearInterval(heartbeat);
+      await this.removeIfToken(lockPath, token);
+    };
+  }
+
+  async removeIfToken(lockPath, token) {
+    // Never remove a lock another process has taken over in the meantime; a null
+    // token stands for a lock file that could not be parsed
+    const current = await fs.readJson(lockPath).catch(() => null);
+    if (current ? current.token === token : token === null) {
+      await fs.remove(lockPath);
+    }
+  }
+
+  log(level, message) {
+    if (this.logger) {
+      this.logger[level](message);
+    }
+  }
+}
+
+/**
+ * Check whether a process of this host is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} Whether the process exists
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Resolve symlinks in a path whose last components may not exist yet
+ * @param {string} targetPath - Path
+ * @returns {Promise<string>} Absolute real path
+ */
+async function resolveRealPath(targetPath) {
+  const absolutePath = path.resolve(targetPath);
+  try {
+    return await fs.realpath(absolutePath);
+  } catch (error) {
+    const parent = path.dirname(absolutePath);
+    if (error.code !== 'ENOENT' || parent === absolutePath) {
+      return absolutePath;
+    }
+    return path.join(await resolveRealPath(parent), path.basename(absolutePath));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+module.exports = { SyncLock, isProcessAlive };
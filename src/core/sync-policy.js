@@ -0,0 +1,271 @@
+const cron = require('node-cron');
+// Expands names, ranges and steps the way node-cron reads them for the daemon
+const convertExpression = require('node-cron/src/convert-expression');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Cron occurrences are searched at most this far back; older syncs are simply due
+const MAX_CRON_LOOKBACK = 366 * DAY;
+
+const KEYWORD_INTERVALS = {
+  daily: DAY,
+  weekly: 7 * DAY,
+  on_demand: null,
+  manual: null
+};
+
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i;
+const WINDOW_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Sync Policy deciding when a knowledge source is due for a sync
+ * A policy is a keyword (daily, weekly, on_demand, manual), an ISO-8601 duration
+ * such as PT6H, or a cron expression such as "0 2 * * *". The object form adds
+ * windows the sync must fall into and quiet hours it must avoid, in local time:
+ *
+ *   sync_policy:
+ *     every: PT6H
+ *     window: "22:00-06:00"
+ *     quiet_hours: ["12:00-13:00"]
+ */
+class SyncPolicy {
+  /**
+   * @param {string|Object} policy - sync_policy value
+   * @throws {Error} When the policy cannot be parsed
+   */
+  constructor(policy) {
+    const spec = typeof policy === 'string' ? { every: policy } : policy;
+    if (!spec || typeof spec !== 'object' || typeof spec.every !== 'string') {
+      throw new Error('Expected a string or an object with an "every" string');
+    }
+    const unknown = Object.keys(spec).filter(key => !['every', 'window', 'quiet_hours'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting "${unknown[0]}"; expected every, window or quiet_hours`);
+    }
+
+    this.every = spec.every.trim();
+    this.interval = null;
+    this.cron = null;
+
+    if (Object.prototype.hasOwnProperty.call(KEYWORD_INTERVALS, this.every)) {
+      this.interval = KEYWORD_INTERVALS[this.every];
+    } else if (DURATION_PATTERN.test(this.every)) {
+      this.interval = parseDuration(this.every);
+    } else if (this.every.split(/\s+/).length >= 5) {
+      this.cron = parseCron(this.every);
+    } else {
+      throw new Error(`"${this.every}" is not daily, weekly, on_demand, manual, an ISO-8601 duration or a cron expression`);
+    }
+
+    this.windows = toList(spec.window).map(parseWindow);
+    this.quietHours = toList(spec.quiet_hours).map(parseWindow);
+  }
+
+  /**
+   * Whether the policy ever syncs on its own
+   * @returns {boolean} False for on_demand and manual
+   */
+  isAutomatic() {
+    return this.interval !== null || this.cron !== null;
+  }
+
+  /**
+   * Check whether a source last synced at lastSync is due
+   * @param {number} lastSync - Last sync time in milliseconds
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} Whether a sync is due now
+   */
+  isDue(lastSync, now = Date.now()) {
+    if (!this.isAutomatic() || !this.isAllowedAt(now)) {
+      return false;
+    }
+
+    if (this.interval !== null) {
+      return now - lastSync >= this.interval;
+    }
+
+    return this.hasOccurrenceBetween(lastSync, now);
+  }
+
+  /**
+   * Check whether syncs are allowed at a time of day
+   * @param {number} time - Time in milliseconds
+   * @returns {boolean} Whether the time is in a window (if any) and outside the quiet hours
+   */
+  isAllowedAt(time) {
+    const minuteOfDay = getMinuteOfDay(time);
+
+    if (this.windows.length > 0 && !this.windows.some(window => inWindow(window, minuteOfDay))) {
+      return false;
+    }
+    return !this.quietHours.some(window => inWindow(window, minuteOfDay));
+  }
+
+  /**
+   * Check whether the cron expression fired after lastSync, up to now
+   * @param {number} lastSync - Last sync time in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether an occurrence fell in between
+   */
+  hasOccurrenceBetween(lastSync, now) {
+    if (now - lastSync > MAX_CRON_LOOKBACK) {
+      return true;
+    }
+    return this.cron.nextOccurrence(lastSync, now) !== null;
+  }
+}
+
+const parsedPolicies = new Map();
+
+/**
+ * Parse a sync_policy value, reusing earlier results for the same value
+ * @param {string|Object} policy - sync_policy value
+ * @returns {SyncPolicy} Parsed policy
+ * @throws {Error} When the policy cannot be parsed
+ */
+function parseSyncPolicy(policy) {
+  const key = JSON.stringify(policy);
+  if (!parsedPolicies.has(key)) {
+    parsedPolicies.set(key, new SyncPolicy(policy));
+  }
+  return parsedPolicies.get(key);
+}
+
+/**
+ * Check that a sync_policy value can be parsed
+ * @param {string|Object} policy - sync_policy value
+ * @returns {string|null} Error message, or null when the policy is valid
+ */
+function validateSyncPolicy(policy) {
+  try {
+    parseSyncPolicy(policy);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Describe a sync_policy value on one line
+ * @param {string|Object} policy - sync_policy value
+ * @returns {string} The policy, followed by its windows and quiet hours
+ */
+function formatSyncPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return String(policy);
+  }
+
+  const restrictions = [
+    ...toList(policy.window).map(window => `only ${window}`),
+    ...toList(policy.quiet_hours).map(window => `not ${window}`)
+  ];
+  return restrictions.length > 0 ? `${policy.every} (${restrictions.join(', ')})` : String(policy.every);
+}
+
+/**
+ * Convert an ISO-8601 duration to milliseconds
+ * @param {string} value - Duration such as PT6H, P1D or P1DT12H
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(DURATION_PATTERN);
+  if (!match || !/\d/.test(value)) {
+    throw new Error(`Invalid ISO-8601 duration: "${value}"`);
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  const duration = (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * MINUTE + seconds * 1000;
+  if (duration === 0) {
+    throw new Error(`Duration "${value}" must be longer than zero`);
+  }
+  return duration;
+}
+
+/**
+ * Parse a cron expression, with an optional leading seconds field, exactly as node-cron
+ * reads it, so a sync_policy fires when a daemon schedule with the same expression would
+ * @param {string} expression - Cron expression
+ * @returns {Object} Matcher with nextOccurrence(after, until)
+ * @throws {Error} When node-cron rejects the expression
+ */
+function parseCron(expression) {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid cron expression "${expression}"`);
+  }
+
+  const fields = convertExpression(expression).split(' ')
+    .map(field => field.split(',').map(Number).sort((a, b) => a - b));
+  const [seconds, minutes, hours] = fields;
+  const [daysOfMonth, months, daysOfWeek] = fields.slice(3).map(values => new Set(values));
+
+  return {
+    /**
+     * Find the first occurrence after a time, jumping a day, hour and minute at a time
+     * @param {number} after - Exclusive start in milliseconds
+     * @param {number} until - Inclusive end in milliseconds
+     * @returns {number|null} Occurrence time, or null when none falls in between
+     */
+    nextOccurrence(after, until) {
+      const day = new Date(after);
+      day.setHours(0, 0, 0, 0);
+
+      for (; day.getTime() <= until; day.setDate(day.getDate() + 1)) {
+        if (!months.has(day.getMonth() + 1) || !daysOfMonth.has(day.getDate()) || !daysOfWeek.has(day.getDay())) {
+          continue;
+        }
+
+        // Defaults to the last minute and second of the expression, to skip past whole hours and minutes
+        const at = (hour, minute = minutes[minutes.length - 1], second = seconds[seconds.length - 1]) =>
+          new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, second).getTime();
+        for (const hour of hours) {
+          if (at(hour) <= after) {
+            continue;
+          }
+          for (const minute of minutes) {
+            if (at(hour, minute) <= after) {
+              continue;
+            }
+            const second = seconds.find(candidate => at(hour, minute, candidate) > after);
+            const time = at(hour, minute, second);
+            return time <= until ? time : null;
+          }
+        }
+      }
+
+      return null;
+    }
+  };
+}
+
+function parseWindow(value) {
+  const match = typeof value === 'string' ? value.trim().match(WINDOW_PATTERN) : null;
+  if (!match) {
+    throw new Error(`Invalid time window "${value}": expected HH:MM-HH:MM`);
+  }
+
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+function inWindow(window, minuteOfDay) {
+  if (window.start <= window.end) {
+    return minuteOfDay >= window.start && minuteOfDay < window.end;
+  }
+  // Windows such as 22:00-06:00 wrap past midnight
+  return minuteOfDay >= window.start || minuteOfDay < window.end;
+}
+
+function getMinuteOfDay(time) {
+  const date = new Date(time);
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { SyncPolicy, parseSyncPolicy, validateSyncPolicy, formatSyncPolicy, parseDuration };
@@ -0,0 +1,88 @@
+/**
+ * Task pool running async tasks with a global concurrency limit and per-key limits
+ * Tasks start in submission order; a task whose key is at its limit waits without
+ * holding back tasks for other keys.
+ */
+class TaskPool {
+  /**
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.concurrency] - Tasks running at once, across all keys
+   * @param {Object} [options.keyLimits] - Tasks running at once per key, e.g. per host
+   * @param {number} [options.defaultKeyLimit] - Limit of keys missing from keyLimits
+   */
+  constructor(options = {}) {
+    this.concurrency = normalizeLimit(options.concurrency);
+    this.keyLimits = options.keyLimits || {};
+    this.defaultKeyLimit = normalizeLimit(options.defaultKeyLimit);
+    this.queue = [];
+    this.running = 0;
+    this.runningByKey = new Map();
+  }
+
+  /**
+   * Run a task once the limits allow it
+   * @param {string} key - Key the per-key limit applies to
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Task result
+   */
+  run(key, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ key, task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Get the number of running and waiting tasks
+   * @returns {Object} Running and queued task counts
+   */
+  getStats() {
+    return { running: this.running, queued: this.queue.length };
+  }
+
+  getKeyLimit(key) {
+    return key in this.keyLimits ? normalizeLimit(this.keyLimits[key]) : this.defaultKeyLimit;
+  }
+
+  drain() {
+    for (let index = 0; index < this.queue.length && this.running < this.concurrency;) {
+      const entry = this.queue[index];
+      const runningForKey = this.runningByKey.get(entry.key) || 0;
+
+      if (runningForKey >= this.getKeyLimit(entry.key)) {
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      this.start(entry);
+    }
+  }
+
+  start({ key, task, resolve, reject }) {
+    this.running++;
+    this.runningByKey.set(key, (this.runningByKey.get(key) || 0) + 1);
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.running--;
+        const remaining = this.runningByKey.get(key) - 1;
+        if (remaining > 0) {
+          this.runningByKey.set(key, remaining);
+        } else {
+          this.runningByKey.delete(key);
+        }
+        this.drain();
+      });
+  }
+}
+
+// Missing, zero or invalid limits mean no limit
+function normalizeLimit(limit) {
+  const value = Number(limit);
+  return Number.isFinite(value) && value >= 1 ? Math.floor(value) : Infinity;
+}
+
+module.exports = { TaskPool };
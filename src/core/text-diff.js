@@ -0,0 +1,132 @@
+/**
+ * Line-based text diff used to show conflicting knowledge side by side
+ */
+
+// Above this many line pairs the changed middle is shown as one replaced block
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute a line diff between two texts
+ * Common leading and trailing lines are matched first, the remainder through a
+ * longest-common-subsequence table
+ * @param {string} left - Original text
+ * @param {string} right - Changed text
+ * @returns {Array<Object>} Operations with type equal|remove|add and the line text
+ */
+function diffLines(left, right) {
+  const a = splitLines(left);
+  const b = splitLines(right);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const operations = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  operations.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  operations.push(...a.slice(endA).map(line => ({ type: 'equal', line })));
+
+  return operations;
+}
+
+/**
+ * Arrange a line diff as side-by-side rows
+ * Adjacent removals and additions are paired on the same row as changes
+ * @param {string} left - Original text
+ * @param {string} right - Changed text
+ * @returns {Array<Object>} Rows with left and right text and a type of equal|change|remove|add
+ */
+function sideBySide(left, right) {
+  const rows = [];
+  const removed = [];
+  const added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      const hasLeft = i < removed.length;
+      const hasRight = i < added.length;
+      let type = 'change';
+      if (!hasRight) {
+        type = 'remove';
+      } else if (!hasLeft) {
+        type = 'add';
+      }
+      rows.push({ type, left: hasLeft ? removed[i] : '', right: hasRight ? added[i] : '' });
+    }
+    removed.length = 0;
+    added.length = 0;
+  };
+
+  for (const operation of diffLines(left, right)) {
+    if (operation.type === 'remove') {
+      removed.push(operation.line);
+    } else if (operation.type === 'add') {
+      added.push(operation.line);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: operation.line, right: operation.line });
+    }
+  }
+
+  flush();
+  return rows;
+}
+
+function diffMiddle(a, b) {
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(line => ({ type: 'remove', line })),
+      ...b.map(line => ({ type: 'add', line }))
+    ];
+  }
+
+  // lengths[i][j] holds the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'remove', line: a[i] });
+      i++;
+    } else {
+      operations.push({ type: 'add', line: b[j] });
+      j++;
+    }
+  }
+
+  operations.push(...a.slice(i).map(line => ({ type: 'remove', line })));
+  operations.push(...b.slice(j).map(line => ({ type: 'add', line })));
+
+  return operations;
+}
+
+function splitLines(text) {
+  const normalized = String(text ?? '').replace(/\r\n/g, '\n');
+  if (normalized === '') {
+    return [];
+  }
+  return normalized.replace(/\n$/, '').split('\n');
+}
+
+module.exports = { diffLines, sideBySide };
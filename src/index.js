@@ -9,7 +9,10 @@ const { FederatedDependencyResolver } = require('./resolvers/federated-dependenc
 const { GitManager } = require('./managers/git-manager');
 const { ConfigValidator } = require('./schemas/config-validator');
 const { KnowledgeMerger } = require('./core/knowledge-merger');
+const { SyncLedger } = require('./core/sync-ledger');
+const { KnowledgeGraph } = require('./core/knowledge-graph');
 const { Logger } = require('./core/logger');
+const { CredentialManager } = require('./managers/credential-manager');
 const fs = require('fs');
 const path = require('path');
 class BmadFederatedKnowledge {
@@ -22,13 +25,25 @@ class BmadFederatedKnowledge {
     };
 
     this.logger = new Logger(this.options.logLevel);
-    this.gitManager = new GitManager(this.options);
-    this.configValidator = new ConfigValidator();
+    this.syncLedger = new SyncLedger({
+      cacheRoot: this.options.cacheDir,
+      logger: this.logger
+    });
+    this.gitManager = new GitManager({
+      ...this.options,
+      syncLedger: this.syncLedger
+    });
+    this.credentialManager = new CredentialManager({
+      baseDir: path.dirname(path.resolve(this.options.configPath))
+    });
+    this.configValidator = new ConfigValidator({ credentials: this.credentialManager });
     this.knowledgeMerger = new KnowledgeMerger(this.options);
     this.dependencyResolver = new FederatedDependencyResolver({
       gitManager: this.gitManager,
       knowledgeMerger: this.knowledgeMerger,
+      syncLedger: this.syncLedger,
       logger: this.logger,
+      credentialManager: this.credentialManager,
       ...this.options
     });
        // Ensure .gitignore contains required directories
@@ -93,10 +108,14 @@ class BmadFederatedKnowledge {
 
   /**
    * Sync all federated repositories
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.force] - Force sync regardless of policy
+   * @param {boolean} [options.frozen] - Check out exactly the commits recorded in fks-lock.yaml
+   * @param {number} [options.deepen] - Fetch this many more commits of the history of shallow caches
    * @returns {Promise<Object>} Sync results
    */
-  async syncAll() {
-    return await this.dependencyResolver.syncAllRepositories();
+  async syncAll(options = {}) {
+    return await this.dependencyResolver.syncAllRepositories(Boolean(options.force), options);
   }
 
   /**
@@ -151,12 +170,77 @@ class BmadFederatedKnowledge {
   }
 
   /**
-   * Clean cache for specific repository or all repositories
-   * @param {string} [repoName] - Optional repository name
-   * @returns {Promise<void>}
+   * Set the log level of every component
+   * @param {string} level - Log level
+   */
+  setLogLevel(level) {
+    this.logger.setLevel(level);
+    this.gitManager.logger.setLevel(level);
+    this.knowledgeMerger.logger.setLevel(level);
+  }
+
+  /**
+   * Build a graph of the configured knowledge sources
+   * @param {Object} [options] - Graph options
+   * @param {boolean} [options.conflicts=true] - Count merge conflicts between cached sources
+   * @returns {Promise<KnowledgeGraph>} Knowledge graph
+   */
+  async getKnowledgeGraph(options = {}) {
+    return await this.dependencyResolver.buildKnowledgeGraph(options);
+  }
+
+  /**
+   * Get merge conflicts awaiting a manual decision
+   * @returns {Promise<Array<Object>>} Pending conflicts
+   */
+  async getPendingConflicts() {
+    return await this.dependencyResolver.getPendingConflicts();
+  }
+
+  /**
+   * Record a manual decision for a pending conflict
+   * @param {Object} conflict - Pending conflict
+   * @param {Object} decision - Winning source or hand-merged content
+   * @returns {Promise<Object>} Recorded decision
+   */
+  async resolveConflict(conflict, decision) {
+    return await this.dependencyResolver.resolveConflict(conflict, decision);
+  }
+
+  /**
+   * Get the persisted history of resolved conflicts
+   * @param {Object} [options] - Read options (since, limit)
+   * @returns {Promise<Array<Object>>} History entries, oldest first
+   */
+  async getConflictHistory(options = {}) {
+    return await this.dependencyResolver.getConflictHistory(options);
+  }
+
+  /**
+   * Measure the cache per knowledge source
+   * @returns {Promise<Object>} Cache usage with artifacts, sources and totals
+   */
+  async getCacheStats() {
+    return await this.dependencyResolver.getCacheStats();
+  }
+
+  /**
+   * Evict least recently used cache artifacts
+   * @param {Object} [options] - Prune options (maxSize, orphaned, dryRun)
+   * @returns {Promise<Object>} Evicted artifacts and cache sizes
+   */
+  async pruneCache(options = {}) {
+    return await this.dependencyResolver.pruneCache(options);
+  }
+
+  /**
+   * Clean cache for a specific knowledge source or all sources
+   * @param {string} [repoName] - Optional knowledge source name, matched exactly
+   * @param {Object} [options] - Clean options (dryRun)
+   * @returns {Promise<Object>} Removed artifacts and those refused
    */
-  async cleanCache(repoName = null) {
-    return await this.gitManager.cleanCache(repoName);
+  async cleanCache(repoName = null, options = {}) {
+    return await this.dependencyResolver.cleanCache(repoName, options);
   }
 }
 
@@ -166,7 +250,9 @@ module.exports = {
   FederatedDependencyResolver,
   GitManager,
   ConfigValidator,
-  KnowledgeMerger
+  KnowledgeMerger,
+  SyncLedger,
+  KnowledgeGraph
 };
 
 // Export default instance for convenience
@@ -0,0 +1,597 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+const SIZE_UNITS = { B: 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// 1GB, 500 MB, 1.5GiB, 2G or a plain number of bytes
+const SIZE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(?:([KMGT])i?)?B?\s*$/i;
+
+// Directories whose entries are cached artifacts of their own
+const CONTAINER_DIRS = ['db-knowledge', 'transitive', '.flatten-staging'];
+
+// Artifact types holding the synced copy of a source, as opposed to files derived from it
+const SYNCED_TYPES = ['git', 'web', 'database'];
+
+/**
+ * Cache Manager for keeping the cache root within max_cache_size
+ * Every top-level entry of the cache root (and of its container directories) is an
+ * artifact: a cloned repository, a web page PDF, a database dump, a flattened XML
+ * file. Artifacts are attributed to the knowledge source that produced them, and
+ * the least recently used ones are evicted when the cache is over budget. Pinned
+ * artifacts and artifacts in use by a running sync are never evicted.
+ */
+class CacheManager {
+  constructor(options = {}) {
+    this.options = {
+      cacheRoot: './.bmad-fks-cache',
+      fileName: '.fks-cache-state.json',
+      maxSize: null,
+      ...options
+    };
+
+    this.gitManager = options.gitManager || null;
+    this.syncLedger = options.syncLedger || null;
+    this.logger = options.logger || null;
+    this.inUse = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a read-modify-write task after every pending one has finished
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the absolute path of the cache state file
+   * @returns {string} State file path
+   */
+  getFilePath() {
+    return path.resolve(this.options.cacheRoot, this.options.fileName);
+  }
+
+  /**
+   * Point the cache manager at a different cache root
+   * @param {string} cacheRoot - Cache root directory
+   */
+  setCacheRoot(cacheRoot) {
+    if (cacheRoot) {
+      this.options.cacheRoot = cacheRoot;
+    }
+  }
+
+  /**
+   * Set the cache budget
+   * @param {string|number|null} maxSize - Size such as "1GB", a number of bytes, or null for no limit
+   */
+  setMaxSize(maxSize) {
+    this.options.maxSize = maxSize;
+  }
+
+  /**
+   * Get the cache budget in bytes
+   * @returns {number|null} Budget, or null when the cache is unlimited
+   */
+  getMaxBytes() {
+    const { maxSize } = this.options;
+    return maxSize === null || maxSize === undefined ? null : parseSize(maxSize);
+  }
+
+  /**
+   * Mark a path as in use so it is not evicted until the returned function is called
+   * @param {string} artifactPath - Cached path
+   * @returns {Function} Releases the path
+   */
+  acquire(artifactPath) {
+    const key = path.resolve(artifactPath);
+    this.inUse.set(key, (this.inUse.get(key) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const remaining = this.inUse.get(key) - 1;
+      if (remaining > 0) {
+        this.inUse.set(key, remaining);
+      } else {
+        this.inUse.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Record that cached paths were just used
+   * @param {Array<string>|string} artifactPaths - Cached paths
+   * @param {Object} [options] - Touch options
+   * @param {boolean} [options.changed] - The paths were just written, so their recorded
+   *   sizes are stale and the next scan measures them again
+   * @returns {Promise<void>}
+   */
+  async touch(artifactPaths, options = {}) {
+    const paths = [].concat(artifactPaths).filter(Boolean);
+    if (paths.length === 0) {
+      return;
+    }
+
+    await this.updateState((state) => {
+      const now = new Date().toISOString();
+      for (const artifactPath of paths) {
+        const key = this.getStateKey(artifactPath);
+        state.access[key] = now;
+        if (options.changed) {
+          delete state.sizes[key];
+        }
+      }
+    });
+  }
+
+  /**
+   * Pin a knowledge source or cached path so it is never evicted
+   * @param {string} target - Source name or path relative to the cache root
+   * @returns {Promise<boolean>} Whether the pin is new
+   */
+  async pin(target) {
+    return await this.updateState((state) => {
+      if (state.pinned.includes(target)) {
+        return false;
+      }
+      state.pinned.push(target);
+      state.pinned.sort();
+      return true;
+    });
+  }
+
+  /**
+   * Remove a pin
+   * @param {string} target - Source name or path relative to the cache root
+   * @returns {Promise<boolean>} Whether the target was pinned
+   */
+  async unpin(target) {
+    return await this.updateState((state) => {
+      const index = state.pinned.indexOf(target);
+      if (index === -1) {
+        return false;
+      }
+      state.pinned.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Get the pinned source names and paths
+   * @returns {Promise<Array<string>>} Pins
+   */
+  async getPins() {
+    return (await this.readState()).pinned;
+  }
+
+  /**
+   * Measure the cache
+   * Sizes are recorded in the state file along with a fingerprint of each artifact,
+   * and only artifacts that changed since (or were touched as changed) are measured again
+   * @param {Array<Object>} [sources] - Cached paths of the knowledge sources, each with
+   *   the source name, the path and its type (git, web, database, flattened or staging)
+   * @returns {Promise<Object>} Artifacts, per-source usage and totals
+   */
+  async scan(sources = []) {
+    const state = await this.readState();
+    const owners = new Map(sources.map(source => [path.resolve(source.path), source]));
+
+    const artifactPaths = new Set(await this.listArtifactPaths());
+    for (const ownedPath of owners.keys()) {
+      if (await fs.pathExists(ownedPath)) {
+        artifactPaths.add(ownedPath);
+      }
+    }
+
+    const artifacts = [];
+    const measured = {};
+    for (const artifactPath of artifactPaths) {
+      const stats = await fs.lstat(artifactPath).catch(() => null);
+      if (!stats) {
+        continue;
+      }
+
+      const source = owners.get(artifactPath) || null;
+      const key = this.getStateKey(artifactPath);
+      const inUse = this.inUse.has(artifactPath);
+      const signature = await fingerprint(artifactPath, stats);
+      const recorded = state.sizes[key];
+
+      let size;
+      if (recorded && recorded.signature === signature) {
+        size = recorded.size;
+      } else {
+        size = await measure(artifactPath);
+        // A sync still writing to the artifact would leave a stale size behind
+        if (!inUse) {
+          measured[key] = { size, signature };
+        }
+      }
+
+      artifacts.push({
+        path: artifactPath,
+        relativePath: key,
+        source: source ? source.source : null,
+        type: source ? source.type : null,
+        size,
+        lastAccess: state.access[key] || stats.mtime.toISOString(),
+        pinned: state.pinned.includes(key) || Boolean(source && state.pinned.includes(source.source)),
+        inUse
+      });
+    }
+
+    const present = new Set(artifacts.map(artifact => artifact.relativePath));
+    const forgotten = Object.keys(state.sizes).filter(key => !present.has(key));
+    if (Object.keys(measured).length > 0 || forgotten.length > 0) {
+      await this.updateState((current) => {
+        Object.assign(current.sizes, measured);
+        for (const key of forgotten) {
+          delete current.sizes[key];
+        }
+      });
+    }
+
+    return summarize(artifacts, this.getMaxBytes());
+  }
+
+  /**
+   * Evict least recently used artifacts until the cache fits its budget
+   * Paths outside the cache root still count towards its size but are never evicted
+   * @param {Array<Object>} [sources] - Cached paths of the knowledge sources, see scan
+   * @param {Object} [options] - Prune options
+   * @param {string|number} [options.maxSize] - Budget overriding max_cache_size
+   * @param {boolean} [options.orphaned] - Also evict artifacts no configured source owns
+   * @param {boolean} [options.dryRun] - Only report what would be evicted
+   * @returns {Promise<Object>} Evicted artifacts and the cache size before and after
+   */
+  async prune(sources = [], options = {}) {
+    const stats = await this.scan(sources);
+    const maxBytes = options.maxSize !== undefined ? parseSize(options.maxSize) : stats.maxSize;
+    const candidates = [];
+    for (const artifact of stats.artifacts) {
+      // A local_cache outside the cache root is the user's own directory and never evicted
+      if (!artifact.pinned && !artifact.inUse && await this.isInsideCacheRoot(artifact.path)) {
+        candidates.push(artifact);
+      }
+    }
+    candidates.sort((a, b) => a.lastAccess.localeCompare(b.lastAccess));
+
+    const evicted = [];
+    let totalSize = stats.totalSize;
+
+    if (options.orphaned) {
+      for (const artifact of candidates.filter(candidate => !candidate.source)) {
+        evicted.push(artifact);
+        totalSize -= artifact.size;
+      }
+    }
+
+    if (maxBytes !== null) {
+      for (const artifact of candidates) {
+        if (totalSize <= maxBytes) {
+          break;
+        }
+        if (!evicted.includes(artifact)) {
+          evicted.push(artifact);
+          totalSize -= artifact.size;
+        }
+      }
+    }
+
+    if (!options.dryRun) {
+      for (const artifact of evicted) {
+        await this.evict(artifact);
+      }
+    }
+
+    return {
+      evicted,
+      sizeBefore: stats.totalSize,
+      sizeAfter: totalSize,
+      maxSize: maxBytes,
+      overBudget: maxBytes !== null && totalSize > maxBytes,
+      dryRun: Boolean(options.dryRun)
+    };
+  }
+
+  /**
+   * Remove the cached artifacts of one knowledge source, or of every source
+   * Only paths inside the cache root are removed; anything else, such as a
+   * local_cache pointing elsewhere, is refused. Artifacts in use are kept.
+   * @param {Array<Object>} [sources] - Cached paths of the knowledge sources, see scan
+   * @param {Object} [options] - Clean options
+   * @param {string} [options.source] - Exact source name; every artifact when omitted
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @returns {Promise<Object>} Removed artifacts and refused ones with the reason
+   */
+  async clean(sources = [], options = {}) {
+    const stats = await this.scan(sources);
+    const matching = options.source
+      ? stats.artifacts.filter(artifact => artifact.source === options.source)
+      : stats.artifacts;
+
+    const removed = [];
+    const refused = [];
+    for (const artifact of matching) {
+      if (!(await this.isInsideCacheRoot(artifact.path))) {
+        refused.push({ ...artifact, reason: 'outside the cache root' });
+      } else if (artifact.inUse) {
+        refused.push({ ...artifact, reason: 'in use' });
+      } else {
+        removed.push(artifact);
+      }
+    }
+
+    if (!options.dryRun) {
+      for (const artifact of removed) {
+        await this.evict(artifact, 'Cleaned');
+      }
+      // Forget the sync even when nothing was cached, so the next sync starts over
+      if (options.source && this.syncLedger) {
+        await this.syncLedger.remove(options.source);
+      } else if (this.syncLedger) {
+        await this.syncLedger.clear();
+      }
+    }
+
+    return { removed, refused, dryRun: Boolean(options.dryRun) };
+  }
+
+  /**
+   * Check that a path lies strictly inside the cache root, symlinked parents included
+   * @param {string} artifactPath - Path to check
+   * @returns {Promise<boolean>} Whether the path may be deleted
+   */
+  async isInsideCacheRoot(artifactPath) {
+    const cacheRoot = path.resolve(this.options.cacheRoot);
+    const absolutePath = path.resolve(artifactPath);
+    if (!isWithinDirectory(cacheRoot, absolutePath)) {
+      return false;
+    }
+
+    const realRoot = await fs.realpath(cacheRoot).catch(() => cacheRoot);
+    const realParent = await fs.realpath(path.dirname(absolutePath)).catch(() => null);
+    return Boolean(realParent) && isWithinDirectory(realRoot, path.join(realParent, path.basename(absolutePath)));
+  }
+
+  /**
+   * Remove an artifact from the cache
+   * Repositories go through the git manager, and a source losing its synced copy is
+   * removed from the sync ledger so the next sync fetches it again
+   * @param {Object} artifact - Artifact from scan
+   * @param {string} [verb] - How the removal is logged
+   * @returns {Promise<void>}
+   * @throws {Error} When the artifact lies outside the cache root
+   */
+  async evict(artifact, verb = 'Evicted') {
+    if (!(await this.isInsideCacheRoot(artifact.path))) {
+      throw new Error(`Refusing to remove ${artifact.path}: outside the cache root`);
+    }
+
+    if (artifact.type === 'git' && this.gitManager) {
+      await this.gitManager.removeRepoCache(artifact.path);
+    } else {
+      await fs.remove(artifact.path);
+    }
+
+    if (artifact.source && SYNCED_TYPES.includes(artifact.type) && this.syncLedger) {
+      await this.syncLedger.remove(artifact.source);
+    }
+
+    await this.updateState((state) => {
+      delete state.access[artifact.relativePath];
+      delete state.sizes[artifact.relativePath];
+    });
+
+    if (this.logger) {
+      this.logger.info(`${verb} ${artifact.relativePath} (${formatSize(artifact.size)}) from the cache`);
+    }
+  }
+
+  /**
+   * List the artifacts found in the cache root
+   * @returns {Promise<Array<string>>} Absolute artifact paths
+   */
+  async listArtifactPaths() {
+    const cacheRoot = path.resolve(this.options.cacheRoot);
+    const paths = [];
+
+    for (const entry of await readDir(cacheRoot)) {
+      // Bookkeeping files such as this state file and the sync ledger stay
+      if (entry.startsWith('.fks-')) {
+        continue;
+      }
+
+      const entryPath = path.join(cacheRoot, entry);
+      if (CONTAINER_DIRS.includes(entry)) {
+        paths.push(...(await readDir(entryPath)).map(child => path.join(entryPath, child)));
+      } else {
+        paths.push(entryPath);
+      }
+    }
+
+    return paths;
+  }
+
+  getStateKey(artifactPath) {
+    const relativePath = path.relative(path.resolve(this.options.cacheRoot), path.resolve(artifactPath));
+    return relativePath.split(path.sep).join('/');
+  }
+
+  async readState() {
+    try {
+      const content = await fs.readJson(this.getFilePath());
+      return {
+        access: content.access || {},
+        pinned: content.pinned || [],
+        sizes: content.sizes || {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT' && this.logger) {
+        this.logger.warn(`Ignoring unreadable cache state ${this.getFilePath()}: ${error.message}`);
+      }
+      return { access: {}, pinned: [], sizes: {} };
+    }
+  }
+
+  async updateState(update) {
+    return await this.enqueue(async () => {
+      // Re-read first so changes made by other processes are not clobbered
+      const state = await this.readState();
+      const result = update(state);
+
+      await fs.ensureDir(path.dirname(this.getFilePath()));
+      await fs.writeJson(this.getFilePath(), { version: STATE_VERSION, ...state }, { spaces: 2 });
+      return result;
+    });
+  }
+}
+
+/**
+ * Parse a size such as "1GB" or "500 MB" into bytes (units are powers of 1024)
+ * @param {string|number} size - Size
+ * @returns {number} Bytes
+ */
+function parseSize(size) {
+  if (typeof size === 'number') {
+    return size;
+  }
+
+  const match = String(size).match(SIZE_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid size "${size}", expected a number with an optional unit such as 500MB or 1GB`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Check that a path lies strictly inside a directory
+ * @param {string} directory - Directory
+ * @param {string} candidate - Path to check
+ * @returns {boolean} Whether candidate is below directory (and not directory itself)
+ */
+function isWithinDirectory(directory, candidate) {
+  const relativePath = path.relative(path.resolve(directory), path.resolve(candidate));
+  return relativePath !== '' &&
+    relativePath !== '..' &&
+    !relativePath.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relativePath);
+}
+
+/**
+ * Format a number of bytes for display
+ * @param {number} bytes - Bytes
+ * @returns {string} Size such as "1.5 GB"
+ */
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function summarize(artifacts, maxSize) {
+  const sources = {};
+
+  for (const artifact of artifacts) {
+    const name = artifact.source || '(orphaned)';
+    const source = sources[name] || (sources[name] = {
+      name,
+      types: [],
+      size: 0,
+      artifacts: 0,
+      lastAccess: null,
+      pinned: false,
+      inUse: false
+    });
+
+    source.size += artifact.size;
+    source.artifacts++;
+    if (artifact.type && !source.types.includes(artifact.type)) {
+      source.types.push(artifact.type);
+    }
+    source.pinned = source.pinned || artifact.pinned;
+    source.inUse = source.inUse || artifact.inUse;
+    if (!source.lastAccess || artifact.lastAccess > source.lastAccess) {
+      source.lastAccess = artifact.lastAccess;
+    }
+  }
+
+  const totalSize = artifacts.reduce((total, artifact) => total + artifact.size, 0);
+
+  return {
+    artifacts,
+    sources: Object.values(sources).sort((a, b) => b.size - a.size),
+    totalSize,
+    maxSize,
+    overBudget: maxSize !== null && totalSize > maxSize
+  };
+}
+
+/**
+ * Cheap change signature of an artifact: its size and the latest modification time of
+ * the artifact and its direct entries. Git updates files through lock files that are
+ * renamed into place, so a fetch or checkout changes the time of .git itself.
+ * @param {string} artifactPath - Artifact path
+ * @param {fs.Stats} stats - lstat of the artifact
+ * @returns {Promise<string>} Signature
+ */
+async function fingerprint(artifactPath, stats) {
+  if (!stats.isDirectory()) {
+    return `${stats.size}:${stats.mtimeMs}`;
+  }
+
+  let latest = stats.mtimeMs;
+  for (const entry of await readDir(artifactPath)) {
+    const entryStats = await fs.lstat(path.join(artifactPath, entry)).catch(() => null);
+    if (entryStats && entryStats.mtimeMs > latest) {
+      latest = entryStats.mtimeMs;
+    }
+  }
+  return `dir:${latest}`;
+}
+
+async function measure(artifactPath) {
+  const stats = await fs.lstat(artifactPath).catch(() => null);
+  if (!stats) {
+    return 0;
+  }
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let size = 0;
+  for (const entry of await readDir(artifactPath)) {
+    size += await measure(path.join(artifactPath, entry));
+  }
+  return size;
+}
+
+async function readDir(dirPath) {
+  try {
+    return await fs.readdir(dirPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+module.exports = { CacheManager, parseSize, formatSize, isWithinDirectory, SIZE_PATTERN };
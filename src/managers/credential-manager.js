@@ -0,0 +1,197 @@
+const os = require('os');
+const path = require('path');
+const {
+  EnvCredentialProvider,
+  KeyringCredentialProvider,
+  VaultCredentialProvider,
+  GitCredentialProvider
+} = require('./credential-providers');
+
+const REFERENCE_PREFIX = 'secret:';
+
+/**
+ * Credential Manager for resolving secret references through pluggable providers
+ * The configuration stores references such as `secret:keyring/connections/main`;
+ * the value lives in the named provider:
+ *   - env: environment variables (read-only)
+ *   - keyring: a file in the user's home directory standing in for the OS keyring
+ *   - vault: a passphrase-encrypted file next to the configuration
+ *   - git: the configured git credential helper
+ */
+class CredentialManager {
+  constructor(options = {}) {
+    this.options = {
+      baseDir: process.cwd(),
+      keyringPath: process.env.BMAD_FKS_KEYRING || path.join(os.homedir(), '.bmad-fks', 'keyring.json'),
+      vaultPath: null,
+      getPassphrase: async () => process.env.BMAD_FKS_VAULT_PASSPHRASE,
+      ...options
+    };
+
+    this.providers = new Map();
+    this.register(new EnvCredentialProvider({ env: this.options.env }));
+    this.register(new KeyringCredentialProvider({ filePath: this.options.keyringPath }));
+    this.register(new VaultCredentialProvider({
+      filePath: this.options.vaultPath || path.join(this.options.baseDir, 'fks-vault.json'),
+      getPassphrase: () => this.options.getPassphrase()
+    }));
+    this.register(new GitCredentialProvider());
+  }
+
+  /**
+   * Register a credential provider, replacing one with the same name
+   * @param {Object} provider - Provider with a name and get, set, delete and list methods
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a registered provider
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown credential provider "${name}". Use one of: ${this.getProviderNames().join(', ')}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the names of the registered providers
+   * @returns {Array<string>} Provider names
+   */
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Resolve a secret reference
+   * @param {string} reference - `secret:<provider>/<name>` or `<provider>/<name>`
+   * @returns {Promise<string>} Secret value
+   */
+  async resolve(reference) {
+    const { provider, name } = parseReference(reference);
+    const value = await this.getProvider(provider).get(name);
+
+    if (value === null || value === undefined) {
+      throw new Error(`secret ${provider}/${name} is not set; run "bmad-fed secrets set ${provider}/${name}"`);
+    }
+    return value;
+  }
+
+  /**
+   * Store a secret
+   * @param {string} reference - Secret reference
+   * @param {string} value - Secret value
+   * @param {Object} [options] - Provider specific options, e.g. username for git
+   * @returns {Promise<Object>} Secret metadata with the reference to use in the configuration
+   */
+  async set(reference, value, options = {}) {
+    const { provider, name } = parseReference(reference);
+    const metadata = await this.getWritableProvider(provider).set(name, value, options);
+    return { ...metadata, reference: formatReference(provider, name) };
+  }
+
+  /**
+   * Replace the value of an existing secret and record the rotation
+   * @param {string} reference - Secret reference
+   * @param {string} value - New secret value
+   * @param {Object} [options] - Provider specific options
+   * @returns {Promise<Object>} Secret metadata
+   */
+  async rotate(reference, value, options = {}) {
+    const { provider, name } = parseReference(reference);
+    const target = this.getWritableProvider(provider);
+
+    if ((await target.get(name)) === null) {
+      throw new Error(`Secret ${provider}/${name} does not exist; use "bmad-fed secrets set" to create it`);
+    }
+
+    const metadata = await target.set(name, value, { ...options, rotate: true });
+    return { ...metadata, reference: formatReference(provider, name) };
+  }
+
+  /**
+   * Delete a secret
+   * @param {string} reference - Secret reference
+   * @returns {Promise<boolean>} Whether a secret was deleted
+   */
+  async delete(reference) {
+    const { provider, name } = parseReference(reference);
+    return await this.getWritableProvider(provider).delete(name);
+  }
+
+  /**
+   * List stored secrets without their values
+   * Providers that cannot enumerate their secrets are skipped, and locked ones are reported
+   * @param {Array<string>} [providerNames] - Providers to list, defaults to all
+   * @returns {Promise<Object>} Secrets and per-provider errors
+   */
+  async list(providerNames = this.getProviderNames()) {
+    const secrets = [];
+    const errors = {};
+
+    for (const providerName of providerNames) {
+      try {
+        const entries = await this.getProvider(providerName).list();
+        for (const entry of entries || []) {
+          secrets.push({ ...entry, provider: providerName, reference: formatReference(providerName, entry.name) });
+        }
+      } catch (error) {
+        errors[providerName] = error.message;
+      }
+    }
+
+    return { secrets, errors };
+  }
+
+  getWritableProvider(name) {
+    const provider = this.getProvider(name);
+    if (!provider.writable) {
+      throw new Error(`The ${name} provider is read-only`);
+    }
+    return provider;
+  }
+}
+
+/**
+ * Split a secret reference into provider and name
+ * @param {string} reference - `secret:<provider>/<name>` or `<provider>/<name>`
+ * @returns {Object} Provider and name
+ */
+function parseReference(reference) {
+  const value = String(reference).startsWith(REFERENCE_PREFIX)
+    ? String(reference).substring(REFERENCE_PREFIX.length)
+    : String(reference);
+  const index = value.indexOf('/');
+
+  if (index <= 0 || index === value.length - 1) {
+    throw new Error(`Invalid secret reference "${reference}", expected ${REFERENCE_PREFIX}<provider>/<name>`);
+  }
+
+  return { provider: value.substring(0, index), name: value.substring(index + 1) };
+}
+
+/**
+ * Build the configuration reference of a secret
+ * @param {string} provider - Provider name
+ * @param {string} name - Secret name
+ * @returns {string} Secret reference
+ */
+function formatReference(provider, name) {
+  return `${REFERENCE_PREFIX}${provider}/${name}`;
+}
+
+/**
+ * Check whether a configuration value is a secret reference
+ * @param {*} value - Configuration value
+ * @returns {boolean} Whether the value references a secret
+ */
+function isSecretReference(value) {
+  return typeof value === 'string' && value.startsWith(REFERENCE_PREFIX);
+}
+
+module.exports = { CredentialManager, parseReference, formatReference, isSecretReference };
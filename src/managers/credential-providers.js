@@ -0,0 +1,334 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const STORE_VERSION = 1;
+
+// scrypt parameters for deriving the vault key from its passphrase
+const VAULT_KDF = { N: 16384, r: 8, p: 1, keyLength: 32 };
+
+/**
+ * Credential provider reading environment variables
+ * Read-only: secrets are managed by whatever sets up the environment
+ */
+class EnvCredentialProvider {
+  constructor(options = {}) {
+    this.name = 'env';
+    this.writable = false;
+    this.env = options.env || process.env;
+  }
+
+  async get(name) {
+    return this.env[name] === undefined ? null : this.env[name];
+  }
+
+  async set() {
+    throw new Error('The env provider is read-only; set the environment variable instead');
+  }
+
+  async delete() {
+    throw new Error('The env provider is read-only; unset the environment variable instead');
+  }
+
+  async list() {
+    return null;
+  }
+}
+
+/**
+ * Base class for providers keeping secrets in a local file
+ * Subclasses implement readStore() and writeStore() for the on-disk format
+ */
+class FileCredentialProvider {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.writable = true;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a read-modify-write task after every pending one has finished
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(name) {
+    const secrets = await this.readStore();
+    return secrets[name] ? secrets[name].value : null;
+  }
+
+  /**
+   * Store a secret
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   * @param {Object} [options] - Set options
+   * @param {boolean} [options.rotate] - Record the change as a rotation of an existing secret
+   * @returns {Promise<Object>} Secret metadata
+   */
+  async set(name, value, options = {}) {
+    return await this.enqueue(async () => {
+      const secrets = await this.readStore();
+      const now = new Date().toISOString();
+      const previous = secrets[name];
+
+      if (options.rotate && !previous) {
+        throw new Error(`Secret ${this.name}/${name} does not exist`);
+      }
+
+      const rotatedAt = options.rotate ? now : previous?.rotated_at;
+      secrets[name] = {
+        value,
+        created_at: previous ? previous.created_at : now,
+        updated_at: now,
+        ...(rotatedAt && { rotated_at: rotatedAt })
+      };
+
+      await this.writeStore(secrets);
+      return describeSecret(name, secrets[name]);
+    });
+  }
+
+  async delete(name) {
+    return await this.enqueue(async () => {
+      const secrets = await this.readStore();
+      if (!secrets[name]) {
+        return false;
+      }
+
+      delete secrets[name];
+      await this.writeStore(secrets);
+      return true;
+    });
+  }
+
+  async list() {
+    const secrets = await this.readStore();
+    return Object.keys(secrets).sort().map(name => describeSecret(name, secrets[name]));
+  }
+
+  /**
+   * Write file content atomically, readable by the current user only
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async writeFile(content) {
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+}
+
+/**
+ * Credential provider standing in for the OS keyring
+ * Secrets live in a JSON file in the user's home directory, readable by the user only
+ */
+class KeyringCredentialProvider extends FileCredentialProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'keyring';
+  }
+
+  async readStore() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return {};
+    }
+
+    const content = await fs.readJson(this.filePath);
+    return content.secrets || {};
+  }
+
+  async writeStore(secrets) {
+    await this.writeFile(`${JSON.stringify({ version: STORE_VERSION, secrets }, null, 2)}\n`);
+  }
+}
+
+/**
+ * Credential provider keeping secrets in a passphrase-encrypted vault file
+ * The secrets are encrypted together with AES-256-GCM using a key derived by scrypt
+ */
+class VaultCredentialProvider extends FileCredentialProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'vault';
+    this.getPassphrase = options.getPassphrase;
+    this.passphrase = null;
+  }
+
+  /**
+   * Get the vault passphrase, asking for it once
+   * @returns {Promise<string>} Passphrase
+   */
+  async unlock() {
+    if (!this.passphrase) {
+      this.passphrase = await this.getPassphrase();
+    }
+    if (!this.passphrase) {
+      throw new Error('The vault is locked; set BMAD_FKS_VAULT_PASSPHRASE to unlock it');
+    }
+    return this.passphrase;
+  }
+
+  async readStore() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return {};
+    }
+
+    const vault = await fs.readJson(this.filePath);
+    const key = deriveKey(await this.unlock(), Buffer.from(vault.salt, 'base64'));
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8')).secrets || {};
+    } catch (error) {
+      throw new Error(`Failed to unlock vault ${this.filePath}: wrong passphrase or damaged file`);
+    }
+  }
+
+  async writeStore(secrets) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(await this.unlock(), salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ secrets }), 'utf8'), cipher.final()]);
+
+    await this.writeFile(`${JSON.stringify({
+      version: STORE_VERSION,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2)}\n`);
+  }
+}
+
+/**
+ * Credential provider backed by the configured git credential helper
+ * Names are hosts or URLs (`gitlab.company.com`, `https://gitlab.company.com/team`);
+ * append `#username` to read the username instead of the password
+ */
+class GitCredentialProvider {
+  constructor(options = {}) {
+    this.name = 'git';
+    this.writable = true;
+    this.gitBinary = options.gitBinary || 'git';
+  }
+
+  async get(name) {
+    const [target, field = 'password'] = name.split('#');
+    const credential = await this.runCredential('fill', describeTarget(target));
+    return credential[field] || null;
+  }
+
+  /**
+   * Store a credential in the git credential helper
+   * @param {string} name - Host or URL
+   * @param {string} value - Password or token
+   * @param {Object} [options] - Set options
+   * @param {string} [options.username] - Username stored with the password
+   * @returns {Promise<Object>} Secret metadata
+   */
+  async set(name, value, options = {}) {
+    const [target] = name.split('#');
+    await this.runCredential('approve', {
+      ...describeTarget(target),
+      username: options.username || 'git',
+      password: value
+    });
+    return { name, updated_at: new Date().toISOString() };
+  }
+
+  async delete(name) {
+    const [target] = name.split('#');
+    await this.runCredential('reject', describeTarget(target));
+    return true;
+  }
+
+  async list() {
+    return null;
+  }
+
+  /**
+   * Run `git credential <action>` without ever prompting on the terminal
+   * @param {string} action - fill, approve or reject
+   * @param {Object} fields - Credential fields
+   * @returns {Promise<Object>} Fields printed by git
+   */
+  runCredential(action, fields) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.gitBinary, ['credential', action], {
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GCM_INTERACTIVE: 'never' },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`git credential ${action} failed: ${stderr.trim() || `exit code ${code}`}`));
+          return;
+        }
+        resolve(Object.fromEntries(
+          stdout.split('\n').filter(line => line.includes('=')).map(line => {
+            const index = line.indexOf('=');
+            return [line.substring(0, index), line.substring(index + 1)];
+          })
+        ));
+      });
+
+      const input = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join('\n');
+      child.stdin.end(`${input}\n\n`);
+    });
+  }
+}
+
+function describeTarget(target) {
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) {
+    return { protocol: 'https', host: target };
+  }
+
+  const url = new URL(target);
+  return {
+    protocol: url.protocol.replace(/:$/, ''),
+    host: url.host,
+    ...(url.pathname.length > 1 && { path: url.pathname.replace(/^\//, '') })
+  };
+}
+
+function describeSecret(name, secret) {
+  return {
+    name,
+    created_at: secret.created_at,
+    updated_at: secret.updated_at,
+    ...(secret.rotated_at && { rotated_at: secret.rotated_at })
+  };
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, VAULT_KDF.keyLength, {
+    N: VAULT_KDF.N,
+    r: VAULT_KDF.r,
+    p: VAULT_KDF.p
+  });
+}
+
+module.exports = {
+  EnvCredentialProvider,
+  FileCredentialProvider,
+  KeyringCredentialProvider,
+  VaultCredentialProvider,
+  GitCredentialProvider
+};
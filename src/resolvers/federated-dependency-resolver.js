@@ -1,8 +1,42 @@
 const fs = require('fs-extra');
 const path = require('path');
+const semver = require('semver');
 const { ConfigValidator } = require('../schemas/config-validator');
+const { SyncLedger } = require('../core/sync-ledger');
+const { PathFilter } = require('../core/path-filter');
+const { KnowledgeLockfile } = require('../core/knowledge-lockfile');
+const { KnowledgeGraph } = require('../core/knowledge-graph');
+const { ConflictResolutions } = require('../core/conflict-resolutions');
+const { ConflictHistory } = require('../core/conflict-history');
+const { TaskPool } = require('../core/task-pool');
+const { CacheManager, formatSize } = require('../managers/cache-manager');
+const { SyncLock } = require('../core/sync-lock');
+const { normalizeRepoUrl, getRepoHost } = require('../core/repo-url');
 
 const puppeteer = require("puppeteer");
+
+// Files inside a synced repository that may declare its own federated_knowledge
+const TRANSITIVE_CONFIG_FILES = [
+  'core-config.yaml',
+  'core-config.yml',
+  'bmad-config.yaml',
+  'bmad-config.yml'
+];
+
+const DEFAULT_MAX_TRANSITIVE_DEPTH = 3;
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+const DEFAULT_MAX_CACHE_SIZE = '1GB';
+
+// Progress phases reported when a sync ends, by sync result status
+const FINAL_SYNC_PHASES = {
+  success: 'done',
+  skipped: 'skipped',
+  in_progress: 'skipped',
+  error: 'failed'
+};
+
 /**
  * Federated Dependency Resolver
  * Extends BMAD's dependency resolution to support federated knowledge repositories
@@ -11,7 +45,7 @@ class FederatedDependencyResolver {
   constructor(options = {}) {
     this.options = {
       configPath: './.bmad-fks-core/fks-core-config.yaml',
-      cacheDir: './bmad-fks-cache',
+      cacheDir: './.bmad-fks-cache',
       parallelSync: true,
       ...options
     };
@@ -19,9 +53,36 @@ class FederatedDependencyResolver {
     this.gitManager = options.gitManager;
     this.knowledgeMerger = options.knowledgeMerger;
     this.logger = options.logger;
-    this.configValidator = new ConfigValidator();
+    this.configValidator = new ConfigValidator({ credentials: options.credentialManager });
+    this.syncLedger = options.syncLedger || new SyncLedger({
+      cacheRoot: this.options.cacheDir,
+      logger: this.logger
+    });
+    this.lockfile = options.lockfile || new KnowledgeLockfile({
+      lockfilePath: this.options.lockfilePath ||
+        path.join(path.dirname(this.options.configPath), 'fks-lock.yaml')
+    });
+    this.resolutions = options.resolutions || new ConflictResolutions({
+      filePath: this.options.resolutionsPath ||
+        path.join(path.dirname(this.options.configPath), 'fks-resolutions.yaml')
+    });
+    this.conflictHistory = options.conflictHistory || new ConflictHistory({
+      cacheRoot: this.options.cacheDir,
+      logger: this.logger
+    });
+    this.cacheManager = options.cacheManager || new CacheManager({
+      cacheRoot: this.options.cacheDir,
+      gitManager: this.gitManager,
+      syncLedger: this.syncLedger,
+      logger: this.logger
+    });
+    this.syncLock = options.syncLock || new SyncLock({
+      cacheRoot: this.options.cacheDir,
+      logger: this.logger
+    });
     
     this.federatedRepos = new Map();
+    this.dependencyEdges = [];
     this.config = null;
     this.initialized = false;
   }
@@ -36,9 +97,28 @@ class FederatedDependencyResolver {
       
       // Load configuration
       await this.loadConfiguration();
+
+      // Load persisted sync state from the cache root
+      this.syncLedger.setCacheRoot(this.getCacheRoot());
+      await this.syncLedger.load();
+      this.conflictHistory.setCacheRoot(this.getCacheRoot());
+      this.cacheManager.setCacheRoot(this.getCacheRoot());
+      this.cacheManager.setMaxSize(this.getMaxCacheSize());
+      this.syncLock.setCacheRoot(this.getCacheRoot());
+
+      // Load commits pinned by a previous sync
+      await this.lockfile.load();
+
+      // Load manual conflict decisions and apply the configured merge settings
+      await this.resolutions.load();
+      this.configureKnowledgeMerger();
+      this.configureGitManager();
       
       // Initialize federated repositories
       await this.initializeFederatedRepos();
+
+      // Register dependencies declared by repositories already in the cache
+      await this.discoverTransitiveRepos();
       
       this.initialized = true;
       this.logger.info('Federated Dependency Resolver initialized successfully');
@@ -72,6 +152,32 @@ class FederatedDependencyResolver {
     }
   }
 
+  /**
+   * Pass merge settings from the federated configuration to the knowledge merger
+   */
+  configureKnowledgeMerger() {
+    const settings = this.config?.bmad_config?.federated_settings || {};
+
+    this.knowledgeMerger.configure({
+      conflictResolution: settings.conflict_resolution,
+      structuralMerge: settings.structural_merge,
+      mergeStrategies: settings.merge_strategies,
+      resolutions: this.resolutions
+    });
+  }
+
+  /**
+   * Pass timeout and retry settings from the federated configuration to the git manager
+   */
+  configureGitManager() {
+    const settings = this.config?.bmad_config?.federated_settings || {};
+
+    this.gitManager.configure({
+      ...(settings.sync_timeout !== undefined && { timeout: settings.sync_timeout * 1000 }),
+      retryAttempts: settings.retry_attempts
+    });
+  }
+
   /**
    * Initialize federated repositories from configuration
    * @returns {Promise<void>}
@@ -86,8 +192,11 @@ class FederatedDependencyResolver {
           ...config,
           name,
           status: 'initialized',
-          lastSync: null,
-          syncInProgress: false
+          lastSync: this.syncLedger.getLastSync(name),
+          syncInProgress: false,
+          transitive: false,
+          depth: 0,
+          ancestry: [normalizeRepoUrl(config.repo)]
         });
         
         this.logger.debug(`Initialized federated repository: ${name}`);
@@ -115,11 +224,13 @@ class FederatedDependencyResolver {
       const knowledgeSources = [];
 
       // 1. Load federated knowledge first
+      // Transitive repositories registered during the loop are visited by the same iteration
       for (const [name, config] of this.federatedRepos.entries()) {
         try {
           await this.syncRepository(name, config);
+          await this.registerTransitiveRepos(name);
           knowledgeSources.push({
-            path: config.local_cache,
+            path: this.getSourceRoot(config),
             priority: config.priority,
             source: 'federated',
             repo: name,
@@ -132,26 +243,26 @@ class FederatedDependencyResolver {
       }
 
       // 2. Add local knowledge
-      const localKnowledge = this.config?.bmad_config?.local_knowledge;
-      if (localKnowledge) {
-        for (const [type, localPath] of Object.entries(localKnowledge)) {
-          const exists = await fs.pathExists(localPath);
-          if (exists) {
-            knowledgeSources.push({
-              path: localPath,
-              priority: 999, // Always highest unless overridden
-              source: 'local',
-              type
-            });
-          }
-        }
-      }
+      knowledgeSources.push(...await this.getLocalKnowledgeSources());
 
       // 3. Resolve conflicts by priority and merge sources
-      const mergedKnowledge = await this.knowledgeMerger.mergeKnowledgeSources(
-        knowledgeSources,
-        agentConfig?.dependencies || []
-      );
+      // The cached repositories being read must not be evicted meanwhile
+      const federatedPaths = knowledgeSources.filter(source => source.source === 'federated').map(source => source.config.local_cache);
+      const releases = federatedPaths.map(sourcePath => this.cacheManager.acquire(sourcePath));
+      let mergedKnowledge;
+      try {
+        mergedKnowledge = await this.knowledgeMerger.mergeKnowledgeSources(
+          knowledgeSources,
+          agentConfig?.dependencies || []
+        );
+      } finally {
+        releases.forEach(release => release());
+      }
+      await this.touchCache(federatedPaths);
+      await this.enforceCacheLimit();
+
+      // 4. Persist how each conflict was resolved for later audits
+      await this.recordConflictHistory(this.knowledgeMerger.getConflictLog());
 
       this.logger.info(`Knowledge resolution completed. Merged ${knowledgeSources.length} sources`);
       
@@ -167,51 +278,620 @@ class FederatedDependencyResolver {
     }
   }
 
+  /**
+   * Get the local knowledge directories that exist on disk
+   * @returns {Promise<Array>} Local knowledge sources
+   */
+  async getLocalKnowledgeSources() {
+    const sources = [];
+    const localKnowledge = this.config?.bmad_config?.local_knowledge || {};
+
+    for (const [type, localPath] of Object.entries(localKnowledge)) {
+      const exists = await fs.pathExists(localPath);
+      if (exists) {
+        sources.push({
+          path: localPath,
+          priority: 999, // Always highest unless overridden
+          source: 'local',
+          type
+        });
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Get the knowledge sources currently in the cache without syncing them
+   * @returns {Promise<Array>} Federated and local knowledge sources
+   */
+  async getCachedKnowledgeSources() {
+    const sources = [];
+
+    for (const [name, config] of this.federatedRepos.entries()) {
+      if (config.local_cache && await fs.pathExists(config.local_cache)) {
+        sources.push({
+          path: this.getSourceRoot(config),
+          priority: config.priority,
+          source: 'federated',
+          repo: name,
+          config
+        });
+      }
+    }
+
+    sources.push(...await this.getLocalKnowledgeSources());
+    return sources;
+  }
+
+  /**
+   * Build a graph of all knowledge sources and how they relate
+   * @param {Object} [options] - Graph options
+   * @param {boolean} [options.conflicts=true] - Merge cached sources to count conflicts and shadowing
+   * @returns {Promise<KnowledgeGraph>} Knowledge graph
+   */
+  async buildKnowledgeGraph(options = {}) {
+    const { conflicts = true } = options;
+    const graph = new KnowledgeGraph();
+    const projectName = path.basename(path.resolve(path.dirname(this.options.configPath), '..'));
+
+    graph.addNode({ id: 'project', type: 'project', label: projectName });
+
+    for (const [name, config] of this.federatedRepos.entries()) {
+      const ledgerEntry = this.syncLedger.get(name);
+      const cached = Boolean(config.local_cache) && await fs.pathExists(config.local_cache);
+
+      graph.addNode({
+        id: `git:${name}`,
+        type: 'git',
+        label: name,
+        repo: config.repo,
+        priority: config.priority,
+        status: cached ? ledgerEntry?.outcome || 'cached' : 'not synced',
+        lastSync: ledgerEntry?.lastSync || null,
+        commit: ledgerEntry?.commit || null,
+        transitive: Boolean(config.transitive),
+        depth: config.depth || 0
+      });
+
+      if (!config.transitive) {
+        graph.addEdge('project', `git:${name}`, 'includes');
+      }
+    }
+
+    for (const edge of this.dependencyEdges) {
+      graph.addEdge(`git:${edge.from}`, `git:${edge.to}`, edge.kind);
+    }
+
+    const knowledgeSources = this.config?.bmad_config?.knowledge_sources || {};
+    for (const [name, config] of Object.entries(knowledgeSources)) {
+      if (config.type !== 'web' && config.type !== 'database') {
+        continue;
+      }
+
+      const ledgerEntry = this.syncLedger.get(name);
+      graph.addNode({
+        id: `${config.type}:${name}`,
+        type: config.type,
+        label: name,
+        priority: config.priority ?? 0,
+        status: ledgerEntry?.outcome || 'not synced',
+        lastSync: ledgerEntry?.lastSync || null
+      });
+      graph.addEdge('project', `${config.type}:${name}`, 'includes');
+    }
+
+    const localSources = await this.getLocalKnowledgeSources();
+    if (localSources.length > 0) {
+      graph.addNode({
+        id: 'local',
+        type: 'local',
+        label: 'local knowledge',
+        priority: 999,
+        paths: Object.fromEntries(localSources.map(source => [source.type, source.path]))
+      });
+      graph.addEdge('project', 'local', 'includes');
+    }
+
+    if (conflicts) {
+      const merged = await this.knowledgeMerger.mergeKnowledgeSources(await this.getCachedKnowledgeSources());
+      graph.addConflicts(merged.conflicts, (sourceName) => {
+        if (sourceName === 'local') {
+          return 'local';
+        }
+        return graph.getNode(`git:${sourceName}`) ? `git:${sourceName}` : null;
+      });
+    }
+
+    return graph;
+  }
+
+  /**
+   * Merge the cached knowledge sources and collect conflicts awaiting a manual decision
+   * Conflicts on the same item are grouped, with one candidate per source
+   * @returns {Promise<Array<Object>>} Pending conflicts
+   */
+  async getPendingConflicts() {
+    const merged = await this.knowledgeMerger.mergeKnowledgeSources(await this.getCachedKnowledgeSources());
+    const pendingIds = new Set(
+      merged.conflicts.filter(conflict => conflict.resolution === 'manual').map(conflict => conflict.id)
+    );
+    const pending = new Map();
+
+    // Candidates come from every conflict on a pending item, including pairs an outdated
+    // resolution still settled, so a new decision covers all sources at once
+    for (const conflict of merged.conflicts) {
+      if (!pendingIds.has(conflict.id)) {
+        continue;
+      }
+
+      const entry = pending.get(conflict.id) || {
+        id: conflict.id,
+        type: conflict.type,
+        key: conflict.key,
+        outdated: false,
+        candidates: []
+      };
+
+      for (const candidate of [conflict.existing, conflict.incoming]) {
+        if (!entry.candidates.some(existing => existing.source === candidate.source)) {
+          entry.candidates.push({ ...candidate });
+        }
+      }
+
+      entry.outdated = entry.outdated || Boolean(conflict.outdatedResolution);
+      pending.set(conflict.id, entry);
+    }
+
+    return Array.from(pending.values()).map(entry => ({
+      ...entry,
+      candidates: entry.candidates.sort((a, b) => b.priority - a.priority)
+    }));
+  }
+
+  /**
+   * Record a manual decision for a pending conflict
+   * @param {Object} conflict - Pending conflict from getPendingConflicts
+   * @param {Object} decision - Decision
+   * @param {string} [decision.winner] - Source whose content wins
+   * @param {string} [decision.content] - Hand-edited merged content
+   * @returns {Promise<Object>} Recorded decision
+   */
+  async resolveConflict(conflict, decision) {
+    const candidates = Object.fromEntries(conflict.candidates.map(candidate => [candidate.source, candidate.hash]));
+    const entry = this.resolutions.set(conflict.type, conflict.key, { candidates, ...decision });
+
+    await this.resolutions.save();
+    this.logger.info(`Recorded resolution for ${conflict.id}: ${entry.winner}`);
+
+    return entry;
+  }
+
+  /**
+   * Forget the recorded decision for a conflict
+   * @param {string} id - Conflict id (type:key)
+   * @returns {Promise<boolean>} Whether a decision was removed
+   */
+  async removeConflictResolution(id) {
+    if (!this.resolutions.remove(id)) {
+      return false;
+    }
+
+    await this.resolutions.save();
+    return true;
+  }
+
+  /**
+   * Get the recorded manual conflict decisions
+   * @returns {Object} Decisions keyed by conflict id
+   */
+  getConflictResolutions() {
+    return this.resolutions.getAll();
+  }
+
+  /**
+   * Append conflict log entries to the persisted conflict history
+   * A history that cannot be written never fails knowledge resolution
+   * @param {Array<Object>} entries - Conflict log entries
+   * @returns {Promise<void>}
+   */
+  async recordConflictHistory(entries) {
+    try {
+      await this.conflictHistory.append(entries);
+    } catch (error) {
+      this.logger.warn(`Failed to record conflict history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the persisted conflict history
+   * @param {Object} [options] - Read options (since, limit)
+   * @returns {Promise<Array<Object>>} History entries, oldest first
+   */
+  async getConflictHistory(options = {}) {
+    return await this.conflictHistory.read(options);
+  }
+
+  /**
+   * Remove every entry from the persisted conflict history
+   * @returns {Promise<void>}
+   */
+  async clearConflictHistory() {
+    await this.conflictHistory.clear();
+  }
+
   /**
    * Sync a repository if needed
    * @param {string} name - Repository name
    * @param {Object} config - Repository configuration
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.force] - Sync regardless of policy
+   * @param {boolean} [options.frozen] - Check out exactly the commit recorded in the lockfile
+   * @param {boolean|number} [options.wait] - Wait for another process syncing the repository
+   *   (at most this many milliseconds when a number) instead of skipping it
+   * @param {number} [options.deepen] - Fetch this many more commits of a shallow cache's history;
+   *   the repository is synced regardless of policy
+   * @param {Function} [options.onProgress] - Called with (name, { phase, ... }) as the sync progresses
    * @returns {Promise<Object>} Sync result
    */
-  async syncRepository(name, config) {
+  async syncRepository(name, config, options = {}) {
+    const startedAt = Date.now();
+    const onProgress = options.onProgress ? event => options.onProgress(name, event) : null;
+    let releaseLock = null;
+
     try {
       // Check if sync is needed
-      if (!this.shouldSync(name, config)) {
+      if (!options.force && !options.frozen && !options.deepen && !this.shouldSync(name, config)) {
         this.logger.debug(`Skipping sync for ${name} - not needed`);
+        if (onProgress) {
+          onProgress({ phase: 'skipped', reason: 'sync not needed' });
+        }
         return { status: 'skipped', reason: 'sync not needed' };
       }
 
       // Check if sync is already in progress
       if (config.syncInProgress) {
         this.logger.warn(`Sync already in progress for ${name}`);
-        return { status: 'in_progress' };
+        if (onProgress) {
+          onProgress({ phase: 'skipped', reason: 'sync already in progress' });
+        }
+        return { status: 'in_progress', reason: 'sync already in progress' };
+      }
+
+      // Only ask the remote for tags once the repository is going to sync
+      if (config.version && onProgress) {
+        onProgress({ phase: 'resolving' });
       }
+      const { revision, resolvedVersion } = await this.resolveRevision(name, config, options);
+
+      // Other processes, or other sources sharing the cache directory, hold its lock file
+      const lock = await this.syncLock.acquire(config.local_cache, {
+        wait: options.wait,
+        details: { name, local_cache: config.local_cache },
+        onWait: (holder) => {
+          this.logger.info(`Waiting for ${name}: ${describeLockHolder(holder)}`);
+          if (onProgress) {
+            onProgress({ phase: 'waiting', reason: describeLockHolder(holder) });
+          }
+        }
+      });
+      if (!lock.acquired) {
+        const reason = describeLockHolder(lock.holder);
+        this.logger.warn(`Skipping sync of ${name}: ${reason}`);
+        if (onProgress) {
+          onProgress({ phase: 'skipped', reason });
+        }
+        return { status: 'locked', reason, lock: lock.holder };
+      }
+      releaseLock = lock.release;
 
       // Mark sync as in progress
       config.syncInProgress = true;
       
       this.logger.info(`Syncing repository: ${name}`);
       
-      const result = await this.gitManager.syncRepo(
-        config.repo,
-        config.local_cache,
-        config.branch || 'main',
-        config.auth
-      );
+      const syncMethod = options.force || options.frozen ? 'forceSync' : 'syncRepo';
+      const release = this.cacheManager.acquire(config.local_cache);
+      let result;
+      try {
+        result = await this.gitManager[syncMethod](
+          config.repo,
+          config.local_cache,
+          config.branch || 'main',
+          config.auth,
+          {
+            ...this.getSyncOptions(config),
+            ...(revision && { revision }),
+            ...(options.deepen && { deepen: options.deepen }),
+            ...(onProgress && { onProgress })
+          }
+        );
+      } finally {
+        release();
+      }
+
+      if (result.status === 'success') {
+        await this.touchCache(config.local_cache, { changed: true });
+
+        const sourceRoot = this.getSourceRoot(config);
+        if (sourceRoot !== config.local_cache && !(await fs.pathExists(sourceRoot))) {
+          this.logger.warn(`Repository ${name} has no folder ${getRepoSubpath(config)} on ${config.branch || 'main'}; it provides no knowledge`);
+        }
+      }
+
+      // Frozen syncs reproduce the lockfile, they never rewrite it
+      if (result.status === 'success' && result.commit && !options.frozen) {
+        await this.updateLockEntry(name, config, result.commit, resolvedVersion);
+      }
+
+      if (resolvedVersion) {
+        result.resolvedVersion = resolvedVersion.version;
+        result.tag = resolvedVersion.tag;
+      }
 
       // Update sync timestamp
       config.lastSync = Date.now();
       config.status = result.status;
+
+      if (result.status !== 'in_progress') {
+        await this.recordSync(name, {
+          type: 'git',
+          outcome: result.status,
+          durationMs: Date.now() - startedAt,
+          commit: result.commit,
+          version: result.resolvedVersion,
+          operation: result.operation,
+          attempts: result.attempts?.length,
+          timings: result.timings,
+          error: result.error
+        });
+      }
       
       this.logger.info(`Repository ${name} sync completed with status: ${result.status}`);
+      if (onProgress) {
+        onProgress({
+          phase: FINAL_SYNC_PHASES[result.status] || result.status,
+          error: result.error,
+          ...(result.recovered && { reason: `re-cloned, the cache ${result.recovered.reason}` })
+        });
+      }
       
       return result;
     } catch (error) {
       this.logger.error(`Failed to sync repository ${name}:`, error);
+      if (onProgress) {
+        onProgress({ phase: 'failed', error: error.message });
+      }
       config.status = 'error';
+      await this.recordSync(name, {
+        type: 'git',
+        outcome: 'error',
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      });
       throw error;
     } finally {
       config.syncInProgress = false;
+      if (releaseLock) {
+        await releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Determine the revision a repository should be checked out at
+   * @param {string} name - Repository name
+   * @param {Object} config - Repository configuration
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.frozen] - Use the commit recorded in the lockfile
+   * @returns {Promise<Object>} Revision to check out (null follows the branch) and any resolved version
+   */
+  async resolveRevision(name, config, options = {}) {
+    if (options.frozen) {
+      const locked = this.lockfile.get(name);
+      if (!locked) {
+        throw new Error(`Repository ${name} is not in the lockfile. Run "bmad-fed sync" without --frozen to update it`);
+      }
+      if (locked.repo !== config.repo) {
+        throw new Error(`Lockfile entry for ${name} points to ${locked.repo} but the configuration uses ${config.repo}`);
+      }
+      return { revision: locked.commit, resolvedVersion: null };
+    }
+
+    if (config.version) {
+      const resolvedVersion = await this.resolveVersion(name, config);
+      return { revision: resolvedVersion.tag, resolvedVersion };
+    }
+
+    return { revision: config.commit || config.tag || config.ref || null, resolvedVersion: null };
+  }
+
+  /**
+   * Resolve a semver range against the remote repository tags
+   * Picks the highest matching tag; falls back to the locked tag when the remote is unreachable
+   * @param {string} name - Repository name
+   * @param {Object} config - Repository configuration with a `version` range
+   * @returns {Promise<Object>} Resolved tag, version and commit
+   */
+  async resolveVersion(name, config) {
+    let tags;
+
+    try {
+      tags = await this.gitManager.listRemoteTags(config.repo, config.auth);
+    } catch (error) {
+      const locked = this.lockfile.get(name);
+      if (locked?.tag && locked.requested?.version === config.version) {
+        this.logger.warn(`Could not list tags for ${name}, using locked version ${locked.resolved_version}: ${error.message}`);
+        return { tag: locked.tag, version: locked.resolved_version, commit: locked.commit };
+      }
+      throw new Error(`Failed to list tags for ${name}: ${error.message}`);
+    }
+
+    const candidates = new Map();
+    for (const tag of tags) {
+      const version = semver.clean(tag.name, { loose: true });
+      if (version && !candidates.has(version)) {
+        candidates.set(version, tag);
+      }
+    }
+
+    const version = semver.maxSatisfying(Array.from(candidates.keys()), config.version);
+    if (!version) {
+      throw new Error(`No tag of ${config.repo} satisfies version ${config.version}`);
+    }
+
+    const tag = candidates.get(version);
+    this.logger.info(`Resolved ${name}@${config.version} to ${tag.name}`);
+
+    return { tag: tag.name, version, commit: tag.commit };
+  }
+
+  /**
+   * Describe what a repository configuration asks for
+   * @param {Object} config - Repository configuration
+   * @returns {Object} Requested commit, tag, ref or branch
+   */
+  getRequestedRevision(config) {
+    if (config.version) return { version: config.version };
+    if (config.commit) return { commit: config.commit };
+    if (config.tag) return { tag: config.tag };
+    if (config.ref) return { ref: config.ref };
+    return { branch: config.branch || 'main' };
+  }
+
+  /**
+   * Record the commit a repository resolved to in the lockfile
+   * @param {string} name - Repository name
+   * @param {Object} config - Repository configuration
+   * @param {string} commit - Resolved commit hash
+   * @param {Object} [resolvedVersion] - Tag and version a semver range resolved to
+   * @returns {Promise<void>}
+   */
+  async updateLockEntry(name, config, commit, resolvedVersion = null) {
+    const locked = this.lockfile.get(name);
+    const requested = this.getRequestedRevision(config);
+
+    if (locked && locked.commit === commit && locked.repo === config.repo &&
+        JSON.stringify(locked.requested) === JSON.stringify(requested)) {
+      return;
+    }
+
+    this.lockfile.set(name, {
+      repo: config.repo,
+      requested,
+      ...(resolvedVersion && {
+        resolved_version: resolvedVersion.version,
+        tag: resolvedVersion.tag
+      }),
+      commit
+    });
+
+    try {
+      await this.lockfile.save();
+    } catch (error) {
+      this.logger.warn(`Failed to update lockfile for ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the git sync options for a repository configuration
+   * @param {Object} config - Repository configuration
+   * @returns {Object} Options passed to GitManager.syncRepo
+   */
+  getSyncOptions(config) {
+    const options = {};
+    const subpath = getRepoSubpath(config);
+    const settings = this.config?.bmad_config?.federated_settings || {};
+    const localChanges = config.local_changes || settings.local_changes;
+    const cloneStrategy = config.clone_strategy || settings.clone_strategy;
+    const fetchDepth = config.fetch_depth || settings.fetch_depth;
+
+    if (localChanges) {
+      options.localChanges = localChanges;
+    }
+    if (cloneStrategy) {
+      options.cloneStrategy = cloneStrategy;
+    }
+    if (fetchDepth) {
+      options.fetchDepth = fetchDepth;
+    }
+
+    const filter = new PathFilter(config.filters || {});
+    if (config.filters?.sparse_checkout && filter.hasRules()) {
+      options.sparsePatterns = filter.toSparseCheckoutPatterns(subpath);
+    } else if (subpath) {
+      // Only the mounted folder of a monorepo is checked out
+      options.sparsePatterns = [`/${subpath}/`];
+    }
+
+    return options;
+  }
+
+  /**
+   * Get the directory a repository's knowledge is read from
+   * This is the cache itself, or the folder set with path (or subpath) inside it
+   * @param {Object} config - Repository configuration
+   * @param {string} [cachePath] - Cache directory, defaults to local_cache
+   * @returns {string} Knowledge source root
+   */
+  getSourceRoot(config, cachePath = config.local_cache) {
+    const subpath = getRepoSubpath(config);
+    return subpath ? path.join(cachePath, subpath) : cachePath;
+  }
+
+  /**
+   * Prepare the input directory for flattening a repository
+   * When filters are configured, only matching files are staged into a separate
+   * directory under the cache root so the flattened output honours them too
+   * @param {string} name - Repository name
+   * @param {Object} config - Repository configuration
+   * @returns {Promise<string>} Directory to flatten
+   */
+  async prepareFlattenInput(name, config) {
+    const cachePath = this.getSourceRoot(config, config.local_cache || path.join(this.getCacheRoot(), name));
+    const filter = new PathFilter(config.filters || {});
+
+    if (!filter.hasRules()) {
+      return cachePath;
+    }
+
+    const sourceRoot = path.resolve(cachePath);
+    const stagingPath = path.resolve(this.getCacheRoot(), '.flatten-staging', name);
+
+    await fs.remove(stagingPath);
+    await fs.ensureDir(stagingPath);
+    await fs.copy(sourceRoot, stagingPath, {
+      filter: async (itemPath) => {
+        const relativePath = path.relative(sourceRoot, itemPath);
+        if (!relativePath) {
+          return true;
+        }
+
+        const stats = await fs.stat(itemPath);
+        if (stats.isDirectory()) {
+          return relativePath !== '.git' && !filter.isExcludedDirectory(relativePath);
+        }
+        return filter.matches(relativePath);
+      }
+    });
+
+    this.logger.debug(`Staged filtered content of ${name} for flattening at ${stagingPath}`);
+    return stagingPath;
+  }
+
+  /**
+   * Record a sync outcome in the persistent ledger
+   * Ledger failures are logged but never fail the sync itself
+   * @param {string} name - Knowledge source name
+   * @param {Object} result - Sync outcome
+   * @returns {Promise<Object|null>} Ledger entry
+   */
+  async recordSync(name, result) {
+    try {
+      return await this.syncLedger.record(name, result);
+    } catch (error) {
+      this.logger.warn(`Failed to record sync state for ${name}: ${error.message}`);
+      return null;
     }
   }
 
@@ -228,69 +908,300 @@ class FederatedDependencyResolver {
   /**
    * Sync all federated repositories
    * @param {boolean} force - Force sync regardless of policy
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.frozen] - Check out exactly the commits recorded in the lockfile
+   * @param {boolean} [options.parallel] - Sync several repositories at once, defaults to parallel_sync
+   * @param {number} [options.concurrency] - Repositories synced at once, defaults to max_concurrency
+   * @param {boolean|number} [options.wait] - Wait for repositories other processes are syncing, see syncRepository
+   * @param {Array<string>} [options.names] - Sync only these repositories (and their dependencies)
+   * @param {number} [options.deepen] - Fetch this many more commits of shallow caches, see syncRepository
+   * @param {Function} [options.onProgress] - Called with (name, { phase, ... }) as each sync progresses
    * @returns {Promise<Object>} Sync results for all repositories
    */
-  async syncAllRepositories(force = false) {
+  async syncAllRepositories(force = false, options = {}) {
     const results = {};
-    const syncPromises = [];
+    const frozen = Boolean(options.frozen);
+    const pool = new TaskPool(this.getSyncPoolOptions(options));
+    const onProgress = options.onProgress || null;
 
-    this.logger.info(`Starting sync of ${this.federatedRepos.size} repositories${force ? ' (forced)' : ''}`);
+    if (frozen && !(await this.lockfile.exists())) {
+      throw new Error(`Lockfile not found: ${this.lockfile.getFilePath()}. Run "bmad-fed sync" to generate it`);
+    }
 
-    for (const [name, config] of this.federatedRepos.entries()) {
-      const syncPromise = (async () => {
-        try {
-          let result;
-          if (force) {
-            result = await this.gitManager.forceSync(
-              config.repo,
-              config.local_cache,
-              config.branch || 'main',
-              config.auth
-            );
-          } else {
-            result = await this.syncRepository(name, config);
-          }
-          
-          results[name] = {
-            status: 'success',
-            ...result
-          };
-        } catch (error) {
-          results[name] = {
-            status: 'error',
-            error: error.message
-          };
+    // Dependencies are rediscovered from the freshly synced repositories; a partial
+    // sync keeps those of the repositories it leaves alone
+    if (!options.names) {
+      this.clearTransitiveRepos();
+    }
+
+    // Sync one dependency level at a time, since a repository must be synced before its
+    // own dependencies can be read
+    let level = options.names
+      ? options.names.filter(name => this.federatedRepos.has(name))
+      : Array.from(this.federatedRepos.keys());
+
+    this.logger.info(`Starting sync of ${level.length} repositories${force ? ' (forced)' : ''}`);
+
+    while (level.length > 0) {
+      const syncPromises = [];
+
+      for (const name of level) {
+        const config = this.federatedRepos.get(name);
+        if (onProgress) {
+          onProgress(name, { phase: 'queued' });
         }
-      })();
 
-      if (this.options.parallelSync) {
-        syncPromises.push(syncPromise);
-      } else {
-        await syncPromise;
+        syncPromises.push(pool.run(getRepoHost(config.repo), async () => {
+          try {
+            const result = await this.syncRepository(name, config, { force, frozen, wait: options.wait, deepen: options.deepen, onProgress });
+
+            results[name] = {
+              status: 'success',
+              ...result
+            };
+          } catch (error) {
+            results[name] = {
+              status: 'error',
+              error: error.message
+            };
+          }
+        }));
       }
-    }
 
-    if (this.options.parallelSync && syncPromises.length > 0) {
       await Promise.all(syncPromises);
+
+      const nextLevel = [];
+      for (const name of level) {
+        nextLevel.push(...await this.registerTransitiveRepos(name));
+      }
+      level = nextLevel;
     }
 
     const successCount = Object.values(results).filter(r => r.status === 'success').length;
     const errorCount = Object.values(results).filter(r => r.status === 'error').length;
+    const lockedCount = Object.values(results).filter(r => r.status === 'locked').length;
 
     this.logger.info(`Repository sync completed: ${successCount} successful, ${errorCount} failed`);
 
+    if (!frozen) {
+      await this.pruneLockfile();
+    }
+
+    await this.enforceCacheLimit();
+
     return {
       summary: {
-        total: this.federatedRepos.size,
+        // Only the requested repositories and the dependencies synced with them
+        total: Object.keys(results).length,
         successful: successCount,
         failed: errorCount,
-        forced: force
+        locked: lockedCount,
+        forced: force,
+        frozen
       },
       results,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Determine how many repositories may sync at once, overall and per host
+   * @param {Object} [options] - Sync options overriding the configuration
+   * @param {boolean} [options.parallel] - Sync several repositories at once
+   * @param {number} [options.concurrency] - Repositories synced at once
+   * @returns {Object} TaskPool options
+   */
+  getSyncPoolOptions(options = {}) {
+    const settings = this.config?.bmad_config?.federated_settings || {};
+    const parallel = options.parallel ?? settings.parallel_sync ?? this.options.parallelSync;
+
+    if (!parallel) {
+      return { concurrency: 1 };
+    }
+
+    const { default: defaultKeyLimit, ...keyLimits } = settings.host_concurrency || {};
+    return {
+      concurrency: options.concurrency ?? settings.max_concurrency ?? DEFAULT_MAX_CONCURRENCY,
+      keyLimits,
+      defaultKeyLimit
+    };
+  }
+
+  /**
+   * Register the dependencies of every repository already present in the cache
+   * Nothing is synced; this lets status and merges see transitive repositories
+   * @returns {Promise<void>}
+   */
+  async discoverTransitiveRepos() {
+    let level = Array.from(this.federatedRepos.keys());
+
+    while (level.length > 0) {
+      const nextLevel = [];
+      for (const name of level) {
+        nextLevel.push(...await this.registerTransitiveRepos(name));
+      }
+      level = nextLevel;
+    }
+  }
+
+  /**
+   * Register the repositories declared in a synced repository's own configuration
+   * Repositories already registered under the same URL are shared (diamond dependencies),
+   * repositories that appear in their own ancestry are reported as cycles and skipped
+   * @param {string} parentName - Name of the synced repository
+   * @returns {Promise<Array<string>>} Names of newly registered repositories
+   */
+  async registerTransitiveRepos(parentName) {
+    const parent = this.federatedRepos.get(parentName);
+    if (!parent) {
+      return [];
+    }
+
+    const declared = await this.loadDeclaredRepos(parent);
+    const registered = [];
+    const ancestry = parent.ancestry || [normalizeRepoUrl(parent.repo)];
+
+    for (const [childName, childConfig] of Object.entries(declared)) {
+      const repoUrl = normalizeRepoUrl(childConfig?.repo);
+
+      if (ancestry.includes(repoUrl)) {
+        this.logger.warn(`Dependency cycle detected: ${parentName} -> ${childName} (${childConfig.repo}), skipping`);
+        this.addDependencyEdge(parentName, this.findRepoByUrl(repoUrl) || childName, 'cycle');
+        continue;
+      }
+
+      const existing = this.findRepoByUrl(repoUrl);
+      if (existing) {
+        this.logger.debug(`${parentName} depends on ${existing}, which is already registered`);
+        this.addDependencyEdge(parentName, existing, 'depends');
+        continue;
+      }
+
+      const depth = (parent.depth || 0) + 1;
+      const maxDepth = this.getMaxTransitiveDepth();
+      if (depth > maxDepth) {
+        this.logger.warn(`Skipping ${childName} declared by ${parentName}: transitive depth limit of ${maxDepth} reached`);
+        continue;
+      }
+
+      const name = this.federatedRepos.has(childName) ? `${parentName}.${childName}` : childName;
+
+      try {
+        const validatedConfig = await this.configValidator.validateRepositoryConfig({
+          ...childConfig,
+          // A dependency never outranks the repository that declared it
+          priority: Math.min(childConfig.priority ?? 0, parent.priority ?? 0),
+          local_cache: path.join(this.getCacheRoot(), 'transitive', name.replace(/[^\w.-]/g, '_'))
+        });
+
+        this.federatedRepos.set(name, {
+          ...validatedConfig,
+          name,
+          status: 'initialized',
+          lastSync: this.syncLedger.getLastSync(name),
+          syncInProgress: false,
+          transitive: true,
+          parent: parentName,
+          depth,
+          ancestry: [...ancestry, repoUrl]
+        });
+
+        this.addDependencyEdge(parentName, name, 'depends');
+        registered.push(name);
+
+        this.logger.debug(`Registered transitive repository ${name} (declared by ${parentName})`);
+      } catch (error) {
+        this.logger.warn(`Ignoring invalid repository ${childName} declared by ${parentName}: ${error.message}`);
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * Read the federated_knowledge block from a synced repository's configuration
+   * @param {Object} config - Repository configuration
+   * @returns {Promise<Object>} Declared repositories keyed by name
+   */
+  async loadDeclaredRepos(config) {
+    for (const configFile of TRANSITIVE_CONFIG_FILES) {
+      const configPath = path.join(this.getSourceRoot(config), configFile);
+      if (!(await fs.pathExists(configPath))) {
+        continue;
+      }
+
+      try {
+        // Never resolve secrets for configuration written by a remote repository
+        const content = await this.configValidator.loadConfigFile(configPath, { interpolate: false });
+        const declared = content?.bmad_config?.federated_knowledge || content?.federated_knowledge;
+        if (declared && typeof declared === 'object') {
+          return declared;
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to read dependencies of ${config.name}: ${error.message}`);
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Remove transitive repositories so they can be rediscovered
+   */
+  clearTransitiveRepos() {
+    for (const [name, config] of this.federatedRepos.entries()) {
+      if (config.transitive) {
+        this.federatedRepos.delete(name);
+      }
+    }
+
+    this.dependencyEdges = [];
+  }
+
+  /**
+   * Record a dependency between two repositories
+   * @param {string} from - Declaring repository
+   * @param {string} to - Declared repository
+   * @param {string} kind - Edge kind (depends|cycle)
+   */
+  addDependencyEdge(from, to, kind) {
+    const duplicate = this.dependencyEdges.some(edge => edge.from === from && edge.to === to);
+    if (!duplicate) {
+      this.dependencyEdges.push({ from, to, kind });
+    }
+  }
+
+  /**
+   * Find a registered repository by its normalized URL
+   * @param {string} repoUrl - Normalized repository URL
+   * @returns {string|null} Repository name
+   */
+  findRepoByUrl(repoUrl) {
+    for (const [name, config] of this.federatedRepos.entries()) {
+      if (normalizeRepoUrl(config.repo) === repoUrl) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the maximum depth of transitive dependencies to follow
+   * @returns {number} Maximum depth, 0 disables transitive resolution
+   */
+  getMaxTransitiveDepth() {
+    const depth = this.config?.bmad_config?.federated_settings?.max_transitive_depth;
+    return Number.isInteger(depth) ? depth : DEFAULT_MAX_TRANSITIVE_DEPTH;
+  }
+
+  /**
+   * Get the dependencies declared between repositories
+   * @returns {Array<Object>} Dependency edges
+   */
+  getDependencyEdges() {
+    return this.dependencyEdges.map(edge => ({ ...edge }));
+  }
+
   async addKnowledgeSource(name, config) {
     try {
       // Validate config by type
@@ -329,10 +1240,12 @@ class FederatedDependencyResolver {
 
 
 
-  async  getWeb(name, config) {
+  async  getWeb(name, config, options = {}) {
+    const startedAt = Date.now();
+
     try {
       // Skip if not needed
-      if (!this.shouldSync(name, config)) {
+      if (!options.force && !this.shouldSync(name, config)) {
         console.log(`Skipping web sync for ${name}`);
         return { status: "skipped" };
       }
@@ -343,22 +1256,34 @@ class FederatedDependencyResolver {
       const page = await browser.newPage();
       await page.goto(config.url, { waitUntil: "networkidle2" });
 
-      const cacheDir = path.resolve("./.bmad-fks-cache");
-      if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir);
-
-      const pdfPath = path.join(cacheDir, `${name}.pdf`);
+      const pdfPath = path.resolve(this.getWebCachePath(name));
+      await fs.ensureDir(path.dirname(pdfPath));
       await page.pdf({ path: pdfPath, format: "A4" });
 
       await browser.close();
+      await this.touchCache(pdfPath, { changed: true });
 
       config.lastSync = Date.now();
       config.status = "success";
 
+      await this.recordSync(name, {
+        type: 'web',
+        outcome: 'success',
+        durationMs: Date.now() - startedAt,
+        file: pdfPath
+      });
+
       console.log(`Webpage ${config.url} saved to ${pdfPath}`);
       return { status: "success", file: pdfPath };
     } catch (err) {
       console.error(`Failed to sync webpage for ${name}:`, err);
       config.status = "error";
+      await this.recordSync(name, {
+        type: 'web',
+        outcome: 'error',
+        durationMs: Date.now() - startedAt,
+        error: err.message
+      });
       throw err;
     }
   }
@@ -413,6 +1338,13 @@ class FederatedDependencyResolver {
         throw new Error(`Repository ${name} not found`);
       }
 
+      if (config.transitive) {
+        throw new Error(`Repository ${name} is a dependency of ${config.parent}; remove it from that repository's configuration`);
+      }
+
+      // Clean up cache while the repository is still registered as a source
+      await this.cleanCache(name);
+
       // Remove from federated repos
       this.federatedRepos.delete(name);
 
@@ -422,8 +1354,9 @@ class FederatedDependencyResolver {
         await this.saveConfiguration();
       }
 
-      // Clean up cache
-      await this.gitManager.cleanCache(name);
+      if (this.lockfile.remove(name)) {
+        await this.lockfile.save();
+      }
 
       this.logger.info(`Removed federated repository: ${name}`);
     } catch (error) {
@@ -439,6 +1372,7 @@ class FederatedDependencyResolver {
   async getRepositoryStatus() {
     const status = {
       repositories: {},
+      knowledgeSources: {},
       summary: {
         total: this.federatedRepos.size,
         ready: 0,
@@ -452,21 +1386,33 @@ class FederatedDependencyResolver {
     for (const [name, config] of this.federatedRepos.entries()) {
       try {
         const repoStatus = await this.gitManager.getRepoStatus(config.local_cache);
+        const ledgerEntry = this.syncLedger.get(name);
+        const syncLock = await this.syncLock.read(config.local_cache);
         
         status.repositories[name] = {
           ...repoStatus,
           config: {
             repo: config.repo,
             branch: config.branch,
+            pin: config.version || config.commit || config.tag || config.ref || null,
             priority: config.priority,
             sync_policy: config.sync_policy
           },
-          lastSync: config.lastSync ? new Date(config.lastSync).toISOString() : null,
-          syncInProgress: config.syncInProgress
+          transitive: Boolean(config.transitive),
+          parent: config.parent || null,
+          depth: config.depth || 0,
+          lastSync: ledgerEntry?.lastSync || null,
+          lastOutcome: ledgerEntry?.outcome || null,
+          lastDuration: ledgerEntry?.durationMs ?? null,
+          syncedCommit: ledgerEntry?.commit || null,
+          lockedCommit: this.lockfile.get(name)?.commit || null,
+          resolvedVersion: this.lockfile.get(name)?.resolved_version || null,
+          syncInProgress: config.syncInProgress,
+          syncLock
         };
 
         // Update summary
-        if (config.syncInProgress) {
+        if (config.syncInProgress || (syncLock && !syncLock.stale)) {
           status.summary.syncing++;
         } else if (repoStatus.status === 'error') {
           status.summary.error++;
@@ -484,9 +1430,49 @@ class FederatedDependencyResolver {
       }
     }
 
+    const knowledgeSources = this.config?.bmad_config?.knowledge_sources || {};
+    for (const [name, config] of Object.entries(knowledgeSources)) {
+      const ledgerEntry = this.syncLedger.get(name);
+      status.knowledgeSources[name] = {
+        type: config.type,
+        lastSync: ledgerEntry?.lastSync || null,
+        lastOutcome: ledgerEntry?.outcome || null,
+        lastDuration: ledgerEntry?.durationMs ?? null,
+        file: ledgerEntry?.file || null,
+        error: ledgerEntry?.error || null
+      };
+    }
+
     return status;
   }
 
+  /**
+   * Drop lockfile entries for repositories that are no longer configured
+   * @returns {Promise<void>}
+   */
+  async pruneLockfile() {
+    const stale = Object.keys(this.lockfile.getAll()).filter(name => !this.federatedRepos.has(name));
+    if (stale.length === 0) {
+      return;
+    }
+
+    stale.forEach(name => this.lockfile.remove(name));
+
+    try {
+      await this.lockfile.save();
+    } catch (error) {
+      this.logger.warn(`Failed to prune lockfile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the cache root directory from federated settings
+   * @returns {string} Cache root path
+   */
+  getCacheRoot() {
+    return this.config?.bmad_config?.federated_settings?.cache_root || this.options.cacheDir;
+  }
+
   /**
    * Save current configuration to file
    * @returns {Promise<void>}
@@ -509,6 +1495,142 @@ class FederatedDependencyResolver {
     return new Map(this.federatedRepos);
   }
 
+  /**
+   * Get the path of the PDF a web knowledge source is saved to
+   * @param {string} name - Knowledge source name
+   * @returns {string} PDF path under the cache root
+   */
+  getWebCachePath(name) {
+    return path.join(this.getCacheRoot(), `${name}.pdf`);
+  }
+
+  /**
+   * Get the path of the XML a repository is flattened to
+   * @param {string} name - Repository name
+   * @returns {string} XML path under the cache root
+   */
+  getFlattenedCachePath(name) {
+    return path.join(this.getCacheRoot(), `${name}.xml`);
+  }
+
+  /**
+   * List the cached paths of every configured knowledge source
+   * @returns {Array<Object>} Source name, artifact type and path, as CacheManager.scan expects
+   */
+  getCacheSources() {
+    const cacheRoot = this.getCacheRoot();
+    const sources = [];
+
+    for (const [name, config] of this.federatedRepos.entries()) {
+      sources.push(
+        { source: name, type: 'git', path: config.local_cache || path.join(cacheRoot, name) },
+        { source: name, type: 'flattened', path: this.getFlattenedCachePath(name) },
+        { source: name, type: 'staging', path: path.join(cacheRoot, '.flatten-staging', name) }
+      );
+    }
+
+    for (const [name, config] of Object.entries(this.config?.bmad_config?.knowledge_sources || {})) {
+      if (config?.type === 'web') {
+        sources.push({ source: name, type: 'web', path: this.getWebCachePath(name) });
+      } else if (config?.type === 'database') {
+        sources.push(
+          { source: name, type: 'database', path: path.join(cacheRoot, 'db-knowledge', `${name}.pdf`) },
+          { source: name, type: 'database', path: path.join(cacheRoot, 'db-knowledge', `${name}.json`) }
+        );
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Get the configured cache budget
+   * @returns {string|number|null} max_cache_size, its default when unset, or null for no limit
+   */
+  getMaxCacheSize() {
+    const settings = this.config?.bmad_config?.federated_settings || {};
+    return 'max_cache_size' in settings ? settings.max_cache_size : DEFAULT_MAX_CACHE_SIZE;
+  }
+
+  /**
+   * Measure the cache per knowledge source
+   * @returns {Promise<Object>} Cache usage, see CacheManager.scan
+   */
+  async getCacheStats() {
+    return await this.cacheManager.scan(this.getCacheSources());
+  }
+
+  /**
+   * Evict least recently used cache artifacts, see CacheManager.prune
+   * @param {Object} [options] - Prune options
+   * @returns {Promise<Object>} Prune result
+   */
+  async pruneCache(options = {}) {
+    return await this.cacheManager.prune(this.getCacheSources(), options);
+  }
+
+  /**
+   * Remove the cached artifacts of a knowledge source, or of every source
+   * Sources are matched by exact name against the configuration, covering cloned
+   * repositories, flattened XML, web PDFs and database dumps
+   * @param {string} [name] - Knowledge source name; the whole cache when omitted
+   * @param {Object} [options] - Clean options
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @returns {Promise<Object>} Removed and refused artifacts, see CacheManager.clean
+   */
+  async cleanCache(name = null, options = {}) {
+    const sources = this.getCacheSources();
+    if (name && !sources.some(source => source.source === name)) {
+      throw new Error(`Unknown knowledge source "${name}"; run "bmad-fed cache prune --orphaned" to clean up after sources removed from the configuration`);
+    }
+
+    const result = await this.cacheManager.clean(sources, { source: name, dryRun: options.dryRun });
+    for (const artifact of result.refused) {
+      this.logger.warn(`Not cleaning ${artifact.path}: ${artifact.reason}`);
+    }
+    if (!result.dryRun) {
+      this.logger.info(`Cleaned ${result.removed.length} cache artifact(s)${name ? ` of ${name}` : ''}`);
+    }
+    return result;
+  }
+
+  /**
+   * Record that cached paths were used, which keeps them from being evicted first
+   * @param {Array<string>|string} cachePaths - Cached paths
+   * @param {Object} [options] - Touch options, see CacheManager.touch
+   * @returns {Promise<void>}
+   */
+  async touchCache(cachePaths, options = {}) {
+    try {
+      await this.cacheManager.touch(cachePaths, options);
+    } catch (error) {
+      this.logger.warn(`Failed to record cache access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Evict cache artifacts when the cache is larger than max_cache_size
+   * Failures are logged; an oversized cache never fails a sync
+   * @returns {Promise<void>}
+   */
+  async enforceCacheLimit() {
+    if (this.cacheManager.getMaxBytes() === null) {
+      return;
+    }
+
+    try {
+      const { evicted, sizeAfter, maxSize, overBudget } = await this.pruneCache();
+      if (evicted.length > 0) {
+        this.logger.info(`Evicted ${evicted.length} cache artifact(s) to stay within max_cache_size`);
+      }
+      if (overBudget) {
+        this.logger.warn(`Cache uses ${formatSize(sizeAfter)}, more than max_cache_size (${formatSize(maxSize)}), but everything left is pinned or in use`);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to enforce max_cache_size: ${error.message}`);
+    }
+  }
+
   /**
    * Get current configuration
    * @returns {Object} Current configuration
@@ -528,6 +1650,14 @@ class FederatedDependencyResolver {
     }
   }
 
+  /**
+   * Get the persistent sync ledger
+   * @returns {SyncLedger} Sync ledger
+   */
+  getSyncLedger() {
+    return this.syncLedger;
+  }
+
   /**
    * Check if resolver is initialized
    * @returns {boolean} Initialization status
@@ -537,4 +1667,29 @@ class FederatedDependencyResolver {
   }
 }
 
+/**
+ * Get the folder of a repository mounted as its knowledge source root
+ * @param {Object} config - Repository configuration
+ * @returns {string} Folder relative to the repository root with forward slashes, empty for the whole repository
+ */
+function getRepoSubpath(config) {
+  return String(config.path || config.subpath || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.')
+    .join('/');
+}
+
+/**
+ * Describe who holds a sync lock
+ * @param {Object} holder - Lock info from SyncLock.read
+ * @returns {string} Description for logs and progress output
+ */
+function describeLockHolder(holder) {
+  if (!holder.pid) {
+    return `locked since ${holder.updatedAt}`;
+  }
+  return `being synced${holder.name ? ` as ${holder.name}` : ''} by PID ${holder.pid} on ${holder.host} since ${holder.startedAt}`;
+}
+
 module.exports = { FederatedDependencyResolver };
\ No newline at end of file
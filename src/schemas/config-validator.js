@@ -2,43 +2,112 @@ const Joi = require('joi');
 const yaml = require('yaml');
 const fs = require('fs-extra');
 const path = require('path');
+const semver = require('semver');
+const { interpolateConfig, restoreRawValues } = require('../core/config-interpolator');
+const { CredentialManager } = require('../managers/credential-manager');
+const { SIZE_PATTERN } = require('../managers/cache-manager');
+const { LOCAL_CHANGES_POLICIES, CLONE_STRATEGIES } = require('../managers/git-manager');
+const { validateSyncPolicy } = require('../core/sync-policy');
+const { validateLayout } = require('../core/knowledge-layout');
+const cron = require('node-cron');
+
+// Cron expressions as accepted by the sync daemon
+const cronExpression = Joi.string()
+  .custom((value, helpers) => cron.validate(value) ? value : helpers.error('any.invalid'));
+
+// daily|weekly|on_demand|manual, an ISO-8601 duration or a cron expression, on its own
+// or as { every, window, quiet_hours }
+const syncPolicy = Joi.alternatives(Joi.string(), Joi.object())
+  .custom((value, helpers) => {
+    const message = validateSyncPolicy(value);
+    return message ? helpers.message(`"sync_policy" is invalid: ${message}`) : value;
+  });
+
+// A preset name, an object mapping globs to knowledge categories, or a list of both
+const knowledgeLayout = Joi.alternatives(Joi.string(), Joi.object(), Joi.array())
+  .custom((value, helpers) => {
+    const message = validateLayout(value);
+    return message ? helpers.message(`"layout" is invalid: ${message}`) : value;
+  });
+
+// A folder inside a repository, such as packages/standards
+const repoSubpath = Joi.string()
+  .pattern(/^(?!\/|[a-z]:)(?!.*(?:^|[\\/])\.\.(?:[\\/]|$)).+$/i, 'relative path inside the repository');
 
 /**
  * Configuration validator for BMAD Federated Knowledge System
  * Validates enhanced core-config.yaml with federated knowledge support
  */
 class ConfigValidator {
-  constructor() {
+  constructor(options = {}) {
+    // Resolves secret references; a manager for the config directory is created when absent
+    this.credentials = options.credentials || null;
+
     this.federatedRepoSchema = Joi.object({
       repo: Joi.string().uri().required()
         .description('Git repository URL (SSH or HTTPS)'),
       branch: Joi.string().default('main')
         .description('Branch to sync from'),
+      ref: Joi.string()
+        .description('Git ref to pin the repository to instead of following the branch'),
+      tag: Joi.string()
+        .description('Tag to pin the repository to'),
+      commit: Joi.string().pattern(/^[0-9a-f]{7,40}$/i)
+        .description('Commit hash to pin the repository to'),
+      version: Joi.string()
+        .custom((value, helpers) => semver.validRange(value) ? value : helpers.error('any.invalid'))
+        .description('Semver range resolved against the repository tags'),
       local_cache: Joi.string().required()
         .description('Local cache directory path'),
-      sync_policy: Joi.string().valid('daily', 'weekly', 'on_demand', 'manual').default('weekly')
+      path: repoSubpath
+        .description('Folder of the repository used as the knowledge source root; only it is checked out'),
+      subpath: repoSubpath
+        .description('Alias of path'),
+      layout: knowledgeLayout
+        .description('Where the knowledge categories live in the repository: bmad-standard (default), docs-site, adr or globs'),
+      sync_policy: syncPolicy.default('weekly')
         .description('Synchronization policy'),
+      schedule: cronExpression
+        .description('Cron expression the sync daemon syncs the repository on, instead of its sync_policy'),
+      local_changes: Joi.string().valid(...LOCAL_CHANGES_POLICIES)
+        .description('How edits made inside the cache are handled when it is pulled; overrides federated_settings'),
+      clone_strategy: Joi.string().valid(...CLONE_STRATEGIES)
+        .description('How much of the repository is cloned; overrides federated_settings'),
+      fetch_depth: Joi.number().integer().min(1)
+        .description('Commits a shallow cache keeps; overrides federated_settings'),
       priority: Joi.number().integer().min(0).max(999).default(0)
         .description('Priority for conflict resolution (higher wins)'),
       auth: Joi.object({
         type: Joi.string().valid('ssh', 'token', 'basic').default('ssh'),
         token: Joi.string().when('type', { is: 'token', then: Joi.required() }),
-        username: Joi.string().when('type', { is: 'basic', then: Joi.required() }),
-        password: Joi.string().when('type', { is: 'basic', then: Joi.required() })
+        username: Joi.string().when('type', { is: 'basic', then: Joi.required() })
+          .description('User name for basic auth, or sent with a token instead of the host default'),
+        password: Joi.string().when('type', { is: 'basic', then: Joi.required() }),
+        key_path: Joi.string()
+          .description('Private key used for ssh'),
+        known_hosts: Joi.string()
+          .description('known_hosts file used for ssh'),
+        strict_host_key_checking: Joi.string().valid('yes', 'accept-new', 'no')
+          .description('ssh StrictHostKeyChecking setting')
       }).optional(),
       filters: Joi.object({
         include: Joi.array().items(Joi.string()).default([]),
-        exclude: Joi.array().items(Joi.string()).default([])
+        exclude: Joi.array().items(Joi.string()).default([]),
+        sparse_checkout: Joi.boolean().default(false)
+          .description('Apply the filters through git sparse-checkout when cloning')
       }).optional(),
       metadata: Joi.object({
         description: Joi.string(),
         maintainer: Joi.string(),
         tags: Joi.array().items(Joi.string()).default([])
       }).optional()
-    });
+    }).oxor('ref', 'tag', 'commit', 'version').oxor('path', 'subpath');
     this.webSchema = Joi.object({
       type: Joi.string().valid('web').required(),
       url: Joi.string().uri().required(),
+      sync_policy: syncPolicy,
+      schedule: cronExpression
+        .description('Cron expression the sync daemon syncs the page on, instead of its sync_policy'),
       priority: Joi.number().min(0).max(999).default(0),
       metadata: Joi.object().optional()
     });
@@ -48,10 +117,16 @@ class ConfigValidator {
       connection_ref: Joi.string().required()
         .description('Reference to a connection defined in bmad_config.connections'),
       query: Joi.string().default('SELECT * FROM knowledge'),
+      sync_policy: syncPolicy,
+      schedule: cronExpression
+        .description('Cron expression the sync daemon queries the database on, instead of its sync_policy'),
       priority: Joi.number().min(0).max(999).default(0),
       metadata: Joi.object().optional()
     });
 
+    const mergeStrategy = Joi.string()
+      .valid('priority', 'local_wins', 'manual', 'highest_priority_only', 'merge', 'structural');
+
     this.enhancedConfigSchema = Joi.object({
       bmad_config: Joi.object({
         version: Joi.string().required(),
@@ -72,11 +147,42 @@ class ConfigValidator {
         // Global federated settings
         federated_settings: Joi.object({
           cache_root: Joi.string().default('./.bmad-fks-cache'),
-          max_cache_size: Joi.string().default('1GB'),
-          sync_timeout: Joi.number().default(300),
-          retry_attempts: Joi.number().default(3),
+          max_cache_size: Joi.alternatives(Joi.number().min(0), Joi.string().pattern(SIZE_PATTERN)).allow(null).default('1GB')
+            .description('Cache budget such as 500MB or 1GB; least recently used artifacts are evicted beyond it (null disables it)'),
+          sync_timeout: Joi.number().min(0).default(300)
+            .description('Timeout of each git operation in seconds (0 disables it)'),
+          retry_attempts: Joi.number().integer().min(0).default(3)
+            .description('Retries of git operations that failed with a transient error'),
+          local_changes: Joi.string().valid(...LOCAL_CHANGES_POLICIES).default('abort')
+            .description('How edits made inside caches are handled when they are pulled: abort, stash, reset or rebase'),
+          clone_strategy: Joi.string().valid(...CLONE_STRATEGIES).default('shallow')
+            .description('How much of each repository is cloned: shallow, blobless, treeless or full'),
+          fetch_depth: Joi.number().integer().min(1).default(1)
+            .description('Commits shallow caches keep; raising it deepens them on the next sync'),
           parallel_sync: Joi.boolean().default(true),
-          conflict_resolution: Joi.string().valid('priority', 'manual', 'local_wins').default('priority')
+          max_concurrency: Joi.number().integer().min(0).default(4)
+            .description('Repositories synced at once (0 removes the limit)'),
+          host_concurrency: Joi.object().pattern(Joi.string(), Joi.number().integer().min(1)).optional()
+            .description('Repositories synced at once per host; the "default" key applies to unlisted hosts'),
+          max_transitive_depth: Joi.number().integer().min(0).default(3)
+            .description('How many levels of repository-declared dependencies to follow (0 disables)'),
+          conflict_resolution: Joi.string().valid('priority', 'manual', 'local_wins').default('priority'),
+          structural_merge: Joi.boolean().default(false)
+            .description('Merge conflicting YAML/JSON templates and workflows key by key'),
+          daemon: Joi.object({
+            interval: cronExpression.default('*/15 * * * *')
+              .description('Cron expression on which the daemon checks the sync policies'),
+            health_file: Joi.string()
+              .description('File the daemon reports its state in, defaults to .fks-daemon.json in the cache root')
+          }).optional(),
+          merge_strategies: Joi.object({
+            templates: mergeStrategy,
+            workflows: mergeStrategy,
+            data: mergeStrategy,
+            configs: mergeStrategy,
+            overrides: Joi.object().pattern(Joi.string(), mergeStrategy)
+              .description('Strategies for paths matching a glob, e.g. templates/security/**')
+          }).optional()
         }).optional(),
 
         // Database connections
@@ -153,14 +259,29 @@ class ConfigValidator {
 
   /**
    * Load and parse YAML configuration file
+   * Environment variables and secret references in auth blocks and connection
+   * strings are resolved unless interpolation is disabled
    * @param {string} filePath - Path to configuration file
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.interpolate=true] - Resolve variables and secret references
    * @returns {Promise<Object>} Parsed configuration
    */
-  async loadConfigFile(filePath) {
+  async loadConfigFile(filePath, options = {}) {
+    const { interpolate = true } = options;
+
     try {
       const configPath = path.resolve(filePath);
       const configContent = await fs.readFile(configPath, 'utf8');
-      return yaml.parse(configContent);
+      const config = yaml.parse(configContent);
+
+      if (!interpolate) {
+        return config;
+      }
+
+      return await interpolateConfig(config, {
+        baseDir: path.dirname(configPath),
+        credentials: this.credentials || new CredentialManager({ baseDir: path.dirname(configPath) })
+      });
     } catch (error) {
       throw new Error(`Failed to load configuration file ${filePath}: ${error.message}`);
     }
@@ -168,6 +289,7 @@ class ConfigValidator {
 
   /**
    * Save configuration to YAML file
+   * Interpolated values are written back as the references they were loaded from
    * @param {Object} config - Configuration object
    * @param {string} filePath - Output file path
    * @returns {Promise<void>}
@@ -177,7 +299,7 @@ class ConfigValidator {
       const configPath = path.resolve(filePath);
       await fs.ensureDir(path.dirname(configPath));
       
-      const yamlContent = yaml.stringify(config, {
+      const yamlContent = yaml.stringify(restoreRawValues(config), {
         indent: 2,
         lineWidth: 120,
         minContentWidth: 20
@@ -211,6 +333,8 @@ class ConfigValidator {
           local_cache: "./.bmad-fks-cache/org-standards",
           sync_policy: "daily",
           priority: 1,
+          // The practices are Markdown pages under sections/, not the BMAD layout
+          layout: { 'sections/**/*.md': 'templates', 'README.md': 'templates' },
           metadata: {
             description: "Organization-wide shared knowledge and standards (using Node.js best practices repo as example)",
             maintainer: "platform-team@company.com",
@@ -258,7 +382,9 @@ class ConfigValidator {
           max_cache_size: "1GB",
           sync_timeout: 300,
           retry_attempts: 3,
+          local_changes: 'abort',
           parallel_sync: true,
+          max_concurrency: 4,
           conflict_resolution: "priority"
         }
       }
@@ -0,0 +1,231 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { CacheManager, parseSize, formatSize } = require('../src/managers/cache-manager');
+
+describe('CacheManager', () => {
+  let cacheRoot;
+  let cacheManager;
+  let syncLedger;
+  let gitManager;
+
+  async function writeArtifact(relativePath, size, mtime) {
+    const filePath = path.join(cacheRoot, relativePath);
+    await fs.outputFile(filePath, Buffer.alloc(size));
+    if (mtime) {
+      await fs.utimes(filePath, mtime, mtime);
+    }
+    return filePath;
+  }
+
+  beforeEach(async () => {
+    cacheRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-cache-test-'));
+    syncLedger = { remove: jest.fn(async () => {}), clear: jest.fn(async () => {}) };
+    gitManager = { removeRepoCache: jest.fn(async (localPath) => fs.remove(localPath)) };
+    cacheManager = new CacheManager({ cacheRoot, syncLedger, gitManager });
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheRoot);
+  });
+
+  test('should measure usage per source and report orphaned artifacts', async () => {
+    await writeArtifact('repo-a/README.md', 1000);
+    await writeArtifact('repo-a/.git/HEAD', 24);
+    await writeArtifact('repo-a.xml', 500);
+    await writeArtifact('db-knowledge/orders.json', 300);
+    await writeArtifact('old-repo/file.md', 200);
+    await writeArtifact('.fks-sync-ledger.json', 50);
+
+    const stats = await cacheManager.scan([
+      { source: 'repo-a', type: 'git', path: path.join(cacheRoot, 'repo-a') },
+      { source: 'repo-a', type: 'flattened', path: path.join(cacheRoot, 'repo-a.xml') },
+      { source: 'orders', type: 'database', path: path.join(cacheRoot, 'db-knowledge', 'orders.json') }
+    ]);
+
+    expect(stats.totalSize).toBe(2024);
+    expect(stats.sources.map(source => [source.name, source.size, source.types])).toEqual([
+      ['repo-a', 1524, ['git', 'flattened']],
+      ['orders', 300, ['database']],
+      ['(orphaned)', 200, []]
+    ]);
+  });
+
+  test('should only measure artifacts again when they changed', async () => {
+    const source = { source: 'repo-a', type: 'git', path: path.join(cacheRoot, 'repo-a') };
+    await writeArtifact('repo-a/docs/guide.md', 1000);
+    await writeArtifact('repo-a.xml', 500);
+
+    expect((await cacheManager.scan([source])).totalSize).toBe(1500);
+    expect((await fs.readJson(cacheManager.getFilePath())).sizes['repo-a']).toMatchObject({ size: 1000 });
+
+    // Rewriting a nested file leaves the fingerprint alone, so the recorded size is used
+    await fs.writeFile(path.join(cacheRoot, 'repo-a', 'docs', 'guide.md'), Buffer.alloc(3000));
+    expect((await cacheManager.scan([source])).totalSize).toBe(1500);
+
+    // A sync marks what it wrote as changed
+    await cacheManager.touch(source.path, { changed: true });
+    expect((await cacheManager.scan([source])).totalSize).toBe(3500);
+
+    // Files and new top-level entries change the fingerprint on their own
+    await writeArtifact('repo-a.xml', 700, new Date('2024-01-01'));
+    await writeArtifact('repo-a/.git/HEAD', 24, new Date('2024-01-01'));
+    await fs.utimes(path.join(cacheRoot, 'repo-a'), new Date(), new Date(Date.now() + 60000));
+    expect((await cacheManager.scan([source])).totalSize).toBe(3724);
+
+    await fs.remove(path.join(cacheRoot, 'repo-a.xml'));
+    await cacheManager.scan([source]);
+    expect(Object.keys((await fs.readJson(cacheManager.getFilePath())).sizes)).toEqual(['repo-a']);
+  });
+
+  test('should evict least recently used artifacts until the cache fits', async () => {
+    await writeArtifact('oldest.pdf', 400, new Date('2024-01-01'));
+    await writeArtifact('older.pdf', 400, new Date('2024-02-01'));
+    await writeArtifact('recent.pdf', 400, new Date('2024-03-01'));
+    await cacheManager.touch(path.join(cacheRoot, 'oldest.pdf'));
+
+    const result = await cacheManager.prune([], { maxSize: 900 });
+
+    expect(result.evicted.map(artifact => artifact.relativePath)).toEqual(['older.pdf']);
+    expect(result.sizeAfter).toBe(800);
+    expect(await fs.pathExists(path.join(cacheRoot, 'older.pdf'))).toBe(false);
+    expect(await fs.pathExists(path.join(cacheRoot, 'oldest.pdf'))).toBe(true);
+  });
+
+  test('should never evict pinned or in-use artifacts', async () => {
+    await writeArtifact('repo-a/file.md', 400, new Date('2024-01-01'));
+    await writeArtifact('repo-b/file.md', 400, new Date('2024-01-02'));
+    await writeArtifact('repo-c/file.md', 400, new Date('2024-01-03'));
+    const sources = ['repo-a', 'repo-b', 'repo-c'].map(name => ({
+      source: name,
+      type: 'git',
+      path: path.join(cacheRoot, name)
+    }));
+
+    await cacheManager.pin('repo-a');
+    const release = cacheManager.acquire(path.join(cacheRoot, 'repo-b'));
+
+    const result = await cacheManager.prune(sources, { maxSize: 0 });
+    release();
+
+    expect(result.evicted.map(artifact => artifact.source)).toEqual(['repo-c']);
+    expect(result.overBudget).toBe(true);
+    expect(gitManager.removeRepoCache).toHaveBeenCalledWith(path.join(cacheRoot, 'repo-c'));
+    expect(syncLedger.remove).toHaveBeenCalledWith('repo-c');
+  });
+
+  test('should keep the sync ledger for derived artifacts and report dry runs only', async () => {
+    await writeArtifact('repo-a.xml', 400);
+    const sources = [{ source: 'repo-a', type: 'flattened', path: path.join(cacheRoot, 'repo-a.xml') }];
+
+    const dryRun = await cacheManager.prune(sources, { maxSize: 0, dryRun: true });
+    expect(dryRun.evicted).toHaveLength(1);
+    expect(await fs.pathExists(path.join(cacheRoot, 'repo-a.xml'))).toBe(true);
+
+    await cacheManager.prune(sources, { maxSize: 0 });
+    expect(await fs.pathExists(path.join(cacheRoot, 'repo-a.xml'))).toBe(false);
+    expect(syncLedger.remove).not.toHaveBeenCalled();
+  });
+
+  test('should evict orphaned artifacts on request regardless of the budget', async () => {
+    await writeArtifact('removed-source.pdf', 100);
+    await writeArtifact('kept.pdf', 100);
+
+    const result = await cacheManager.prune(
+      [{ source: 'kept', type: 'web', path: path.join(cacheRoot, 'kept.pdf') }],
+      { orphaned: true }
+    );
+
+    expect(result.evicted.map(artifact => artifact.relativePath)).toEqual(['removed-source.pdf']);
+  });
+
+  test('should clean exactly the artifacts of the named source', async () => {
+    await writeArtifact('org/file.md', 100);
+    await writeArtifact('org.xml', 100);
+    await writeArtifact('org_standards/file.md', 100);
+    const sources = ['org', 'org_standards'].map(name => ({
+      source: name,
+      type: 'git',
+      path: path.join(cacheRoot, name)
+    }));
+    sources.push({ source: 'org', type: 'flattened', path: path.join(cacheRoot, 'org.xml') });
+
+    const dryRun = await cacheManager.clean(sources, { source: 'org', dryRun: true });
+    expect(dryRun.removed.map(artifact => artifact.relativePath).sort()).toEqual(['org', 'org.xml']);
+    expect(await fs.pathExists(path.join(cacheRoot, 'org'))).toBe(true);
+
+    await cacheManager.clean(sources, { source: 'org' });
+    expect(await fs.pathExists(path.join(cacheRoot, 'org'))).toBe(false);
+    expect(await fs.pathExists(path.join(cacheRoot, 'org.xml'))).toBe(false);
+    expect(await fs.pathExists(path.join(cacheRoot, 'org_standards'))).toBe(true);
+    expect(syncLedger.remove).toHaveBeenCalledWith('org');
+  });
+
+  test('should refuse to clean paths outside the cache root', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-cache-outside-'));
+    await fs.outputFile(path.join(outside, 'keep.md'), 'keep');
+    await fs.symlink(outside, path.join(cacheRoot, 'db-knowledge'));
+
+    try {
+      const result = await cacheManager.clean([
+        { source: 'elsewhere', type: 'git', path: outside },
+        { source: 'linked', type: 'database', path: path.join(cacheRoot, 'db-knowledge', 'keep.md') }
+      ]);
+
+      expect(result.removed).toEqual([]);
+      expect(result.refused.map(artifact => artifact.reason)).toEqual(['outside the cache root', 'outside the cache root']);
+      expect(await fs.pathExists(path.join(outside, 'keep.md'))).toBe(true);
+      expect(gitManager.removeRepoCache).not.toHaveBeenCalled();
+    } finally {
+      await fs.remove(outside);
+    }
+  });
+
+  test('should never prune a local cache outside the cache root', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-cache-outside-'));
+    await fs.outputFile(path.join(outside, 'working-copy.md'), Buffer.alloc(2000));
+    await writeArtifact('inside.pdf', 400, new Date('2024-03-01'));
+
+    try {
+      const result = await cacheManager.prune([
+        { source: 'working_copy', type: 'git', path: outside }
+      ], { maxSize: 1000 });
+
+      expect(result.evicted.map(artifact => artifact.relativePath)).toEqual(['inside.pdf']);
+      expect(result.overBudget).toBe(true);
+      expect(await fs.pathExists(path.join(outside, 'working-copy.md'))).toBe(true);
+      expect(gitManager.removeRepoCache).not.toHaveBeenCalled();
+      await expect(cacheManager.evict({ type: 'git', path: outside, relativePath: outside }))
+        .rejects.toThrow('outside the cache root');
+    } finally {
+      await fs.remove(outside);
+    }
+  });
+
+  test('should persist pins', async () => {
+    expect(await cacheManager.pin('repo-a')).toBe(true);
+    expect(await cacheManager.pin('repo-a')).toBe(false);
+
+    const reloaded = new CacheManager({ cacheRoot });
+    expect(await reloaded.getPins()).toEqual(['repo-a']);
+    expect(await reloaded.unpin('repo-a')).toBe(true);
+    expect(await reloaded.getPins()).toEqual([]);
+  });
+});
+
+describe('parseSize', () => {
+  test('should parse sizes with binary units', () => {
+    expect(parseSize('1GB')).toBe(1024 ** 3);
+    expect(parseSize('500 MB')).toBe(500 * 1024 ** 2);
+    expect(parseSize('1.5GiB')).toBe(1.5 * 1024 ** 3);
+    expect(parseSize('2k')).toBe(2048);
+    expect(parseSize(1234)).toBe(1234);
+    expect(() => parseSize('lots')).toThrow('Invalid size');
+  });
+
+  test('should format sizes for display', () => {
+    expect(formatSize(512)).toBe('512 B');
+    expect(formatSize(1536)).toBe('1.5 KB');
+    expect(formatSize(1024 ** 3)).toBe('1.0 GB');
+  });
+});
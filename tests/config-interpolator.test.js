@@ -0,0 +1,121 @@
+/* eslint-disable no-template-curly-in-string -- the tests use literal ${VAR} references */
+const { interpolateConfig, restoreRawValues, assertResolved } = require('../src/core/config-interpolator');
+const { ConfigValidator } = require('../src/schemas/config-validator');
+const { GitManager } = require('../src/managers/git-manager');
+const { redact, MASK } = require('../src/core/redact');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('config interpolation', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-interpolation-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  function createConfig(auth, connectionString = 'postgresql://localhost/db') {
+    return {
+      bmad_config: {
+        version: '2.0',
+        federated_knowledge: {
+          team: {
+            repo: 'https://gitlab.company.com/team/knowledge.git',
+            local_cache: './cache/team',
+            auth
+          }
+        },
+        connections: {
+          main: { type: 'postgresql', connection_string: connectionString }
+        }
+      }
+    };
+  }
+
+  test('should resolve variables, defaults and secret references', async () => {
+    await fs.writeFile(path.join(tempDir, 'password.txt'), 's3cret\n');
+    const config = createConfig(
+      { type: 'basic', username: '${GIT_USER:-deploy}', password: 'file:password.txt' },
+      'postgresql://app:${DB_PASSWORD}@db/knowledge'
+    );
+
+    await interpolateConfig(config, { env: { DB_PASSWORD: 'pa$$' }, baseDir: tempDir });
+
+    expect(config.bmad_config.federated_knowledge.team.auth).toEqual({
+      type: 'basic',
+      username: 'deploy',
+      password: 's3cret'
+    });
+    expect(config.bmad_config.connections.main.connection_string).toBe('postgresql://app:pa$$@db/knowledge');
+  });
+
+  test('should support env references and escaped variables', async () => {
+    const config = createConfig({ type: 'token', token: 'env:GITLAB_TOKEN' }, 'mysql://host/$${NOT_A_VAR}');
+
+    await interpolateConfig(config, { env: { GITLAB_TOKEN: 'glpat-123' } });
+
+    expect(config.bmad_config.federated_knowledge.team.auth.token).toBe('glpat-123');
+    expect(config.bmad_config.connections.main.connection_string).toBe('mysql://host/${NOT_A_VAR}');
+  });
+
+  test('should load unresolved references and fail only where they are used', async () => {
+    const config = createConfig({ type: 'token', token: '${GITLAB_TOKEN}' }, '${DATABASE_URL}');
+
+    await interpolateConfig(config, { env: { DATABASE_URL: 'postgresql://db' } });
+
+    const { auth } = config.bmad_config.federated_knowledge.team;
+    expect(auth.token).toBe('${GITLAB_TOKEN}');
+    expect(() => assertResolved(auth))
+      .toThrow('bmad_config.federated_knowledge.team.auth.token: environment variable GITLAB_TOKEN is not set');
+    expect(() => assertResolved(config.bmad_config.connections.main)).not.toThrow();
+    await expect(new GitManager({ logLevel: 'error' }).getAuthEnvironment('https://gitlab.company.com/team/knowledge.git', auth))
+      .rejects.toThrow('environment variable GITLAB_TOKEN is not set');
+  });
+
+  test('should mask resolved secrets in logs', async () => {
+    const config = createConfig({ type: 'token', token: '${GITLAB_TOKEN}' });
+
+    await interpolateConfig(config, { env: { GITLAB_TOKEN: 'glpat-masked-in-logs' } });
+
+    expect(redact('push failed with glpat-masked-in-logs')).toBe(`push failed with ${MASK}`);
+  });
+
+  test('should restore references unless the value was changed', async () => {
+    const config = createConfig({ type: 'token', token: '${GITLAB_TOKEN}' }, '${DATABASE_URL}');
+    await interpolateConfig(config, { env: { GITLAB_TOKEN: 'glpat-123', DATABASE_URL: 'postgresql://db' } });
+
+    config.bmad_config.connections.main.connection_string = 'postgresql://other';
+    const restored = restoreRawValues({ ...config, bmad_config: { ...config.bmad_config } });
+
+    expect(restored.bmad_config.federated_knowledge.team.auth.token).toBe('${GITLAB_TOKEN}');
+    expect(restored.bmad_config.connections.main.connection_string).toBe('postgresql://other');
+    expect(config.bmad_config.federated_knowledge.team.auth.token).toBe('glpat-123');
+  });
+
+  test('should never write resolved secrets back through ConfigValidator', async () => {
+    const configPath = path.join(tempDir, 'fks-core-config.yaml');
+    const validator = new ConfigValidator();
+    process.env.BMAD_TEST_TOKEN = 'glpat-secret';
+
+    try {
+      await validator.saveConfigFile(createConfig({ type: 'token', token: '${BMAD_TEST_TOKEN}' }), configPath);
+
+      const loaded = await validator.loadConfigFile(configPath);
+      expect(loaded.bmad_config.federated_knowledge.team.auth.token).toBe('glpat-secret');
+
+      const raw = await validator.loadConfigFile(configPath, { interpolate: false });
+      expect(raw.bmad_config.federated_knowledge.team.auth.token).toBe('${BMAD_TEST_TOKEN}');
+
+      await validator.saveConfigFile(loaded, configPath);
+      const content = await fs.readFile(configPath, 'utf8');
+      expect(content).toContain('${BMAD_TEST_TOKEN}');
+      expect(content).not.toContain('glpat-secret');
+    } finally {
+      delete process.env.BMAD_TEST_TOKEN;
+    }
+  });
+});
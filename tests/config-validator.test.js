@@ -63,6 +63,53 @@ describe('ConfigValidator', () => {
         .rejects.toThrow('Repository configuration validation failed');
     });
 
+    test('should accept durations, cron expressions and time windows as sync policy', async () => {
+      const base = { repo: 'https://github.com/user/repo.git', local_cache: './cache/repo' };
+
+      for (const syncPolicy of ['PT6H', '0 2 * * 1-5', { every: 'P1D', window: '22:00-06:00' }]) {
+        const result = await configValidator.validateRepositoryConfig({ ...base, sync_policy: syncPolicy });
+        expect(result.sync_policy).toEqual(syncPolicy);
+      }
+
+      await expect(configValidator.validateRepositoryConfig({ ...base, sync_policy: { every: 'daily', quiet_hours: '9-17' } }))
+        .rejects.toThrow('expected HH:MM-HH:MM');
+    });
+
+    test('should validate clone strategies and fetch depths', async () => {
+      const base = { repo: 'https://github.com/user/repo.git', local_cache: './cache/repo' };
+
+      const result = await configValidator.validateRepositoryConfig({ ...base, clone_strategy: 'blobless', fetch_depth: 50 });
+      expect(result).toMatchObject({ clone_strategy: 'blobless', fetch_depth: 50 });
+
+      await expect(configValidator.validateRepositoryConfig({ ...base, clone_strategy: 'sparse' }))
+        .rejects.toThrow('"clone_strategy" must be one of [shallow, blobless, treeless, full]');
+      await expect(configValidator.validateRepositoryConfig({ ...base, fetch_depth: 0 }))
+        .rejects.toThrow('"fetch_depth" must be greater than or equal to 1');
+    });
+
+    test('should only accept folders inside the repository as path', async () => {
+      const base = { repo: 'https://github.com/user/monorepo.git', local_cache: './cache/standards' };
+
+      expect((await configValidator.validateRepositoryConfig({ ...base, path: 'packages/standards' })).path).toBe('packages/standards');
+      expect((await configValidator.validateRepositoryConfig({ ...base, subpath: 'docs' })).subpath).toBe('docs');
+
+      for (const invalid of ['/etc', '../other', 'packages/../../other']) {
+        await expect(configValidator.validateRepositoryConfig({ ...base, path: invalid }))
+          .rejects.toThrow('relative path inside the repository');
+      }
+      await expect(configValidator.validateRepositoryConfig({ ...base, path: 'a', subpath: 'b' }))
+        .rejects.toThrow('exclusive peers [path, subpath]');
+    });
+
+    test('should validate knowledge layouts', async () => {
+      const base = { repo: 'https://github.com/user/docs.git', local_cache: './cache/docs' };
+      const layout = ['adr', { 'guides/**/*.md': 'templates' }];
+
+      expect((await configValidator.validateRepositoryConfig({ ...base, layout })).layout).toEqual(layout);
+      await expect(configValidator.validateRepositoryConfig({ ...base, layout: 'wiki' }))
+        .rejects.toThrow('"layout" is invalid: Unknown layout preset "wiki"');
+    });
+
     test('should validate priority range', async () => {
       const invalidConfig = {
         repo: 'https://github.com/user/repo.git',
@@ -73,6 +120,21 @@ describe('ConfigValidator', () => {
       await expect(configValidator.validateRepositoryConfig(invalidConfig))
         .rejects.toThrow('Repository configuration validation failed');
     });
+
+    test('should validate semver version ranges', async () => {
+      const base = {
+        repo: 'https://github.com/user/repo.git',
+        local_cache: './cache/repo'
+      };
+
+      const result = await configValidator.validateRepositoryConfig({ ...base, version: '^2.1.0' });
+      expect(result.version).toBe('^2.1.0');
+
+      await expect(configValidator.validateRepositoryConfig({ ...base, version: 'latest-ish' }))
+        .rejects.toThrow('Repository configuration validation failed');
+      await expect(configValidator.validateRepositoryConfig({ ...base, version: '^2.1.0', tag: 'v2.1.0' }))
+        .rejects.toThrow('Repository configuration validation failed');
+    });
   });
 
   describe('validate', () => {
@@ -0,0 +1,146 @@
+const { ConflictHistory, toHistoryEntry } = require('../src/core/conflict-history');
+const { summarizeConflictHistory, renderConflictReport } = require('../src/core/conflict-report');
+const { KnowledgeMerger } = require('../src/core/knowledge-merger');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+function createConflict(resolution, overrides = {}) {
+  return {
+    id: 'template:prd.yaml',
+    type: 'template',
+    key: 'prd.yaml',
+    timestamp: '2024-01-02T00:00:00.000Z',
+    existing: { source: 'local', priority: 999, path: 'a', hash: 'aaaa' },
+    incoming: { source: 'org', priority: 10, path: 'b', hash: 'bbbb' },
+    resolution,
+    reason: 'Local source takes precedence',
+    strategy: 'local_wins',
+    ...overrides
+  };
+}
+
+describe('ConflictHistory', () => {
+  let history;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-conflict-history-test-'));
+    history = new ConflictHistory({ cacheRoot: tempDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should append entries as JSON lines and read them back', async () => {
+    await history.append([toHistoryEntry(createConflict('keep'), '2024-01-02T00:00:00.000Z')]);
+    await history.append([toHistoryEntry(createConflict('replace', { timestamp: '2024-02-01T00:00:00.000Z' }), '2024-02-01T00:00:00.000Z')]);
+
+    const lines = (await fs.readFile(history.getFilePath(), 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+
+    const entries = await history.read();
+    expect(entries[0].winner).toEqual({ source: 'local', priority: 999, hash: 'aaaa' });
+    expect(entries[0].loser).toEqual({ source: 'org', priority: 10, hash: 'bbbb' });
+    expect(entries[1].winner.source).toBe('org');
+
+    expect(await history.read({ since: '2024-01-15' })).toHaveLength(1);
+    expect((await history.read({ limit: 1 }))[0].resolution).toBe('replace');
+  });
+
+  test('should skip unreadable lines and clear the history', async () => {
+    await history.append([toHistoryEntry(createConflict('keep'), '2024-01-02T00:00:00.000Z')]);
+    await fs.appendFile(history.getFilePath(), '{"id": "templ');
+
+    expect(await history.read()).toHaveLength(1);
+
+    await history.clear();
+    expect(await history.read()).toEqual([]);
+  });
+
+  test('should not name a winner for merged or manual conflicts', () => {
+    const entry = toHistoryEntry(createConflict('manual', { resolvedBy: 'resolutions' }), 'now');
+
+    expect(entry.winner).toBeNull();
+    expect(entry.loser).toBeNull();
+    expect(entry.resolved_by).toBe('resolutions');
+    expect(entry.candidates.map(candidate => candidate.source)).toEqual(['local', 'org']);
+  });
+});
+
+describe('KnowledgeMerger conflict log', () => {
+  test('should record every resolved conflict', async () => {
+    const merger = new KnowledgeMerger({ logLevel: 'error' });
+    const mergedKnowledge = {
+      templates: {},
+      workflows: {},
+      data: {},
+      configs: {},
+      conflicts: [createConflict('keep')],
+      metadata: { mergedAt: '2024-01-02T00:00:00.000Z' }
+    };
+
+    await merger.postMergeProcessing(mergedKnowledge);
+
+    const log = merger.getConflictLog();
+    expect(log).toHaveLength(1);
+    expect(log[0].merged_at).toBe('2024-01-02T00:00:00.000Z');
+    expect(log[0].strategy).toBe('local_wins');
+
+    merger.clearConflictLog();
+    expect(merger.getConflictLog()).toEqual([]);
+  });
+
+  test('should only keep the conflicts of the latest merge', async () => {
+    const merger = new KnowledgeMerger({ logLevel: 'error' });
+    await merger.postMergeProcessing({
+      templates: {},
+      workflows: {},
+      data: {},
+      configs: {},
+      conflicts: [createConflict('keep')],
+      metadata: { mergedAt: '2024-01-02T00:00:00.000Z' }
+    });
+
+    await merger.mergeKnowledgeSources([]);
+
+    expect(merger.getConflictLog()).toEqual([]);
+  });
+});
+
+describe('conflict report', () => {
+  const entries = [
+    toHistoryEntry(createConflict('keep'), 'merge-1'),
+    toHistoryEntry(createConflict('keep', { incoming: { source: 'team', priority: 5, hash: 'cccc' } }), 'merge-1'),
+    toHistoryEntry(createConflict('replace', {
+      id: 'workflow:<release>',
+      existing: { source: 'org', priority: 10, hash: 'dddd' },
+      incoming: { source: 'team', priority: 20, hash: 'eeee' },
+      reason: 'Higher | priority'
+    }), 'merge-1')
+  ];
+
+  test('should list local overrides from the latest merge of each item', () => {
+    const later = toHistoryEntry(createConflict('replace', {
+      existing: { source: 'org', priority: 10, hash: 'bbbb' },
+      incoming: { source: 'team', priority: 20, hash: 'ffff' }
+    }), 'merge-2');
+
+    expect(summarizeConflictHistory(entries).localOverrides.map(entry => entry.loser.source))
+      .toEqual(['org', 'team']);
+    expect(summarizeConflictHistory([...entries, later]).localOverrides).toEqual([]);
+  });
+
+  test('should render Markdown and HTML with escaped content', () => {
+    const markdown = renderConflictReport(entries, 'markdown');
+    expect(markdown).toContain('## Local Overrides');
+    expect(markdown).toContain('| template:prd.yaml | org | 10 | aaaa | bbbb |');
+    expect(markdown).toContain('Higher \\| priority');
+
+    const html = renderConflictReport(entries, 'html');
+    expect(html).toContain('<td>workflow:&lt;release&gt;</td>');
+
+    expect(() => renderConflictReport(entries, 'pdf')).toThrow('Unsupported report format');
+  });
+});
@@ -0,0 +1,82 @@
+const { ConflictResolutions, hashContent } = require('../src/core/conflict-resolutions');
+const { KnowledgeMerger } = require('../src/core/knowledge-merger');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('ConflictResolutions', () => {
+  let resolutions;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-resolutions-test-'));
+    resolutions = new ConflictResolutions({ filePath: path.join(tempDir, 'fks-resolutions.yaml') });
+    await resolutions.load();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('set', () => {
+    test('should persist a winning source with the candidate hashes', async () => {
+      resolutions.set('template', 'prd.yaml', {
+        candidates: { org: hashContent('org'), team: hashContent('team') },
+        winner: 'team'
+      });
+      await resolutions.save();
+
+      const reloaded = new ConflictResolutions({ filePath: resolutions.getFilePath() });
+      await reloaded.load();
+
+      const decision = reloaded.get('template', 'prd.yaml');
+      expect(decision.winner).toBe('team');
+      expect(decision.result_hash).toBe(hashContent('team'));
+    });
+
+    test('should reject a winner that is not a candidate', () => {
+      expect(() => resolutions.set('template', 'prd.yaml', {
+        candidates: { org: hashContent('org') },
+        winner: 'team'
+      })).toThrow('not a candidate');
+    });
+  });
+
+  describe('applied by KnowledgeMerger', () => {
+    const source = { repo: 'team', priority: 1 };
+    let merger;
+
+    beforeEach(() => {
+      merger = new KnowledgeMerger({ conflictResolution: 'manual', logLevel: 'error' });
+      merger.configure({ resolutions });
+    });
+
+    test('should apply a hand-merged result while the candidates are unchanged', async () => {
+      resolutions.set('template', 'prd.yaml', {
+        candidates: { org: hashContent('org'), team: hashContent('team') },
+        content: 'merged'
+      });
+
+      const incoming = { path: 'team/prd.yaml', content: 'team' };
+      const conflict = await merger.handleConflict('template', 'prd.yaml',
+        { source: 'org', priority: 5, content: 'org' }, incoming, source);
+
+      expect(conflict.resolution).toBe('replace');
+      expect(conflict.resolvedBy).toBe('resolutions');
+      expect(incoming.content).toBe('merged');
+    });
+
+    test('should fall back to a pending conflict once a source changes', async () => {
+      resolutions.set('template', 'prd.yaml', {
+        candidates: { org: hashContent('org'), team: hashContent('team') },
+        winner: 'team'
+      });
+
+      const conflict = await merger.handleConflict('template', 'prd.yaml',
+        { source: 'org', priority: 5, content: 'org v2' }, { content: 'team' }, source);
+
+      expect(conflict.resolution).toBe('manual');
+      expect(conflict.outdatedResolution).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { CredentialManager, parseReference } = require('../src/managers/credential-manager');
+const { interpolateConfig } = require('../src/core/config-interpolator');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('CredentialManager', () => {
+  let tempDir;
+  let credentials;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-credentials-test-'));
+    credentials = new CredentialManager({
+      baseDir: tempDir,
+      keyringPath: path.join(tempDir, 'keyring.json'),
+      env: { GITLAB_TOKEN: 'glpat-env' },
+      getPassphrase: async () => 'correct horse'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should parse references with or without the secret: prefix', () => {
+    expect(parseReference('secret:keyring/connections/main')).toEqual({ provider: 'keyring', name: 'connections/main' });
+    expect(parseReference('vault/token')).toEqual({ provider: 'vault', name: 'token' });
+    expect(() => parseReference('secret:token')).toThrow('Invalid secret reference');
+  });
+
+  test('should read environment variables but refuse to write them', async () => {
+    expect(await credentials.resolve('secret:env/GITLAB_TOKEN')).toBe('glpat-env');
+    await expect(credentials.set('env/GITLAB_TOKEN', 'x')).rejects.toThrow('read-only');
+    await expect(credentials.resolve('env/MISSING')).rejects.toThrow('secret env/MISSING is not set');
+  });
+
+  test('should store, rotate and list keyring secrets', async () => {
+    const stored = await credentials.set('keyring/connections/main', 'postgresql://app:pw@db/k');
+    expect(stored.reference).toBe('secret:keyring/connections/main');
+
+    const rotated = await credentials.rotate('keyring/connections/main', 'postgresql://app:pw2@db/k');
+    expect(rotated.rotated_at).toBeDefined();
+    expect(await credentials.resolve('secret:keyring/connections/main')).toBe('postgresql://app:pw2@db/k');
+
+    await expect(credentials.rotate('keyring/missing', 'x')).rejects.toThrow('does not exist');
+
+    const { secrets } = await credentials.list(['keyring']);
+    expect(secrets).toHaveLength(1);
+    expect(secrets[0]).not.toHaveProperty('value');
+
+    const mode = (await fs.stat(path.join(tempDir, 'keyring.json'))).mode & 0o777;
+    expect(mode).toBe(0o600);
+  });
+
+  test('should encrypt vault secrets with the passphrase', async () => {
+    await credentials.set('vault/gitlab-token', 'glpat-vault');
+
+    const content = await fs.readFile(path.join(tempDir, 'fks-vault.json'), 'utf8');
+    expect(content).not.toContain('glpat-vault');
+    expect(content).not.toContain('gitlab-token');
+    expect(await credentials.resolve('vault/gitlab-token')).toBe('glpat-vault');
+
+    const locked = new CredentialManager({ baseDir: tempDir, getPassphrase: async () => 'wrong' });
+    await expect(locked.resolve('vault/gitlab-token')).rejects.toThrow('wrong passphrase');
+
+    const { errors } = await locked.list(['vault']);
+    expect(errors.vault).toContain('wrong passphrase');
+  });
+
+  test('should resolve secret references in the configuration', async () => {
+    await credentials.set('keyring/team-token', 'glpat-keyring');
+    const config = {
+      bmad_config: {
+        federated_knowledge: {
+          team: { repo: 'https://gitlab.company.com/team.git', auth: { type: 'token', token: 'secret:keyring/team-token' } }
+        }
+      }
+    };
+
+    await interpolateConfig(config, { credentials });
+
+    expect(config.bmad_config.federated_knowledge.team.auth.token).toBe('glpat-keyring');
+  });
+});
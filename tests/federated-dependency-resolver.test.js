@@ -0,0 +1,330 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const yaml = require('yaml');
+const { FederatedDependencyResolver } = require('../src/resolvers/federated-dependency-resolver');
+
+const STANDARDS_REPO = 'https://github.com/org/standards.git';
+
+function createLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createGitManager() {
+  const syncResult = { status: 'success', commit: 'c0ffee1', operation: 'pull' };
+  return {
+    configure: jest.fn(),
+    shouldSync: jest.fn(() => true),
+    syncRepo: jest.fn(async () => ({ ...syncResult })),
+    forceSync: jest.fn(async () => ({ ...syncResult, operation: 'clone' })),
+    listRemoteTags: jest.fn(async () => [])
+  };
+}
+
+describe('FederatedDependencyResolver', () => {
+  let tempDir;
+  let cacheDir;
+  let configPath;
+  let gitManager;
+
+  async function createResolver(federatedKnowledge, settings = {}, knowledgeSources = undefined) {
+    await fs.outputFile(configPath, yaml.stringify({
+      bmad_config: {
+        version: '2.0',
+        federated_settings: settings,
+        federated_knowledge: federatedKnowledge,
+        ...(knowledgeSources && { knowledge_sources: knowledgeSources })
+      }
+    }));
+
+    const resolver = new FederatedDependencyResolver({
+      configPath,
+      cacheDir,
+      gitManager,
+      knowledgeMerger: { configure: jest.fn() },
+      logger: createLogger()
+    });
+    await resolver.initialize();
+    return resolver;
+  }
+
+  function repoConfig(repo, overrides = {}) {
+    return { repo, branch: 'main', local_cache: path.join(cacheDir, path.basename(repo, '.git')), ...overrides };
+  }
+
+  async function declareRepos(sourceRoot, federatedKnowledge) {
+    await fs.outputFile(path.join(sourceRoot, 'core-config.yaml'), yaml.stringify({
+      bmad_config: { federated_knowledge: federatedKnowledge }
+    }));
+  }
+
+  function transitiveCache(name) {
+    return path.join(cacheDir, 'transitive', name);
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-resolver-test-'));
+    cacheDir = path.join(tempDir, 'cache');
+    configPath = path.join(tempDir, '.bmad-fks-core', 'fks-core-config.yaml');
+    gitManager = createGitManager();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('lockfile', () => {
+    test('should record the synced commit and the requested revision', async () => {
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+
+      await resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'));
+
+      const locked = resolver.lockfile.get('org_standards');
+      expect(locked.repo).toBe(STANDARDS_REPO);
+      expect(locked.commit).toBe('c0ffee1');
+      expect(locked.requested).toEqual({ branch: 'main' });
+      expect(await fs.pathExists(path.join(path.dirname(configPath), 'fks-lock.yaml'))).toBe(true);
+    });
+
+    test('should check out the locked commit when frozen', async () => {
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+      resolver.lockfile.set('org_standards', { repo: STANDARDS_REPO, requested: { branch: 'main' }, commit: 'deadbee' });
+
+      await resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'), { frozen: true });
+
+      expect(gitManager.forceSync).toHaveBeenCalledTimes(1);
+      expect(gitManager.forceSync.mock.calls[0][4].revision).toBe('deadbee');
+      expect(gitManager.syncRepo).not.toHaveBeenCalled();
+    });
+
+    test('should fail a frozen sync of a repository missing from the lockfile', async () => {
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+
+      await expect(
+        resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'), { frozen: true })
+      ).rejects.toThrow('Repository org_standards is not in the lockfile');
+      expect(gitManager.forceSync).not.toHaveBeenCalled();
+    });
+
+    test('should fail a frozen sync when the lockfile points to another repository', async () => {
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+      resolver.lockfile.set('org_standards', { repo: 'https://github.com/fork/standards.git', commit: 'deadbee' });
+
+      await expect(
+        resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'), { frozen: true })
+      ).rejects.toThrow(`points to https://github.com/fork/standards.git but the configuration uses ${STANDARDS_REPO}`);
+      expect(gitManager.forceSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cache', () => {
+    test('should clean web and flatten output under a custom cache_root', async () => {
+      const cacheRoot = path.join(tempDir, 'custom-cache');
+      const resolver = await createResolver(
+        { org_standards: repoConfig(STANDARDS_REPO, { local_cache: path.join(cacheRoot, 'org_standards') }) },
+        { cache_root: cacheRoot },
+        { handbook: { type: 'web', url: 'https://example.com/handbook' } }
+      );
+
+      expect(resolver.getFlattenedCachePath('org_standards')).toBe(path.join(cacheRoot, 'org_standards.xml'));
+      expect(resolver.getWebCachePath('handbook')).toBe(path.join(cacheRoot, 'handbook.pdf'));
+
+      await fs.outputFile(path.join(cacheRoot, 'org_standards', 'README.md'), 'standards');
+      await fs.outputFile(path.join(cacheRoot, 'org_standards.xml'), '<files/>');
+      await fs.outputFile(path.join(cacheRoot, 'handbook.pdf'), '%PDF');
+      await fs.outputFile(path.join(cacheDir, 'handbook.pdf'), '%PDF');
+
+      const plan = await resolver.cleanCache(null, { dryRun: true });
+      expect(plan.removed.map(artifact => [artifact.source, artifact.type, artifact.relativePath]).sort()).toEqual([
+        ['handbook', 'web', 'handbook.pdf'],
+        ['org_standards', 'flattened', 'org_standards.xml'],
+        ['org_standards', 'git', 'org_standards']
+      ]);
+
+      await resolver.cleanCache('handbook');
+      expect(await fs.pathExists(path.join(cacheRoot, 'handbook.pdf'))).toBe(false);
+      expect(await fs.pathExists(path.join(cacheRoot, 'org_standards.xml'))).toBe(true);
+      // The default cache directory is not the configured cache root and stays untouched
+      expect(await fs.pathExists(path.join(cacheDir, 'handbook.pdf'))).toBe(true);
+    });
+  });
+
+  describe('sync locks', () => {
+    test('should not sync a cache directory shared by two sources at once', async () => {
+      const sharedCache = path.join(cacheDir, 'shared');
+      const resolver = await createResolver({
+        org_standards: repoConfig(STANDARDS_REPO, { local_cache: sharedCache }),
+        standards_mirror: repoConfig(STANDARDS_REPO, { local_cache: path.join(cacheDir, 'elsewhere', '..', 'shared') })
+      });
+      let finishSync;
+      let markStarted;
+      const syncStarted = new Promise((resolve) => { markStarted = resolve; });
+      gitManager.syncRepo.mockImplementationOnce(() => new Promise((resolve) => {
+        finishSync = () => resolve({ status: 'success', commit: 'c0ffee1', operation: 'pull' });
+        markStarted();
+      }));
+
+      const first = resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'));
+      await syncStarted;
+      const second = await resolver.syncRepository('standards_mirror', resolver.federatedRepos.get('standards_mirror'));
+      finishSync();
+
+      expect(second.status).toBe('locked');
+      expect(second.reason).toContain('being synced as org_standards');
+      expect((await first).status).toBe('success');
+      expect(gitManager.syncRepo).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('syncAllRepositories', () => {
+    test('should only count the requested repositories in a partial sync', async () => {
+      const resolver = await createResolver({
+        org_standards: repoConfig(STANDARDS_REPO),
+        team_patterns: repoConfig('https://github.com/org/patterns.git')
+      });
+
+      const { summary, results } = await resolver.syncAllRepositories(false, { names: ['org_standards'] });
+
+      expect(Object.keys(results)).toEqual(['org_standards']);
+      expect(summary.total).toBe(1);
+      expect(summary.successful).toBe(1);
+    });
+
+    test('should count dependencies discovered during the sync', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), { shared: { repo: 'https://github.com/org/shared.git' } });
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+
+      const { summary } = await resolver.syncAllRepositories();
+
+      expect(summary.total).toBe(2);
+    });
+  });
+
+  describe('resolveVersion', () => {
+    test('should pick the highest tag satisfying the range', async () => {
+      gitManager.listRemoteTags.mockResolvedValue([
+        { name: 'v1.2.0', commit: 'aaa' },
+        { name: 'v1.4.1', commit: 'bbb' },
+        { name: 'v2.0.0', commit: 'ccc' },
+        { name: 'nightly', commit: 'ddd' }
+      ]);
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO, { version: '^1.2.0' }) });
+
+      const result = await resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'));
+
+      expect(gitManager.syncRepo.mock.calls[0][4].revision).toBe('v1.4.1');
+      expect(result.resolvedVersion).toBe('1.4.1');
+      expect(resolver.lockfile.get('org_standards')).toMatchObject({
+        requested: { version: '^1.2.0' },
+        resolved_version: '1.4.1',
+        tag: 'v1.4.1'
+      });
+    });
+
+    test('should not list remote tags when the repository does not need a sync', async () => {
+      gitManager.shouldSync.mockReturnValue(false);
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO, { version: '^1.2.0' }) });
+
+      const result = await resolver.syncRepository('org_standards', resolver.federatedRepos.get('org_standards'));
+
+      expect(result.status).toBe('skipped');
+      expect(gitManager.listRemoteTags).not.toHaveBeenCalled();
+      expect(gitManager.syncRepo).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the locked tag when the remote is unreachable', async () => {
+      gitManager.listRemoteTags.mockRejectedValue(new Error('network unreachable'));
+      const config = repoConfig(STANDARDS_REPO, { version: '^1.2.0' });
+      const resolver = await createResolver({ org_standards: config });
+      resolver.lockfile.set('org_standards', {
+        repo: STANDARDS_REPO,
+        requested: { version: '^1.2.0' },
+        resolved_version: '1.3.0',
+        tag: 'v1.3.0',
+        commit: 'bbb'
+      });
+
+      const resolved = await resolver.resolveVersion('org_standards', config);
+
+      expect(resolved).toEqual({ tag: 'v1.3.0', version: '1.3.0', commit: 'bbb' });
+    });
+
+    test('should fail when no tag satisfies the range', async () => {
+      gitManager.listRemoteTags.mockResolvedValue([{ name: 'v2.0.0', commit: 'ccc' }]);
+      const config = repoConfig(STANDARDS_REPO, { version: '^1.2.0' });
+      const resolver = await createResolver({ org_standards: config });
+
+      await expect(resolver.resolveVersion('org_standards', config)).rejects.toThrow('satisfies version ^1.2.0');
+    });
+  });
+
+  describe('transitive repositories', () => {
+    const PATTERNS_REPO = 'https://github.com/org/patterns.git';
+    const SHARED_REPO = 'https://github.com/org/shared.git';
+
+    test('should register repositories declared by a cached repository', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), { shared: { repo: SHARED_REPO, branch: 'main' } });
+
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+
+      const shared = resolver.federatedRepos.get('shared');
+      expect(shared).toMatchObject({ transitive: true, parent: 'org_standards', depth: 1 });
+      expect(shared.local_cache).toBe(transitiveCache('shared'));
+      expect(resolver.getDependencyEdges()).toEqual([{ from: 'org_standards', to: 'shared', kind: 'depends' }]);
+    });
+
+    test('should report a cycle without registering the repository again', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), { shared: { repo: SHARED_REPO } });
+      await declareRepos(transitiveCache('shared'), { standards_again: { repo: 'git@github.com:org/standards.git' } });
+
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO) });
+
+      expect(Array.from(resolver.federatedRepos.keys())).toEqual(['org_standards', 'shared']);
+      expect(resolver.getDependencyEdges()).toContainEqual({ from: 'shared', to: 'org_standards', kind: 'cycle' });
+      expect(resolver.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Dependency cycle detected'));
+    });
+
+    test('should share a repository declared by two parents', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), { shared: { repo: SHARED_REPO } });
+      await declareRepos(path.join(cacheDir, 'patterns'), { common: { repo: `${SHARED_REPO.slice(0, -4)}/` } });
+
+      const resolver = await createResolver({
+        org_standards: repoConfig(STANDARDS_REPO),
+        team_patterns: repoConfig(PATTERNS_REPO)
+      });
+
+      expect(Array.from(resolver.federatedRepos.keys())).toEqual(['org_standards', 'team_patterns', 'shared']);
+      expect(resolver.federatedRepos.has('common')).toBe(false);
+      expect(resolver.getDependencyEdges()).toEqual([
+        { from: 'org_standards', to: 'shared', kind: 'depends' },
+        { from: 'team_patterns', to: 'shared', kind: 'depends' }
+      ]);
+    });
+
+    test('should stop at the configured maximum depth', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), { shared: { repo: SHARED_REPO } });
+      await declareRepos(transitiveCache('shared'), { patterns: { repo: PATTERNS_REPO } });
+
+      const resolver = await createResolver(
+        { org_standards: repoConfig(STANDARDS_REPO) },
+        { max_transitive_depth: 1 }
+      );
+
+      expect(resolver.federatedRepos.has('shared')).toBe(true);
+      expect(resolver.federatedRepos.has('patterns')).toBe(false);
+      expect(resolver.logger.warn).toHaveBeenCalledWith(expect.stringContaining('transitive depth limit of 1 reached'));
+    });
+
+    test('should not let a dependency outrank the repository that declared it', async () => {
+      await declareRepos(path.join(cacheDir, 'standards'), {
+        shared: { repo: SHARED_REPO, priority: 10 },
+        patterns: { repo: PATTERNS_REPO, priority: 1 }
+      });
+
+      const resolver = await createResolver({ org_standards: repoConfig(STANDARDS_REPO, { priority: 3 }) });
+
+      expect(resolver.federatedRepos.get('shared').priority).toBe(3);
+      expect(resolver.federatedRepos.get('patterns').priority).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,387 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { GitManager } = require('../src/managers/git-manager');
+
+// Runs real git against local repositories; git-manager.test.js covers the mocked paths
+describe('GitManager cache recovery', () => {
+  let tempDir;
+  let gitManager;
+
+  function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  }
+
+  function createSourceRepo(name, content) {
+    const repoPath = path.join(tempDir, name);
+    fs.ensureDirSync(repoPath);
+    git(repoPath, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), content);
+    git(repoPath, 'add', '.');
+    git(repoPath, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Initial commit');
+    return repoPath;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-git-recovery-test-'));
+    gitManager = new GitManager({
+      cacheDir: path.join(tempDir, 'cache'),
+      logLevel: 'error',
+      retryAttempts: 0
+    });
+    await gitManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should clone into place and pull when the cache matches', async () => {
+    const source = createSourceRepo('source', 'v1');
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+
+    const cloned = await gitManager.syncRepo(source, cachePath, 'main');
+    const pulled = await gitManager.syncRepo(source, cachePath, 'main');
+
+    expect(cloned.operation).toBe('clone');
+    expect(pulled.operation).toBe('pull');
+    expect(pulled.recovered).toBeUndefined();
+    expect(await fs.readdir(path.join(tempDir, 'cache'))).toEqual(['repo']);
+  });
+
+  test('should back up a clone of another repository and clone again', async () => {
+    const source = createSourceRepo('source', 'expected');
+    const foreign = createSourceRepo('foreign', 'foreign');
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+    await gitManager.syncRepo(foreign, cachePath, 'main');
+
+    const result = await gitManager.syncRepo(source, cachePath, 'main');
+
+    expect(result.status).toBe('success');
+    expect(result.recovered.reason).toContain('is a clone of');
+    expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('expected');
+    expect(await fs.readFile(path.join(result.recovered.backupPath, 'README.md'), 'utf8')).toBe('foreign');
+  });
+
+  test('should re-clone directories that are not a complete clone', async () => {
+    const source = createSourceRepo('source', 'expected');
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+    // What an interrupted clone leaves behind: a repository without a commit
+    await fs.ensureDir(cachePath);
+    git(cachePath, 'init', '-q');
+
+    const result = await gitManager.syncRepo(source, cachePath, 'main');
+
+    expect(result.operation).toBe('clone');
+    expect(result.recovered.reason).toContain('no checked out commit');
+    expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('expected');
+  });
+
+  test('should re-clone a cache tracking another branch', async () => {
+    const source = createSourceRepo('source', 'main');
+    git(source, 'checkout', '-q', '-b', 'develop');
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+    await gitManager.syncRepo(source, cachePath, 'main');
+
+    const result = await gitManager.syncRepo(source, cachePath, 'develop');
+
+    expect(result.recovered.reason).toBe('does not track branch develop');
+    expect(git(cachePath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('develop');
+  });
+
+  test('should remove an empty cache directory instead of backing it up', async () => {
+    const source = createSourceRepo('source', 'expected');
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+    await fs.ensureDir(cachePath);
+
+    const result = await gitManager.syncRepo(source, cachePath, 'main');
+
+    expect(result.recovered).toEqual({ reason: 'is not a git repository', backupPath: null });
+    expect(await fs.readdir(path.join(tempDir, 'cache'))).toEqual(['repo']);
+  });
+
+  test('should only sweep temp clones of the same cache left by exited processes', async () => {
+    const source = createSourceRepo('source', 'expected');
+    const cacheDir = path.join(tempDir, 'cache');
+    const exitedPid = execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf8' });
+    const leftovers = [
+      `.fks-clone-org-${exitedPid}-1`,
+      `.fks-clone-org-${process.pid}-2`,
+      `.fks-clone-org-standards-${exitedPid}-3`
+    ];
+    for (const leftover of leftovers) {
+      await fs.ensureDir(path.join(cacheDir, leftover));
+    }
+
+    const result = await gitManager.syncRepo(source, path.join(cacheDir, 'org'), 'main');
+
+    expect(result.operation).toBe('clone');
+    expect((await fs.readdir(cacheDir)).sort()).toEqual([
+      `.fks-clone-org-${process.pid}-2`,
+      `.fks-clone-org-standards-${exitedPid}-3`,
+      'org'
+    ]);
+  });
+
+  describe('local changes', () => {
+    let source;
+    let cachePath;
+
+    function commit(repoPath, file, content) {
+      fs.writeFileSync(path.join(repoPath, file), content);
+      git(repoPath, 'add', '.');
+      git(repoPath, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', `Update ${file}`);
+    }
+
+    beforeEach(async () => {
+      source = createSourceRepo('source', 'v1');
+      cachePath = path.join(tempDir, 'cache', 'repo');
+      await gitManager.syncRepo(source, cachePath, 'main');
+      commit(source, 'upstream.md', 'upstream');
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'draft');
+    });
+
+    test('should abort by default and keep the edits', async () => {
+      const result = await gitManager.syncRepo(source, cachePath, 'main');
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('has local changes (1 changed file)');
+      expect(result.attempts).toHaveLength(1);
+      expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('draft');
+    });
+
+    test('should follow an upstream force push without reporting local commits', async () => {
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'v1');
+      await gitManager.syncRepo(source, cachePath, 'main');
+      git(source, 'reset', '-q', '--hard', 'HEAD~1');
+      commit(source, 'rewritten.md', 'rewritten');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main');
+
+      expect(result.status).toBe('success');
+      expect(result.operation).toBe('pull');
+      expect(await fs.pathExists(path.join(cachePath, 'rewritten.md'))).toBe(true);
+      expect(await fs.pathExists(path.join(cachePath, 'upstream.md'))).toBe(false);
+    });
+
+    test('should stash edits and local commits to a named ref', async () => {
+      commit(cachePath, 'local.md', 'local');
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'second draft');
+      await fs.writeFile(path.join(cachePath, 'untracked.md'), 'new');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { localChanges: 'stash' });
+
+      expect(result.operation).toBe('stash_and_pull');
+      expect(result.localChanges).toMatchObject({ policy: 'stash', commits: 1, files: ['README.md', 'untracked.md'] });
+      expect(result.localChanges.stashRef).toMatch(/^refs\/bmad-fks\/stash\//);
+      expect(await fs.pathExists(path.join(cachePath, 'upstream.md'))).toBe(true);
+      expect(git(cachePath, 'show', `${result.localChanges.stashRef}:README.md`)).toBe('second draft');
+      expect(git(cachePath, 'show', `${result.localChanges.stashRef}^:local.md`)).toBe('local');
+
+      const status = await gitManager.getRepoStatus(cachePath);
+      expect(status.stashes.map(stash => stash.ref)).toEqual([result.localChanges.stashRef]);
+    });
+
+    test('should discard edits with the reset policy', async () => {
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { localChanges: 'reset' });
+
+      expect(result.operation).toBe('reset_and_pull');
+      expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('v1');
+      expect(await fs.pathExists(path.join(cachePath, 'upstream.md'))).toBe(true);
+    });
+
+    test('should remove untracked files with the reset policy', async () => {
+      await fs.outputFile(path.join(cachePath, 'notes', 'untracked.md'), 'scratch');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { localChanges: 'reset' });
+      const next = await gitManager.syncRepo(source, cachePath, 'main');
+
+      expect(result.localChanges.files).toContain('notes/untracked.md');
+      expect(await fs.pathExists(path.join(cachePath, 'notes'))).toBe(false);
+      expect(next.status).toBe('success');
+      expect(next.localChanges).toBeUndefined();
+    });
+
+    test('should replay local commits with the rebase policy', async () => {
+      commit(cachePath, 'local.md', 'local');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { localChanges: 'rebase' });
+
+      expect(result.operation).toBe('rebase_and_pull');
+      expect(await fs.readFile(path.join(cachePath, 'local.md'), 'utf8')).toBe('local');
+      expect(await fs.pathExists(path.join(cachePath, 'upstream.md'))).toBe(true);
+      expect(git(cachePath, 'rev-list', '--count', 'refs/remotes/origin/main..HEAD')).toBe('1');
+    });
+  });
+
+  describe('local changes in pinned caches', () => {
+    let source;
+    let cachePath;
+    let pinned;
+
+    function commit(repoPath, file, content) {
+      fs.writeFileSync(path.join(repoPath, file), content);
+      git(repoPath, 'add', '.');
+      git(repoPath, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', `Update ${file}`);
+    }
+
+    beforeEach(async () => {
+      source = createSourceRepo('source', 'v1');
+      git(source, 'tag', 'v1.0.0');
+      pinned = git(source, 'rev-parse', 'HEAD');
+      commit(source, 'upstream.md', 'upstream');
+      cachePath = path.join(tempDir, 'cache', 'repo');
+      await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0' });
+    });
+
+    test('should check out the revision again when nothing changed', async () => {
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0' });
+
+      expect(result.operation).toBe('checkout');
+      expect(result.localChanges).toBeUndefined();
+    });
+
+    test('should abort by default and keep the edits', async () => {
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'draft');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0' });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('has local changes (1 changed file)');
+      expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('draft');
+    });
+
+    test('should stash commits made on top of the pinned commit', async () => {
+      commit(cachePath, 'local.md', 'local');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0', localChanges: 'stash' });
+
+      expect(result.operation).toBe('stash_and_checkout');
+      expect(result.localChanges).toMatchObject({ policy: 'stash', commits: 1, files: [] });
+      expect(git(cachePath, 'show', `${result.localChanges.stashRef}:local.md`)).toBe('local');
+      expect(git(cachePath, 'rev-parse', 'HEAD')).toBe(pinned);
+    });
+
+    test('should discard edits and untracked files with the reset policy', async () => {
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'draft');
+      await fs.writeFile(path.join(cachePath, 'untracked.md'), 'scratch');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0', localChanges: 'reset' });
+
+      expect(result.operation).toBe('reset_and_checkout');
+      expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('v1');
+      expect(await fs.pathExists(path.join(cachePath, 'untracked.md'))).toBe(false);
+    });
+
+    test('should refuse to rebase a detached checkout', async () => {
+      await fs.writeFile(path.join(cachePath, 'README.md'), 'draft');
+
+      const result = await gitManager.syncRepo(source, cachePath, 'main', null, { revision: 'v1.0.0', localChanges: 'rebase' });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('a detached checkout cannot be rebased');
+      expect(await fs.readFile(path.join(cachePath, 'README.md'), 'utf8')).toBe('draft');
+    });
+  });
+
+  describe('clone strategies', () => {
+    let source;
+    let sourceUrl;
+    let cachePath;
+
+    function addCommits(count) {
+      for (let index = 0; index < count; index++) {
+        fs.writeFileSync(path.join(source, 'README.md'), `v${index + 2}`);
+        git(source, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-am', `Update ${index}`);
+      }
+    }
+
+    beforeEach(() => {
+      source = createSourceRepo('source', 'v1');
+      // Depths and filters only apply to clones over a transport, which file:// is
+      git(source, 'config', 'uploadpack.allowFilter', 'true');
+      addCommits(4);
+      sourceUrl = `file://${source}`;
+      cachePath = path.join(tempDir, 'cache', 'repo');
+    });
+
+    test('should clone the last fetch_depth commits and deepen on demand', async () => {
+      const cloned = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { fetchDepth: 2 });
+
+      expect(cloned.strategy).toBe('shallow');
+      expect(git(cachePath, 'rev-list', '--count', 'HEAD')).toBe('2');
+
+      const deepened = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { fetchDepth: 2, deepen: 2 });
+
+      expect(deepened.depth).toBe(4);
+      expect(deepened.timings.deepenMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should deepen a shallow cache when fetch_depth is raised', async () => {
+      await gitManager.syncRepo(sourceUrl, cachePath, 'main');
+
+      const result = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { fetchDepth: 3 });
+
+      expect(result.operation).toBe('pull');
+      expect(git(cachePath, 'rev-list', '--count', 'HEAD')).toBe('3');
+    });
+
+    test('should clone the full history without blobs with the blobless strategy', async () => {
+      const result = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { cloneStrategy: 'blobless' });
+
+      expect(result.strategy).toBe('blobless');
+      expect(git(cachePath, 'rev-parse', '--is-shallow-repository')).toBe('false');
+      expect(git(cachePath, 'config', 'remote.origin.partialclonefilter')).toBe('blob:none');
+      expect(git(cachePath, 'rev-list', '--count', 'HEAD')).toBe('5');
+    });
+
+    test('should fetch the missing history when a shallow cache switches to full', async () => {
+      await gitManager.syncRepo(sourceUrl, cachePath, 'main');
+
+      const result = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { cloneStrategy: 'full' });
+
+      expect(result.operation).toBe('pull');
+      expect(result.recovered).toBeUndefined();
+      expect(git(cachePath, 'rev-parse', '--is-shallow-repository')).toBe('false');
+      expect(git(cachePath, 'config', 'bmad-fks.cloneStrategy')).toBe('full');
+    });
+
+    test('should clone again when the strategy cannot be switched in place', async () => {
+      await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { cloneStrategy: 'full' });
+
+      const result = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { cloneStrategy: 'treeless' });
+
+      expect(result.operation).toBe('clone');
+      expect(result.recovered.reason).toBe('was cloned with the full strategy instead of treeless');
+    });
+
+    test('should find a pinned commit below the depth of a shallow cache', async () => {
+      const oldest = git(source, 'rev-list', '--max-parents=0', 'HEAD');
+      await gitManager.syncRepo(sourceUrl, cachePath, 'main');
+
+      const result = await gitManager.syncRepo(sourceUrl, cachePath, 'main', null, { revision: oldest });
+
+      expect(result.status).toBe('success');
+      expect(git(cachePath, 'rev-parse', 'HEAD')).toBe(oldest);
+    });
+
+    test('should report the time spent per phase', async () => {
+      const cloned = await gitManager.syncRepo(sourceUrl, cachePath, 'main');
+      const pulled = await gitManager.syncRepo(sourceUrl, cachePath, 'main');
+
+      expect(Object.keys(cloned.timings)).toEqual(expect.arrayContaining(['cloneMs', 'totalMs']));
+      expect(Object.keys(pulled.timings)).toEqual(expect.arrayContaining(['validateMs', 'fetchMs', 'checkoutMs', 'totalMs']));
+      expect(pulled.timings.totalMs).toBeGreaterThanOrEqual(pulled.timings.fetchMs);
+    });
+  });
+
+  test('should leave no directory behind when the clone fails', async () => {
+    const cachePath = path.join(tempDir, 'cache', 'repo');
+
+    const result = await gitManager.syncRepo(path.join(tempDir, 'missing'), cachePath, 'main');
+
+    expect(result.status).toBe('error');
+    expect(await fs.readdir(path.join(tempDir, 'cache'))).toEqual([]);
+  });
+});
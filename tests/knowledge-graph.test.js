@@ -0,0 +1,52 @@
+const { KnowledgeGraph } = require('../src/core/knowledge-graph');
+
+describe('KnowledgeGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new KnowledgeGraph();
+    graph.addNode({ id: 'project', type: 'project', label: 'my-app' });
+    graph.addNode({ id: 'git:org', type: 'git', label: 'org', priority: 10, status: 'success' });
+    graph.addNode({ id: 'git:team', type: 'git', label: 'team', priority: 5, status: 'success' });
+    graph.addEdge('project', 'git:org', 'includes');
+    graph.addEdge('project', 'git:team', 'includes');
+  });
+
+  describe('addConflicts', () => {
+    test('should count conflicts and add shadow edges from the winner', () => {
+      const conflicts = [
+        { existing: { source: 'org' }, incoming: { source: 'team' }, resolution: 'keep' },
+        { existing: { source: 'org' }, incoming: { source: 'team' }, resolution: 'keep' },
+        { existing: { source: 'unknown' }, incoming: { source: 'team' }, resolution: 'keep' }
+      ];
+
+      graph.addConflicts(conflicts, name => graph.getNode(`git:${name}`) ? `git:${name}` : null);
+
+      expect(graph.getNode('git:org').conflicts).toBe(2);
+      expect(graph.getNode('git:team').shadowed).toBe(2);
+      expect(graph.toJSON().edges).toContainEqual({ from: 'git:org', to: 'git:team', kind: 'shadows', count: 2 });
+    });
+  });
+
+  describe('render', () => {
+    test('should render DOT with quoted ids and annotated labels', () => {
+      const dot = graph.render('dot');
+
+      expect(dot).toMatch(/^digraph knowledge \{/);
+      expect(dot).toContain('"git:org" [label="org\\ngit, priority 10, success"');
+      expect(dot).toContain('"project" -> "git:org" [style=solid];');
+    });
+
+    test('should render Mermaid with generated node ids', () => {
+      const mermaid = graph.render('mermaid');
+
+      expect(mermaid).toMatch(/^graph LR/);
+      expect(mermaid).toContain('n1["org<br/>git, priority 10, success"]');
+      expect(mermaid).toContain('n0 --> n1');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => graph.render('svg')).toThrow('Unknown graph format');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { KnowledgeLayout, parseLayout, validateLayout } = require('../src/core/knowledge-layout');
+
+describe('KnowledgeLayout', () => {
+  test('should map the BMAD directories by default', () => {
+    const layout = parseLayout();
+
+    expect(layout.classify('templates/security/policy.yaml')).toEqual({ category: 'templates', key: 'security/policy.yaml' });
+    expect(layout.classify('core-data/teams.json')).toEqual({ category: 'data', key: 'teams.json' });
+    expect(layout.classify('bmad-config.yml')).toEqual({ category: 'configs', key: 'bmad-config.yml' });
+    expect(layout.classify('workflows/release.md')).toBeNull();
+    expect(layout.classify('docs/core-config.yaml')).toBeNull();
+  });
+
+  test('should let the first matching glob win across presets and mappings', () => {
+    const layout = new KnowledgeLayout(['adr', { 'docs/**/*.md': 'data', 'schemas/*.json': 'data' }]);
+
+    expect(layout.classify('docs/adr/0001-use-postgres.md')).toEqual({ category: 'templates', key: '0001-use-postgres.md' });
+    expect(layout.classify('docs/guides/setup.md')).toEqual({ category: 'data', key: 'guides/setup.md' });
+    expect(layout.classify('schemas/order.json')).toEqual({ category: 'data', key: 'order.json' });
+    expect(layout.classify('schemas/v1/order.json')).toBeNull();
+  });
+
+  test('should only descend into directories the globs can match', () => {
+    const layout = new KnowledgeLayout(['docs-site', { 'schemas/*.json': 'data' }]);
+
+    expect(layout.mayContain('docs/guides')).toBe(true);
+    expect(layout.mayContain('schemas')).toBe(true);
+    expect(layout.mayContain('schemas/v1')).toBe(false);
+    expect(layout.mayContain('node_modules')).toBe(false);
+  });
+
+  test('should report unknown presets and categories', () => {
+    expect(validateLayout(['bmad-standard', { 'sections/**/*.md': 'templates' }])).toBeNull();
+    expect(validateLayout('mkdocs')).toBe('Unknown layout preset "mkdocs"; expected bmad-standard, docs-site or adr');
+    expect(validateLayout({ 'docs/*.md': 'pages' })).toContain('Unknown knowledge category "pages" for "docs/*.md"');
+    expect(validateLayout(42)).toContain('Expected a preset name');
+  });
+});
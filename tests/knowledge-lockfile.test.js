@@ -0,0 +1,100 @@
+const { KnowledgeLockfile, LOCKFILE_VERSION } = require('../src/core/knowledge-lockfile');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const yaml = require('yaml');
+
+describe('KnowledgeLockfile', () => {
+  let lockfile;
+  let tempDir;
+  let lockfilePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-lockfile-test-'));
+    lockfilePath = path.join(tempDir, 'fks-lock.yaml');
+    lockfile = new KnowledgeLockfile({ lockfilePath });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('load', () => {
+    test('should start empty when no lockfile exists', async () => {
+      const sources = await lockfile.load();
+
+      expect(sources).toEqual({});
+      expect(lockfile.loaded).toBe(true);
+      expect(await lockfile.exists()).toBe(false);
+    });
+
+    test('should reject a lockfile written by a newer version', async () => {
+      await fs.writeFile(lockfilePath, yaml.stringify({ lockfile_version: LOCKFILE_VERSION + 1, sources: {} }));
+
+      await expect(lockfile.load()).rejects.toThrow('unsupported lockfile_version');
+    });
+  });
+
+  describe('save', () => {
+    test('should round-trip locked entries', async () => {
+      lockfile.set('org_standards', {
+        repo: 'https://github.com/org/standards.git',
+        requested: { version: '^1.2.0' },
+        resolved_version: '1.4.0',
+        tag: 'v1.4.0',
+        commit: 'a1b2c3d'
+      });
+      lockfile.set('team_patterns', {
+        repo: 'https://github.com/org/patterns.git',
+        requested: { branch: 'main' },
+        commit: 'e4f5a6b'
+      });
+      await lockfile.save();
+
+      const reloaded = new KnowledgeLockfile({ lockfilePath });
+      await reloaded.load();
+
+      expect(reloaded.get('org_standards')).toEqual(lockfile.get('org_standards'));
+      expect(reloaded.get('org_standards').commit).toBe('a1b2c3d');
+      expect(reloaded.get('org_standards').resolved_at).toBeDefined();
+      expect(reloaded.get('team_patterns').requested).toEqual({ branch: 'main' });
+    });
+
+    test('should write sources in sorted order with a header', async () => {
+      lockfile.set('zeta', { repo: 'https://example.com/zeta.git', commit: '1' });
+      lockfile.set('alpha', { repo: 'https://example.com/alpha.git', commit: '2' });
+      await lockfile.save();
+
+      const content = await fs.readFile(lockfilePath, 'utf8');
+      expect(content.startsWith('# Generated by bmad-fed')).toBe(true);
+      expect(content.indexOf('alpha:')).toBeLessThan(content.indexOf('zeta:'));
+      expect(yaml.parse(content).lockfile_version).toBe(LOCKFILE_VERSION);
+    });
+
+    test('should keep the latest entries when saves overlap', async () => {
+      const saves = [];
+      for (let i = 0; i < 10; i++) {
+        lockfile.set(`source_${i}`, { repo: `https://example.com/${i}.git`, commit: `${i}` });
+        saves.push(lockfile.save());
+      }
+      await Promise.all(saves);
+
+      const reloaded = new KnowledgeLockfile({ lockfilePath });
+      const sources = await reloaded.load();
+
+      expect(Object.keys(sources)).toHaveLength(10);
+      const leftovers = (await fs.readdir(tempDir)).filter(file => file.endsWith('.tmp'));
+      expect(leftovers).toEqual([]);
+    });
+  });
+
+  describe('remove', () => {
+    test('should drop an entry and report whether it existed', () => {
+      lockfile.set('org_standards', { repo: 'https://github.com/org/standards.git', commit: 'a1b2c3d' });
+
+      expect(lockfile.remove('org_standards')).toBe(true);
+      expect(lockfile.remove('org_standards')).toBe(false);
+      expect(lockfile.get('org_standards')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { KnowledgeMerger } = require('../src/core/knowledge-merger');
+
+describe('KnowledgeMerger', () => {
+  let merger;
+
+  beforeEach(() => {
+    merger = new KnowledgeMerger({ conflictResolution: 'local_wins', logLevel: 'error' });
+  });
+
+  describe('getMergeStrategy', () => {
+    test('should follow conflictResolution unless a category strategy is set', () => {
+      expect(merger.getMergeStrategy('templates', 'prd.yaml')).toBe('local_wins');
+      expect(merger.getMergeStrategy('data', 'tech.yaml')).toBe('merge');
+    });
+
+    test('should apply category strategies and the first matching override', () => {
+      merger.configure({
+        mergeStrategies: {
+          templates: 'structural',
+          overrides: {
+            'templates/security/**': 'highest_priority_only',
+            'templates/**': 'manual'
+          }
+        }
+      });
+
+      expect(merger.getMergeStrategy('templates', 'security/policy.yaml')).toBe('highest_priority_only');
+      expect(merger.getMergeStrategy('templates', 'prd.yaml')).toBe('manual');
+      expect(merger.getMergeStrategy('workflows', 'release.yaml')).toBe('local_wins');
+    });
+  });
+
+  describe('layouts', () => {
+    let tempDir;
+
+    async function writeFiles(root, files) {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(tempDir, root, file), content);
+      }
+      return path.join(tempDir, root);
+    }
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-layout-test-'));
+      merger = new KnowledgeMerger({ logLevel: 'error' });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    test('should merge sources with different layouts into the same keys', async () => {
+      const bmad = await writeFiles('bmad', {
+        'templates/prd.md': 'bmad prd',
+        'core-config.yaml': 'version: 1'
+      });
+      const docs = await writeFiles('docs', {
+        'docs/prd.md': 'docs prd',
+        'docs/guides/setup.mdx': 'setup',
+        'docs/teams.json': '{"teams":["a"]}',
+        'README.md': 'ignored'
+      });
+
+      const merged = await merger.mergeKnowledgeSources([
+        { path: bmad, repo: 'bmad', source: 'federated', priority: 1, config: {} },
+        { path: docs, repo: 'docs', source: 'federated', priority: 2, config: { layout: 'docs-site' } }
+      ]);
+
+      expect(Object.keys(merged.templates).sort()).toEqual(['guides/setup.mdx', 'prd.md']);
+      expect(merged.templates['prd.md'].content).toBe('docs prd');
+      expect(Object.keys(merged.data)).toEqual(['teams.json']);
+      expect(Object.keys(merged.configs)).toEqual(['core-config.yaml']);
+      expect(merged.conflicts.map(conflict => conflict.key)).toEqual(['prd.md']);
+    });
+
+    test('should apply filters to the files a layout maps', async () => {
+      const source = await writeFiles('source', {
+        'sections/errors/async.md': 'async',
+        'sections/drafts/wip.md': 'wip'
+      });
+
+      const merged = await merger.mergeKnowledgeSources([{
+        path: source,
+        repo: 'practices',
+        source: 'federated',
+        priority: 1,
+        config: { layout: { 'sections/**/*.md': 'templates' }, filters: { exclude: ['drafts'] } }
+      }]);
+
+      expect(Object.keys(merged.templates)).toEqual(['errors/async.md']);
+    });
+  });
+
+  describe('resolveItemConflict', () => {
+    const existing = { source: 'local', priority: 999, path: 'local/policy.yaml', content: 'local' };
+
+    test('should let the highest priority source win regardless of local_wins', async () => {
+      merger.configure({ mergeStrategies: { overrides: { 'templates/security/**': 'highest_priority_only' } } });
+
+      const org = { repo: 'org', priority: 1 };
+      const kept = await merger.resolveItemConflict('templates', 'template', 'security/policy.yaml',
+        { source: 'org-high', priority: 50, content: 'high' }, { content: 'low' }, org);
+      const overridden = await merger.resolveItemConflict('templates', 'template', 'prd.yaml',
+        existing, { content: 'org' }, org);
+
+      expect(kept.resolution).toBe('keep');
+      expect(overridden.resolution).toBe('keep');
+      expect(overridden.reason).toBe('Local source takes precedence');
+    });
+
+    test('should deep-merge data by default', async () => {
+      const data = { source: 'org', priority: 5, path: 'a.json', content: '{"teams":["a"]}' };
+      const conflict = await merger.resolveItemConflict('data', 'data', 'teams.json',
+        data, { path: 'b.json', content: '{"teams":["b"]}' }, { repo: 'team', priority: 1 });
+
+      expect(conflict.resolution).toBe('merged');
+      expect(JSON.parse(data.content).teams).toEqual(['a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { PathFilter, globToRegExp, matchesGlob } = require('../src/core/path-filter');
+
+describe('PathFilter', () => {
+  describe('globToRegExp', () => {
+    test('should keep single stars within one path segment', () => {
+      const regex = globToRegExp('templates/*.md');
+      expect(regex.test('templates/a.md')).toBe(true);
+      expect(regex.test('templates/nested/a.md')).toBe(false);
+    });
+
+    test('should let double stars span directories', () => {
+      const regex = globToRegExp('**/*.{yaml,yml}');
+      expect(regex.test('a.yaml')).toBe(true);
+      expect(regex.test('a/b/c.yml')).toBe(true);
+      expect(regex.test('a/b/c.json')).toBe(false);
+    });
+  });
+
+  describe('matchesGlob', () => {
+    test('should match patterns without a slash against any path segment', () => {
+      expect(matchesGlob('templates/draft.tmp', '*.tmp')).toBe(true);
+      expect(matchesGlob('a/node_modules/b.js', 'node_modules')).toBe(true);
+    });
+
+    test('should anchor patterns with a slash to the source root', () => {
+      expect(matchesGlob('templates/a.md', 'templates/**')).toBe(true);
+      expect(matchesGlob('docs/templates/a.md', 'templates/**')).toBe(false);
+    });
+  });
+
+  describe('matches', () => {
+    test('should include everything when no rules are configured', () => {
+      const filter = new PathFilter();
+      expect(filter.hasRules()).toBe(false);
+      expect(filter.matches('any/file.md')).toBe(true);
+    });
+
+    test('should apply include and exclude rules together', () => {
+      const filter = new PathFilter({
+        include: ['templates/**', 'workflows/**'],
+        exclude: ['*.tmp', 'templates/experimental/**']
+      });
+
+      expect(filter.matches('templates/prd.yaml')).toBe(true);
+      expect(filter.matches('templates/prd.tmp')).toBe(false);
+      expect(filter.matches('templates/experimental/prd.yaml')).toBe(false);
+      expect(filter.matches('core-data/data.yaml')).toBe(false);
+    });
+  });
+
+  describe('isExcludedDirectory', () => {
+    test('should prune directories matched by exclude rules', () => {
+      const filter = new PathFilter({ exclude: ['experimental/**', 'node_modules'] });
+
+      expect(filter.isExcludedDirectory('experimental')).toBe(true);
+      expect(filter.isExcludedDirectory('src/node_modules')).toBe(true);
+      expect(filter.isExcludedDirectory('templates')).toBe(false);
+    });
+  });
+
+  describe('toSparseCheckoutPatterns', () => {
+    test('should anchor include rules and negate exclude rules', () => {
+      const filter = new PathFilter({ include: ['templates/**'], exclude: ['*.tmp'] });
+      expect(filter.toSparseCheckoutPatterns()).toEqual(['/templates/**', '!*.tmp']);
+    });
+
+    test('should include the whole tree when only exclude rules exist', () => {
+      const filter = new PathFilter({ exclude: ['*.log'] });
+      expect(filter.toSparseCheckoutPatterns()).toEqual(['/*', '!*.log']);
+    });
+
+    test('should scope the patterns to a folder of the repository', () => {
+      const filter = new PathFilter({ include: ['templates/**', '*.md'], exclude: ['drafts'] });
+      expect(filter.toSparseCheckoutPatterns('./packages/standards/')).toEqual([
+        '/packages/standards/templates/**',
+        '/packages/standards/**/*.md',
+        '!/packages/standards/**/drafts'
+      ]);
+      expect(new PathFilter({ exclude: ['*.log'] }).toSparseCheckoutPatterns('docs'))
+        .toEqual(['/docs/*', '!/docs/**/*.log']);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { retry, runWithTimeout, computeBackoff, isTransientError } = require('../src/core/retry');
+
+describe('retry', () => {
+  const noSleep = jest.fn(async () => {});
+
+  afterEach(() => {
+    noSleep.mockClear();
+  });
+
+  test('should retry transient errors and report every attempt', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('fatal: unable to access: Could not resolve host: github.com'))
+      .mockRejectedValueOnce(new Error('error: RPC failed; HTTP 502'))
+      .mockResolvedValueOnce('done');
+
+    const { result, attempts } = await retry(operation, { retries: 3, sleep: noSleep, random: () => 0 });
+
+    expect(result).toBe('done');
+    expect(attempts.map(attempt => attempt.status)).toEqual(['error', 'error', 'success']);
+    expect(attempts[0]).toMatchObject({ attempt: 1, transient: true, retryDelayMs: 500 });
+    expect(attempts[1]).toMatchObject({ attempt: 2, transient: true, retryDelayMs: 1000 });
+    expect(noSleep).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry permanent errors', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('fatal: Authentication failed for https://example.com/repo.git'));
+
+    const error = await retry(operation, { retries: 3, sleep: noSleep }).catch(e => e);
+
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(error.attempts).toHaveLength(1);
+    expect(error.attempts[0]).toMatchObject({ status: 'error', transient: false });
+  });
+
+  test('should give up after the configured retries', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('Connection reset by peer'));
+
+    const error = await retry(operation, { retries: 2, sleep: noSleep }).catch(e => e);
+
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(error.attempts).toHaveLength(3);
+    expect(error.attempts[2].retryDelayMs).toBeUndefined();
+  });
+
+  test('should abort attempts that time out and retry them', async () => {
+    const signals = [];
+    const operation = jest.fn(({ attempt, signal }) => {
+      signals.push(signal);
+      if (attempt > 1) {
+        return Promise.resolve('done');
+      }
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('process killed')));
+      });
+    });
+
+    const { result, attempts } = await retry(operation, { retries: 1, timeout: 20, sleep: noSleep });
+
+    expect(result).toBe('done');
+    expect(signals[0].aborted).toBe(true);
+    expect(attempts[0].error).toBe('Operation timed out after 20ms');
+  });
+
+  test('should wait for an abandoned attempt to finish before retrying', async () => {
+    const events = [];
+    const operation = jest.fn(({ attempt }) => {
+      events.push(`start ${attempt}`);
+      if (attempt > 1) {
+        return Promise.resolve('done');
+      }
+      // Ignores its signal and keeps running well past the grace period
+      return new Promise(resolve => setTimeout(() => {
+        events.push('end 1');
+        resolve('late');
+      }, 100));
+    });
+
+    const { result, attempts } = await retry(operation, { retries: 1, timeout: 10, abortGrace: 10, sleep: noSleep });
+
+    expect(result).toBe('done');
+    expect(attempts[0].error).toBe('Operation timed out after 10ms');
+    expect(events).toEqual(['start 1', 'end 1', 'start 2']);
+  });
+});
+
+describe('runWithTimeout', () => {
+  test('should abandon a task ignoring its signal after the grace period', async () => {
+    let finish;
+    const error = await runWithTimeout(() => new Promise(resolve => { finish = resolve; }), 10, 10).catch(e => e);
+
+    expect(error.timedOut).toBe(true);
+    finish();
+    await expect(error.settled).resolves.toBeUndefined();
+  });
+
+  test('should not time out when the timeout is disabled', async () => {
+    await expect(runWithTimeout(async () => 'done', 0)).resolves.toBe('done');
+  });
+});
+
+describe('computeBackoff', () => {
+  test('should grow exponentially up to the maximum delay', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000, random: () => 1 };
+
+    expect(computeBackoff(1, options)).toBe(1000);
+    expect(computeBackoff(2, options)).toBe(2000);
+    expect(computeBackoff(3, options)).toBe(4000);
+    expect(computeBackoff(4, options)).toBe(5000);
+  });
+
+  test('should keep at least half of the delay', () => {
+    expect(computeBackoff(2, { baseDelay: 1000, random: () => 0 })).toBe(1000);
+  });
+});
+
+describe('isTransientError', () => {
+  test('should classify git failures', () => {
+    expect(isTransientError(new Error('fatal: the remote end hung up unexpectedly'))).toBe(true);
+    expect(isTransientError(Object.assign(new Error('socket'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isTransientError(new Error('remote: Repository not found.'))).toBe(false);
+    expect(isTransientError(new Error('The requested URL returned error: 403'))).toBe(false);
+    expect(isTransientError(new Error('Remote branch develop not found in upstream origin'))).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+const { structuralMerge, stripDeletions, getListKeyField, DELETE_MARKER } = require('../src/core/structural-merge');
+
+describe('structural-merge', () => {
+  describe('structuralMerge', () => {
+    test('should merge objects key by key with the overlay winning', () => {
+      const base = { name: 'release', owner: 'org', settings: { retries: 1, notify: true } };
+      const overlay = { owner: 'team', settings: { retries: 3 } };
+
+      expect(structuralMerge(base, overlay)).toEqual({
+        name: 'release',
+        owner: 'team',
+        settings: { retries: 3, notify: true }
+      });
+    });
+
+    test('should merge keyed list items in place and append new ones', () => {
+      const base = { steps: [{ id: 'build', run: 'make' }, { id: 'review', owner: 'org' }] };
+      const overlay = { steps: [{ id: 'review', owner: 'team' }, { id: 'deploy', run: 'ship' }] };
+
+      expect(structuralMerge(base, overlay).steps).toEqual([
+        { id: 'build', run: 'make' },
+        { id: 'review', owner: 'team' },
+        { id: 'deploy', run: 'ship' }
+      ]);
+    });
+
+    test('should replace lists without an id or name on every item', () => {
+      expect(structuralMerge({ tags: ['a', 'b'] }, { tags: ['c'] })).toEqual({ tags: ['c'] });
+    });
+  });
+
+  describe('deletion markers', () => {
+    test('should remove marked properties and list items', () => {
+      const base = { owner: 'org', steps: [{ name: 'build' }, { name: 'manual-qa' }] };
+      const overlay = { owner: DELETE_MARKER, steps: [{ name: 'manual-qa', $delete: true }] };
+
+      expect(stripDeletions(structuralMerge(base, overlay))).toEqual({ steps: [{ name: 'build' }] });
+    });
+
+    test('should keep markers until rendering so later bases are trimmed too', () => {
+      const overlay = { steps: [{ id: 'qa', $delete: true }] };
+      const first = structuralMerge({ steps: [{ id: 'build' }] }, overlay);
+      const second = structuralMerge({ steps: [{ id: 'qa' }, { id: 'lint' }] }, first);
+
+      expect(stripDeletions(second).steps).toEqual([{ id: 'lint' }, { id: 'build' }]);
+    });
+  });
+
+  describe('getListKeyField', () => {
+    test('should prefer id over name', () => {
+      expect(getListKeyField([{ id: 1, name: 'a' }])).toBe('id');
+      expect(getListKeyField([{ name: 'a' }, { id: 2 }])).toBeNull();
+    });
+  });
+});
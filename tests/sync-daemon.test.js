@@ -0,0 +1,166 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const cron = require('node-cron');
+const { SyncDaemon } = require('../src/core/sync-daemon');
+
+describe('SyncDaemon', () => {
+  let cacheRoot;
+  let resolver;
+  let fakeCron;
+  let syncDatabase;
+
+  function createDaemon(options = {}) {
+    return new SyncDaemon({
+      resolver,
+      cron: fakeCron,
+      syncDatabase,
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      ...options
+    });
+  }
+
+  function trigger(expression) {
+    return fakeCron.tasks.find(task => task.expression === expression).fire();
+  }
+
+  beforeEach(async () => {
+    cacheRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-daemon-test-'));
+
+    fakeCron = {
+      tasks: [],
+      validate: cron.validate,
+      schedule: jest.fn((expression, fire) => {
+        const task = { expression, fire, stop: jest.fn() };
+        fakeCron.tasks.push(task);
+        return task;
+      })
+    };
+
+    resolver = {
+      config: {
+        bmad_config: {
+          knowledge_sources: {
+            docs: { type: 'web', url: 'https://example.com/docs', sync_policy: 'daily' },
+            orders: { type: 'database', connection_ref: 'main', schedule: '0 * * * *' }
+          }
+        }
+      },
+      getFederatedRepos: () => new Map([
+        ['standards', { repo: 'https://example.com/standards.git', sync_policy: 'daily' }],
+        ['templates', { repo: 'https://example.com/templates.git', schedule: '0 2 * * *' }]
+      ]),
+      getCacheRoot: () => cacheRoot,
+      getSyncLedger: () => ({ load: jest.fn(async () => ({})) }),
+      shouldSync: jest.fn(() => true),
+      syncAllRepositories: jest.fn(async (force, options) => ({
+        results: Object.fromEntries(options.names.map(name => [name, { status: 'success' }]))
+      })),
+      getWeb: jest.fn(async () => ({ status: 'success' }))
+    };
+    syncDatabase = jest.fn(async () => ({ outputPath: 'orders.json', format: 'json' }));
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheRoot);
+  });
+
+  test('should schedule the policy job and a job per scheduled source', async () => {
+    const daemon = createDaemon({ interval: '*/5 * * * *' });
+
+    await daemon.start();
+    await daemon.stop();
+
+    expect(fakeCron.tasks.map(task => task.expression)).toEqual(['*/5 * * * *', '0 2 * * *', '0 * * * *']);
+    expect(Array.from(daemon.jobs.keys())).toEqual(['policy', 'templates', 'orders']);
+    expect(fakeCron.tasks.every(task => task.stop.mock.calls.length === 1)).toBe(true);
+  });
+
+  test('should sync unscheduled sources that are due by policy', async () => {
+    resolver.shouldSync.mockReturnValue(false);
+    const daemon = createDaemon();
+
+    await daemon.start();
+    await daemon.stop();
+
+    expect(resolver.syncAllRepositories).toHaveBeenCalledWith(false, { names: ['standards'] });
+    expect(resolver.shouldSync).toHaveBeenCalledWith('docs', expect.objectContaining({ type: 'web' }));
+    expect(resolver.getWeb).not.toHaveBeenCalled();
+    expect(syncDatabase).not.toHaveBeenCalled();
+  });
+
+  test('should force syncs of scheduled sources', async () => {
+    const daemon = createDaemon();
+    await daemon.start();
+
+    await trigger('0 2 * * *');
+    await trigger('0 * * * *');
+    await daemon.stop();
+
+    expect(resolver.syncAllRepositories).toHaveBeenCalledWith(true, { names: ['templates'] });
+    expect(syncDatabase).toHaveBeenCalledWith(resolver, 'orders', resolver.config.bmad_config.knowledge_sources.orders);
+    expect(daemon.jobs.get('orders').lastOutcome).toBe('success');
+  });
+
+  test('should skip a run while the previous one is still going', async () => {
+    let finish;
+    syncDatabase.mockImplementation(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const daemon = createDaemon();
+    await daemon.start();
+
+    const first = trigger('0 * * * *');
+    await trigger('0 * * * *');
+    finish();
+    await first;
+    await daemon.stop();
+
+    expect(syncDatabase).toHaveBeenCalledTimes(1);
+    expect(daemon.logger.warn).toHaveBeenCalledWith(expect.stringContaining('the previous run is still going'));
+  });
+
+  test('should report failures in the health file', async () => {
+    resolver.getWeb.mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED'));
+    const daemon = createDaemon();
+
+    await daemon.start();
+    await daemon.stop();
+
+    const health = await fs.readJson(path.join(cacheRoot, '.fks-daemon.json'));
+    expect(health).toMatchObject({ pid: process.pid, status: 'stopped' });
+    expect(health.jobs.policy).toMatchObject({
+      running: false,
+      lastOutcome: 'error',
+      lastError: 'docs: net::ERR_NAME_NOT_RESOLVED'
+    });
+  });
+
+  test('should wait for running jobs before stopping', async () => {
+    let finish;
+    syncDatabase.mockImplementation(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const healthFile = path.join(cacheRoot, 'health', 'daemon.json');
+    const daemon = createDaemon({ healthFile });
+    await daemon.start();
+    trigger('0 * * * *');
+
+    const stopped = daemon.stop();
+    expect(daemon.getHealth()).toMatchObject({ status: 'stopping', jobs: { orders: { running: true } } });
+    finish();
+
+    expect(await stopped).toBe(true);
+    expect((await fs.readJson(healthFile)).status).toBe('stopped');
+  });
+
+  test('should give up waiting after the shutdown timeout', async () => {
+    syncDatabase.mockImplementation(() => new Promise(() => {}));
+    const daemon = createDaemon({ shutdownTimeout: 20 });
+    await daemon.start();
+    trigger('0 * * * *');
+
+    expect(await daemon.stop()).toBe(false);
+    expect(daemon.status).toBe('stopped');
+  });
+});
@@ -0,0 +1,103 @@
+const { SyncLedger } = require('../src/core/sync-ledger');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('SyncLedger', () => {
+  let ledger;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-ledger-test-'));
+    ledger = new SyncLedger({ cacheRoot: tempDir });
+    await ledger.load();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('record', () => {
+    test('should persist sync outcome to the cache root', async () => {
+      await ledger.record('org_standards', {
+        type: 'git',
+        outcome: 'success',
+        commit: 'abc123',
+        durationMs: 1200
+      });
+
+      const reloaded = new SyncLedger({ cacheRoot: tempDir });
+      await reloaded.load();
+
+      const entry = reloaded.get('org_standards');
+      expect(entry.type).toBe('git');
+      expect(entry.outcome).toBe('success');
+      expect(entry.commit).toBe('abc123');
+      expect(entry.durationMs).toBe(1200);
+      expect(entry.lastSync).toBeDefined();
+    });
+
+    test('should keep last successful sync when a later sync fails', async () => {
+      await ledger.record('org_standards', { type: 'git', outcome: 'success', commit: 'abc123' });
+      const lastSync = ledger.getLastSync('org_standards');
+
+      await ledger.record('org_standards', { type: 'git', outcome: 'error', error: 'Network error' });
+
+      const entry = ledger.get('org_standards');
+      expect(entry.outcome).toBe('error');
+      expect(entry.error).toBe('Network error');
+      expect(entry.commit).toBe('abc123');
+      expect(ledger.getLastSync('org_standards')).toBe(lastSync);
+    });
+
+    test('should not clobber entries written by another instance', async () => {
+      const other = new SyncLedger({ cacheRoot: tempDir });
+      await other.load();
+
+      await ledger.record('repo_a', { type: 'git', outcome: 'success' });
+      await other.record('api_docs', { type: 'web', outcome: 'success' });
+
+      await ledger.load();
+      expect(Object.keys(ledger.getAll()).sort()).toEqual(['api_docs', 'repo_a']);
+    });
+  });
+
+  describe('concurrent writes', () => {
+    test('should keep every entry recorded in parallel', async () => {
+      await Promise.all(['repo_a', 'repo_b', 'repo_c'].map(name =>
+        ledger.record(name, { type: 'git', outcome: 'success' })
+      ));
+
+      const reloaded = new SyncLedger({ cacheRoot: tempDir });
+      await reloaded.load();
+      expect(Object.keys(reloaded.getAll()).sort()).toEqual(['repo_a', 'repo_b', 'repo_c']);
+    });
+  });
+
+  describe('getLastSync', () => {
+    test('should return null for unknown sources', () => {
+      expect(ledger.getLastSync('unknown')).toBeNull();
+    });
+  });
+
+  describe('remove', () => {
+    test('should remove a single source', async () => {
+      await ledger.record('repo_a', { type: 'git', outcome: 'success' });
+      await ledger.record('repo_b', { type: 'git', outcome: 'success' });
+
+      await ledger.remove('repo_a');
+
+      expect(ledger.get('repo_a')).toBeNull();
+      expect(ledger.get('repo_b')).not.toBeNull();
+    });
+  });
+
+  describe('load', () => {
+    test('should ignore an unreadable ledger file', async () => {
+      await fs.writeFile(ledger.getFilePath(), '{ not json');
+
+      const entries = await ledger.load();
+      expect(entries).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { SyncLock } = require('../src/core/sync-lock');
+
+describe('SyncLock', () => {
+  let cacheRoot;
+  let syncLock;
+
+  beforeEach(async () => {
+    cacheRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-lock-test-'));
+    syncLock = new SyncLock({ cacheRoot, pollInterval: 10 });
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheRoot);
+  });
+
+  function cache(name) {
+    return path.join(cacheRoot, name);
+  }
+
+  async function writeForeignLock(name, info, mtime = new Date()) {
+    const lockPath = await syncLock.getLockPath(cache(name));
+    await fs.outputJson(lockPath, { token: 'foreign', name, startedAt: mtime.toISOString(), ...info });
+    await fs.utimes(lockPath, mtime, mtime);
+    return lockPath;
+  }
+
+  test('should record the owner and remove the lock file on release', async () => {
+    const lock = await syncLock.acquire(cache('repo-a'), { details: { name: 'repo-a' } });
+
+    expect(lock.acquired).toBe(true);
+    const info = await syncLock.read(cache('repo-a'));
+    expect(info).toMatchObject({ name: 'repo-a', pid: process.pid, host: os.hostname(), stale: false });
+    // The cache does not exist yet, but symlinks above it (such as a tmpdir alias) are resolved
+    expect(info.cache).toBe(path.join(await fs.realpath(cacheRoot), 'repo-a'));
+
+    await lock.release();
+    expect(await syncLock.read(cache('repo-a'))).toBeNull();
+  });
+
+  test('should report the holder instead of waiting by default', async () => {
+    const first = await syncLock.acquire(cache('repo-a'));
+    const second = await syncLock.acquire(cache('repo-a'));
+
+    expect(second.acquired).toBe(false);
+    expect(second.holder.pid).toBe(process.pid);
+    expect((await syncLock.acquire(cache('repo-b'))).acquired).toBe(true);
+
+    await first.release();
+  });
+
+  test('should share the lock of a cache directory reached through different paths', async () => {
+    await fs.ensureDir(cache('repo-a'));
+    await fs.symlink(cache('repo-a'), cache('alias'));
+
+    const first = await syncLock.acquire(cache('repo-a'), { details: { name: 'standards' } });
+    const second = await syncLock.acquire(path.join(cacheRoot, 'other', '..', 'alias'));
+
+    expect(second.acquired).toBe(false);
+    expect(second.holder.name).toBe('standards');
+    await first.release();
+  });
+
+  test('should wait for the lock when asked to', async () => {
+    const first = await syncLock.acquire(cache('repo-a'));
+    const onWait = jest.fn();
+    setTimeout(() => first.release(), 50);
+
+    const second = await syncLock.acquire(cache('repo-a'), { wait: true, onWait });
+
+    expect(second.acquired).toBe(true);
+    expect(onWait).toHaveBeenCalledTimes(1);
+    await second.release();
+  });
+
+  test('should give up waiting after the timeout', async () => {
+    const first = await syncLock.acquire(cache('repo-a'));
+
+    const second = await syncLock.acquire(cache('repo-a'), { wait: 50 });
+
+    expect(second.acquired).toBe(false);
+    await first.release();
+  });
+
+  test('should take over locks of processes that are gone', async () => {
+    // PIDs are capped well below this on Linux and macOS
+    await writeForeignLock('repo-a', { pid: 2 ** 30, host: os.hostname() });
+    expect((await syncLock.read(cache('repo-a'))).stale).toBe(true);
+
+    const lock = await syncLock.acquire(cache('repo-a'));
+
+    expect(lock.acquired).toBe(true);
+    expect((await syncLock.read(cache('repo-a'))).pid).toBe(process.pid);
+    await lock.release();
+  });
+
+  test('should take over locks of other hosts only once they stop being refreshed', async () => {
+    await writeForeignLock('fresh', { pid: 1234, host: 'other-host' });
+    await writeForeignLock('abandoned', { pid: 1234, host: 'other-host' }, new Date(Date.now() - 10 * 60 * 1000));
+
+    expect((await syncLock.acquire(cache('fresh'))).acquired).toBe(false);
+    const lock = await syncLock.acquire(cache('abandoned'));
+    expect(lock.acquired).toBe(true);
+    await lock.release();
+  });
+
+  test('should not remove a lock another process took over', async () => {
+    const lock = await syncLock.acquire(cache('repo-a'));
+    await writeForeignLock('repo-a', { pid: 1234, host: 'other-host' });
+
+    await lock.release();
+
+    expect((await syncLock.read(cache('repo-a'))).token).toBe('foreign');
+  });
+
+  test('should list held locks', async () => {
+    const lock = await syncLock.acquire(cache('org/standards'), { details: { name: 'org/standards' } });
+
+    expect((await syncLock.list()).map(info => info.name)).toEqual(['org/standards']);
+    await lock.release();
+  });
+});
@@ -0,0 +1,113 @@
+const cron = require('node-cron');
+const { SyncPolicy, validateSyncPolicy, formatSyncPolicy, parseDuration } = require('../src/core/sync-policy');
+
+describe('SyncPolicy', () => {
+  // Local time, as windows and cron expressions are evaluated in local time
+  function at(day, hour, minute = 0) {
+    return new Date(2024, 0, day, hour, minute).getTime();
+  }
+
+  test('should keep the keyword intervals', () => {
+    const daily = new SyncPolicy('daily');
+
+    expect(daily.isDue(at(15, 9), at(16, 8))).toBe(false);
+    expect(daily.isDue(at(15, 9), at(16, 9))).toBe(true);
+    expect(new SyncPolicy('weekly').isDue(at(1, 9), at(8, 10))).toBe(true);
+    expect(new SyncPolicy('on_demand').isDue(at(1, 9), at(31, 9))).toBe(false);
+    expect(new SyncPolicy('manual').isAutomatic()).toBe(false);
+  });
+
+  test('should sync after an ISO-8601 duration', () => {
+    const policy = new SyncPolicy('PT6H');
+
+    expect(policy.isDue(at(15, 9), at(15, 14, 59))).toBe(false);
+    expect(policy.isDue(at(15, 9), at(15, 15))).toBe(true);
+  });
+
+  test('should sync once a cron occurrence passed since the last sync', () => {
+    const policy = new SyncPolicy('0 2 * * 1-5');
+
+    // Monday the 15th, 02:00 is the first occurrence after Sunday evening
+    expect(policy.isDue(at(14, 20), at(15, 1, 59))).toBe(false);
+    expect(policy.isDue(at(14, 20), at(15, 2, 10))).toBe(true);
+    expect(policy.isDue(at(15, 2, 5), at(15, 23))).toBe(false);
+    // No occurrence on the weekend
+    expect(policy.isDue(at(19, 3), at(21, 23))).toBe(false);
+  });
+
+  test('should only sync inside windows and outside quiet hours', () => {
+    const overnight = new SyncPolicy({ every: 'PT6H', window: '22:00-06:00' });
+    const lastSync = at(14, 9);
+
+    expect(overnight.isDue(lastSync, at(15, 21, 59))).toBe(false);
+    expect(overnight.isDue(lastSync, at(15, 23))).toBe(true);
+    expect(overnight.isDue(lastSync, at(16, 5, 30))).toBe(true);
+    expect(overnight.isDue(lastSync, at(16, 6))).toBe(false);
+
+    const quiet = new SyncPolicy({ every: 'daily', quiet_hours: ['09:00-12:00', '13:00-17:30'] });
+    expect(quiet.isDue(lastSync, at(15, 12, 30))).toBe(true);
+    expect(quiet.isDue(lastSync, at(15, 17))).toBe(false);
+  });
+
+  test('should match cron names, steps and Sunday as 7', () => {
+    const policy = new SyncPolicy('*/30 10,14 * jan sun');
+
+    // The 14th is a Sunday
+    expect(policy.isDue(at(14, 9, 31), at(14, 10))).toBe(true);
+    expect(policy.isDue(at(14, 10, 31), at(14, 13, 59))).toBe(false);
+    expect(new SyncPolicy('0 0 * * 7').isDue(at(13, 12), at(14, 0, 1))).toBe(true);
+    expect(policy.isDue(at(14, 14, 31), at(14, 23))).toBe(false);
+  });
+
+  test('should honour a leading seconds field', () => {
+    const policy = new SyncPolicy('30 0 2 * * *');
+
+    expect(policy.isDue(at(15, 2), at(15, 2, 0) + 29 * 1000)).toBe(false);
+    expect(policy.isDue(at(15, 2), at(15, 2, 0) + 30 * 1000)).toBe(true);
+    expect(policy.isDue(at(15, 2) + 30 * 1000, at(16, 1, 59))).toBe(false);
+  });
+
+  test('should accept exactly the cron expressions the scheduler accepts', () => {
+    const expressions = ['0 2 * * *', '*/15 9-17 * * mon-fri', '0 0 1 jan,jul *', '30 0 2 * * *', '0 25 * * *', '0 0 L * *', '0 2 * * * * *'];
+
+    for (const expression of expressions) {
+      expect(validateSyncPolicy(expression) === null).toBe(cron.validate(expression));
+    }
+  });
+
+  test('should search a year without an occurrence quickly', () => {
+    // February 30th never comes
+    const policy = new SyncPolicy('0 0 30 2 *');
+    const startedAt = Date.now();
+
+    expect(policy.isDue(at(1, 0), at(1, 0) + 365 * 24 * 60 * 60 * 1000)).toBe(false);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  test('should report why a policy is invalid', () => {
+    expect(validateSyncPolicy('0 2 * * *')).toBeNull();
+    expect(validateSyncPolicy({ every: 'P1W', quiet_hours: '08:00-18:00' })).toBeNull();
+    expect(validateSyncPolicy('hourly')).toContain('is not daily, weekly');
+    expect(validateSyncPolicy('0 25 * * *')).toContain('Invalid cron expression "0 25 * * *"');
+    expect(validateSyncPolicy({ every: 'daily', window: '8-18' })).toContain('expected HH:MM-HH:MM');
+    expect(validateSyncPolicy({ every: 'daily', windows: '08:00-18:00' })).toContain('Unknown setting "windows"');
+    expect(validateSyncPolicy({ window: '08:00-18:00' })).toContain('"every"');
+  });
+
+  test('should format policies for display', () => {
+    expect(formatSyncPolicy('PT6H')).toBe('PT6H');
+    expect(formatSyncPolicy({ every: 'daily', window: '22:00-06:00', quiet_hours: ['02:00-03:00'] }))
+      .toBe('daily (only 22:00-06:00, not 02:00-03:00)');
+  });
+});
+
+describe('parseDuration', () => {
+  test('should convert ISO-8601 durations to milliseconds', () => {
+    expect(parseDuration('PT6H')).toBe(6 * 60 * 60 * 1000);
+    expect(parseDuration('P1DT12H')).toBe(36 * 60 * 60 * 1000);
+    expect(parseDuration('P2W')).toBe(14 * 24 * 60 * 60 * 1000);
+    expect(parseDuration('PT90M')).toBe(90 * 60 * 1000);
+    expect(() => parseDuration('PT')).toThrow('Invalid ISO-8601 duration');
+    expect(() => parseDuration('P0D')).toThrow('longer than zero');
+  });
+});
@@ -0,0 +1,75 @@
+const { TaskPool } = require('../src/core/task-pool');
+
+describe('TaskPool', () => {
+  function createTracker() {
+    const tracker = { running: 0, peak: 0, peakByKey: {}, runningByKey: {}, order: [] };
+
+    tracker.task = (key, label) => async () => {
+      tracker.running++;
+      tracker.runningByKey[key] = (tracker.runningByKey[key] || 0) + 1;
+      tracker.peak = Math.max(tracker.peak, tracker.running);
+      tracker.peakByKey[key] = Math.max(tracker.peakByKey[key] || 0, tracker.runningByKey[key]);
+      tracker.order.push(label);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      tracker.running--;
+      tracker.runningByKey[key]--;
+      return label;
+    };
+
+    return tracker;
+  }
+
+  test('should never run more tasks than the concurrency limit', async () => {
+    const pool = new TaskPool({ concurrency: 3 });
+    const tracker = createTracker();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, index) => pool.run(`host-${index}`, tracker.task(`host-${index}`, index)))
+    );
+
+    expect(results).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(tracker.peak).toBe(3);
+    expect(pool.getStats()).toEqual({ running: 0, queued: 0 });
+  });
+
+  test('should apply per-key limits without blocking other keys', async () => {
+    const pool = new TaskPool({ concurrency: 4, keyLimits: { 'github.com': 1 }, defaultKeyLimit: 2 });
+    const tracker = createTracker();
+    const tasks = [
+      ['github.com', 'gh-1'],
+      ['github.com', 'gh-2'],
+      ['github.com', 'gh-3'],
+      ['gitlab.com', 'gl-1'],
+      ['gitlab.com', 'gl-2'],
+      ['gitlab.com', 'gl-3']
+    ];
+
+    await Promise.all(tasks.map(([key, label]) => pool.run(key, tracker.task(key, label))));
+
+    expect(tracker.peakByKey['github.com']).toBe(1);
+    expect(tracker.peakByKey['gitlab.com']).toBe(2);
+    // gitlab tasks start while github tasks wait for their host
+    expect(tracker.order.slice(0, 3)).toEqual(['gh-1', 'gl-1', 'gl-2']);
+  });
+
+  test('should pass task failures to the caller and keep running', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+
+    const failed = pool.run('a', async () => { throw new Error('boom'); });
+    const succeeded = pool.run('a', async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(succeeded).resolves.toBe('ok');
+  });
+
+  test('should treat a missing or zero concurrency as unlimited', async () => {
+    const pool = new TaskPool({ concurrency: 0 });
+    const tracker = createTracker();
+
+    await Promise.all(Array.from({ length: 6 }, (_, index) => pool.run('a', tracker.task('a', index))));
+
+    expect(tracker.peak).toBe(6);
+  });
+});
@@ -0,0 +1,33 @@
+const { diffLines, sideBySide } = require('../src/core/text-diff');
+
+describe('text-diff', () => {
+  describe('diffLines', () => {
+    test('should report removed and added lines around common ones', () => {
+      const operations = diffLines('a\nb\nc\n', 'a\nx\nc\n');
+
+      expect(operations).toEqual([
+        { type: 'equal', line: 'a' },
+        { type: 'remove', line: 'b' },
+        { type: 'add', line: 'x' },
+        { type: 'equal', line: 'c' }
+      ]);
+    });
+
+    test('should find common lines inside a changed block', () => {
+      const types = diffLines('a\nb\nc\nd', 'b\nc\ne').map(operation => operation.type);
+      expect(types).toEqual(['remove', 'equal', 'equal', 'remove', 'add']);
+    });
+  });
+
+  describe('sideBySide', () => {
+    test('should pair removals with additions on the same row', () => {
+      const rows = sideBySide('name: org\nsteps: 3\n', 'name: team\nsteps: 3\nowner: me\n');
+
+      expect(rows).toEqual([
+        { type: 'change', left: 'name: org', right: 'name: team' },
+        { type: 'equal', left: 'steps: 3', right: 'steps: 3' },
+        { type: 'add', left: '', right: 'owner: me' }
+      ]);
+    });
+  });
+});